@@ -12,6 +12,9 @@ import dotenv from "dotenv";
 import { google } from "googleapis";
 import { PassThrough } from "stream";
 import nodemailer from "nodemailer"; // Ensure this is installed or use dynamic import if strict
+import crypto from "crypto";
+import QRCode from "qrcode";
+import ExcelJS from "exceljs";
 
 dotenv.config();
 
@@ -46,8 +49,6 @@ if (EMAIL_USER && EMAIL_PASS) {
   });
 }
 
-const otpMap = new Map(); // Store OTPs: email -> { code, expires }
-
 async function sendEmail(to, subject, text) {
   if (!EMAIL_USER || !EMAIL_PASS) {
     console.log("==================================================");
@@ -86,11 +87,91 @@ async function sendEmail(to, subject, text) {
 }
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const IS_MAIN = process.argv[1] === __filename; // false when imported, e.g. by the tests
 
 // --- Config ---
 const app = express();
 const PORT = process.env.PORT || 4000;
 const JWT_SECRET = process.env.JWT_SECRET || "super-secret-key-change-this";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// OTP limits
+const OTP_TTL_MS = 10 * 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5; // wrong guesses before a code is burned
+const OTP_SEND_WINDOW_MS = 60 * 60 * 1000;
+const OTP_SEND_LIMITS = [
+  { scope: "email", cooldownMs: 60 * 1000, maxPerWindow: 5 },
+  { scope: "ip", cooldownMs: 10 * 1000, maxPerWindow: 30 },
+];
+const OTP_LOCKOUT_FAILURES = 10; // wrong guesses (across codes) before the email is locked
+const OTP_LOCKOUT_MS = 30 * 60 * 1000;
+
+// Two-factor authentication
+const TWO_FACTOR_ISSUER = "HorizonX";
+const TWO_FACTOR_ROLES = ["teacher", "ta", "coordinator", "hod", "pd", "dean", "admin"]; // roles that may enroll
+const TWO_FACTOR_BACKUP_CODES = 10;
+const TWO_FACTOR_KEY = crypto.createHash("sha256").update(process.env.TWO_FACTOR_KEY || JWT_SECRET).digest();
+
+// Academic structure used to seed an empty AcademicStructure collection
+const ACADEMIC_STRUCTURE_SEED = [
+  {
+    program: "B.Tech", years: 4, branches: [
+      { name: "AIML", sections: ["Tigers", "Rhinos", "Panthers", "Leopards", "Whales", "Wolves"] },
+      { name: "CSE", sections: ["Tigers", "Rhinos", "Panthers"] },
+      { name: "ECE", sections: ["Default"] }, // stored as "ECE - Default" since before the structure existed
+      { name: "BCA", sections: ["Default"] },
+    ],
+  },
+  {
+    program: "BBA", years: 3, branches: [
+      { name: "ED", sections: ["Wolves"] },
+      { name: "AIDs", sections: ["Tigers"] },
+      { name: "Marketing", sections: ["Panthers"] },
+      { name: "Finance", sections: ["Whales", "Leopards"] },
+    ],
+  },
+];
+
+// Impersonation ("view as user" for support)
+const IMPERSONATION_TTL_MINUTES = 30;
+// Refused while impersonating on top of every non-GET request: personal data, credentials, 2FA and admin tools.
+// "*" stands for any method or any rest of the path.
+const IMPERSONATION_BLOCKED_ROUTES = [
+  "GET /api/me/export",
+  "PUT /api/me",
+  "* /api/me/2fa",
+  "* /api/me/2fa/*",
+  "* /api/me/deletion-request",
+  "POST /api/auth/logout-all",
+  "* /api/admin/*",
+  "* /api/analytics/*",
+];
+
+// Personal data
+const EXPORT_LIMIT_PER_HOUR = 5;
+const FILE_DELETION_DELAY_MS = 24 * 60 * 60 * 1000; // grace period before uploaded files are destroyed
+const FILE_DELETION_INTERVAL_MS = 10 * 60 * 1000;
+const FILE_DELETION_MAX_ATTEMPTS = 5;
+
+// Course archival
+const COURSE_RETENTION_DAYS = parseInt(process.env.COURSE_RETENTION_DAYS) || 90; // archived courses are purged after this
+const COURSE_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Login limits
+const LOGIN_IP_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_IP_MAX_FAILURES = 30;
+const LOGIN_BACKOFF_AFTER = 3; // failures before exponential delays start
+const LOGIN_BACKOFF_MAX_MS = 5 * 60 * 1000;
+const LOGIN_LOCKOUT_AFTER = 10;
+const LOGIN_LOCKOUT_MS = 30 * 60 * 1000;
+// How long failures against an unknown identifier are remembered (real accounts keep theirs until a success)
+const LOGIN_UNKNOWN_ID_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Compared against when the identifier is unknown so response times do not reveal accounts
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10);
+// First admin, created at startup when no admin exists (see the MongoDB setup below)
+const BOOTSTRAP_ADMIN_EMAIL = process.env.BOOTSTRAP_ADMIN_EMAIL;
+const BOOTSTRAP_ADMIN_PASSWORD = process.env.BOOTSTRAP_ADMIN_PASSWORD;
 const MONGODB_URI =
   process.env.MONGODB_URI ||
   "mongodb+srv://pptkumar_db_user:<db_password>@student-cluster.u2hbhrq.mongodb.net/student-portal?retryWrites=true&w=majority";
@@ -110,6 +191,7 @@ app.use(
     allowedHeaders: ["Content-Type", "Authorization"],
   })
 );
+app.set("trust proxy", 1); // Render terminates TLS in front of us; needed for per-IP limits
 app.use(express.json());
 app.use((req, res, next) => {
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
@@ -139,13 +221,78 @@ const upload = multer({
 }).array("files", 5);
 
 // --- MongoDB / Mongoose setup ---
-mongoose
-  .connect(MONGODB_URI)
-  .then(() => console.log("✅ Connected to MongoDB"))
-  .catch((err) => {
-    console.error("❌ MongoDB connection error:", err);
-    process.exit(1);
-  });
+// Tests import this module for its helpers; only a direct run connects and serves
+if (IS_MAIN) {
+  mongoose
+    .connect(MONGODB_URI)
+    .then(async () => {
+      console.log("✅ Connected to MongoDB");
+      // Accounts created before email verification existed are treated as verified
+      const { modifiedCount } = await User.updateMany(
+        { emailVerified: { $exists: false } },
+        { $set: { emailVerified: true } }
+      );
+      if (modifiedCount) console.log(`[Migration] Marked ${modifiedCount} existing account(s) as email-verified`);
+
+      // Before the approval queue existed nothing read isApproved, so every existing faculty account is approved once.
+      // A setting records the run so accounts that sign up later still wait for review.
+      if (!(await getSetting("migration.approvalBackfill", false))) {
+        const { modifiedCount: approved } = await User.updateMany(
+          { isApproved: { $ne: true }, reviewedAt: null },
+          { $set: { isApproved: true } }
+        );
+        await saveSetting("migration.approvalBackfill", true, null);
+        if (approved) console.log(`[Migration] Approved ${approved} account(s) created before the approval workflow`);
+      }
+
+      // First admin: approvals and invite codes both need one, so it is created from the environment
+      if (BOOTSTRAP_ADMIN_EMAIL && BOOTSTRAP_ADMIN_PASSWORD && !(await User.exists({ role: "admin" }))) {
+        await User.create({
+          id: uuidv4(),
+          role: "admin",
+          name: process.env.BOOTSTRAP_ADMIN_NAME || "Administrator",
+          email: BOOTSTRAP_ADMIN_EMAIL.trim().toLowerCase(),
+          passwordHash: await bcrypt.hash(BOOTSTRAP_ADMIN_PASSWORD, 10),
+          isApproved: true,
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+        });
+        console.log(`[Setup] Created the first admin account for ${BOOTSTRAP_ADMIN_EMAIL}`);
+      }
+
+      // Department-scoped permissions need every course tagged with its department
+      // Courses without a teacher department get "" so the next start does not scan them again
+      const untagged = await Course.find({ department: { $exists: false } }, { id: 1, teacherId: 1 }).lean();
+      for (const course of untagged) {
+        const teacher = await User.findOne({ id: course.teacherId }, { department: 1 });
+        if (teacher?.department) await Course.updateOne({ id: course.id }, { $set: { department: teacher.department } });
+      }
+      await Course.updateMany({ department: { $exists: false } }, { $set: { department: "" } });
+      if (untagged.length) console.log(`[Migration] Tagged ${untagged.length} course(s) with a department`);
+
+      // Rule-based enrollment tracks who the rules added; before that, every matching student was auto-enrolled
+      const untracked = await Course.find({ autoEnrolled: { $exists: false } });
+      for (const course of untracked) {
+        const matching = await User.find({
+          role: "student", program: course.program, semester: course.semester, branch: { $in: course.sections },
+        }, { id: 1 });
+        const ids = new Set(matching.map((s) => s.id));
+        course.autoEnrolled = course.isMandatory ? course.students.filter((id) => ids.has(id)) : [];
+        await course.save();
+      }
+      if (untracked.length) console.log(`[Migration] Recorded rule enrollments for ${untracked.length} course(s)`);
+
+      // Programmes used to be hard-coded; start from the same structure
+      if (await AcademicStructure.countDocuments() === 0) {
+        await AcademicStructure.insertMany(ACADEMIC_STRUCTURE_SEED.map((p) => ({ id: uuidv4(), ...p })));
+        console.log(`[Migration] Seeded academic structure with ${ACADEMIC_STRUCTURE_SEED.length} programme(s)`);
+      }
+    })
+    .catch((err) => {
+      console.error("❌ MongoDB connection error:", err);
+      process.exit(1);
+    });
+}
 
 // Schemas
 const fileSchema = new mongoose.Schema({
@@ -168,25 +315,44 @@ const submissionSchema = new mongoose.Schema(
   { _id: true }
 );
 
+const USER_ROLES = ["student", "teacher", "ta", "coordinator", "hod", "pd", "dean", "admin"];
+
 const userSchema = new mongoose.Schema({
   id: { type: String, unique: true },
-  role: { type: String, enum: ["student", "teacher", "ta", "coordinator", "hod", "pd", "dean", "admin"], required: true },
+  role: { type: String, enum: USER_ROLES, required: true },
   rank: { type: String, default: null }, // Teaching Assistant, Assistant Professor, etc.
   name: { type: String, required: true },
   email: { type: String, default: null },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date, default: null },
   rollNumber: { type: String, default: null },
-  program: { type: String, enum: ["B.Tech", "BBA"], default: null },
+  program: { type: String, default: null }, // validated against AcademicStructure
   branch: { type: String, default: null }, // Detailed branch (e.g., AIML - Tigers)
   year: { type: Number, default: null },
   semester: { type: Number, default: null },
+  graduatedAt: { type: Date, default: null }, // set by the rollover after a student's final semester
   department: { type: String, default: null },
   profilePhotoUrl: { type: String, default: null },
   expertise: { type: String, default: "" },
   passwordHash: { type: String, required: true },
   isApproved: { type: Boolean, default: false },
+  reviewedBy: { type: String, default: null }, // Admin/Dean who approved or rejected the account
+  reviewedAt: { type: Date, default: null },
+  rejectionReason: { type: String, default: null },
+  tokenVersion: { type: Number, default: 0 }, // Bumped to invalidate every issued access token
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String, default: null }, // encrypted base32 TOTP secret
+  twoFactorPendingSecret: { type: String, default: null }, // awaiting first code during enrollment
+  twoFactorBackupCodes: { type: [String], default: [] }, // SHA-256 hashes, removed once used
+  twoFactorLastCounter: { type: Number, default: 0 }, // last accepted TOTP step (blocks replays)
+  failedLoginAttempts: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date, default: null },
+  lockedUntil: { type: Date, default: null },
+  isActive: { type: Boolean, default: true }, // false = deactivated by an admin, cannot log in
+  deactivatedAt: { type: Date, default: null },
+  deactivatedBy: { type: String, default: null },
+  mustResetPassword: { type: Boolean, default: false }, // set by an admin; login is refused until reset
   createdAt: { type: Date, default: Date.now },
-  otp: { type: String, default: null },
-  otpExpires: { type: Date, default: null },
 });
 
 const courseSchema = new mongoose.Schema({
@@ -194,15 +360,39 @@ const courseSchema = new mongoose.Schema({
   name: String,
   code: { type: String, unique: true },
   description: { type: String, default: "" },
-  teacherId: String,
-  program: { type: String, enum: ["B.Tech", "BBA"] },
+  teacherId: String, // lead instructor
+  staff: [{
+    userId: String,
+    role: { type: String, enum: ["instructor", "co-instructor", "ta", "grader"] },
+    addedBy: String,
+    addedAt: { type: Date, default: Date.now },
+    _id: false,
+  }],
+  department: { type: String, default: "" }, // owning department, used for department-scoped permissions
+  program: String, // validated against AcademicStructure
   semester: Number,
   sections: [String], // e.g. ["Tigers", "AIDs"] or "AIML - Tigers"
   isMandatory: { type: Boolean, default: false },
+  // Joining (non-mandatory courses): seat limit, add/drop window and whether staff approve each request
+  capacity: { type: Number, default: null }, // null = unlimited; ignored for mandatory courses
+  joinOpensAt: { type: Date, default: null },
+  joinClosesAt: { type: Date, default: null },
+  joinMode: { type: String, enum: ["open", "approval"], default: "open" },
+  waitlist: [{ userId: String, requestedAt: { type: Date, default: Date.now }, _id: false }], // first come, first promoted
+  joinRequests: [{ userId: String, requestedAt: { type: Date, default: Date.now }, _id: false }], // awaiting approval
+  prerequisites: [{ code: String, minGrade: { type: Number, default: 0 }, _id: false }], // minGrade: percentage in that course
   instructorExpertise: { type: String, default: "" },
   examDate: { type: Date, default: null },
   examTime: { type: String, default: null }, // "HH:mm" format
   students: [String],
+  autoEnrolled: [String], // students added by the enrollment rules (program, semester, sections) rather than by joining
+  enrollmentArchive: [{ term: String, students: [String], archivedAt: Date, _id: false }], // rosters of past terms
+  // Archived courses are read-only and purged with their assignments, messages and files after purgeAfter
+  archivedAt: { type: Date, default: null },
+  archivedBy: { type: String, default: null },
+  archiveReason: { type: String, default: null },
+  purgeAfter: { type: Date, default: null },
+  clonedFrom: { type: String, default: null }, // id of the course this one was cloned from
   materials: [{
     originalName: String,
     url: String,
@@ -306,6 +496,151 @@ const analyticsSessionSchema = new mongoose.Schema({
   lastActivity: { type: Date, default: Date.now },
 });
 
+// Rotating refresh tokens (only the SHA-256 hash is stored)
+const refreshTokenSchema = new mongoose.Schema({
+  id: { type: String, unique: true },
+  userId: { type: String, required: true, index: true },
+  tokenHash: { type: String, unique: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  revokedAt: { type: Date, default: null },
+  replacedBy: { type: String, default: null }, // id of the token issued when this one was rotated
+  userAgent: String,
+  ip: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One-time codes (hashed), removed by the TTL index once expired
+const otpSchema = new mongoose.Schema({
+  email: { type: String, required: true },
+  purpose: { type: String, required: true }, // e.g. "reset"
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  ip: String,
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  createdAt: { type: Date, default: Date.now },
+});
+otpSchema.index({ email: 1, purpose: 1 }, { unique: true });
+
+// Rate-limit buckets keyed by e.g. "otp-send:email:<email>"
+const throttleSchema = new mongoose.Schema({
+  key: { type: String, unique: true },
+  count: { type: Number, default: 0 },
+  windowStart: { type: Date, default: Date.now },
+  lastAt: { type: Date, default: null },
+  blockedUntil: { type: Date, default: null },
+  expiresAt: { type: Date, index: { expires: 0 } },
+});
+
+// Invite codes for non-student signup, scoped to a role and optionally a department
+const inviteCodeSchema = new mongoose.Schema({
+  id: { type: String, unique: true },
+  code: { type: String, unique: true },
+  role: { type: String, enum: USER_ROLES.filter((r) => r !== "student"), required: true },
+  department: { type: String, default: null }, // null = any department
+  maxUses: { type: Number, default: 1 },
+  uses: { type: Number, default: 0 },
+  usedBy: [String],
+  expiresAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  note: { type: String, default: "" },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Enrollment history: why each student was added to or removed from a course
+const enrollmentEventSchema = new mongoose.Schema({
+  id: { type: String, unique: true },
+  courseId: { type: String, index: true },
+  userId: { type: String, index: true },
+  change: { type: String, enum: ["added", "removed"], required: true },
+  source: { type: String, enum: ["rule", "join", "rollover", "approval", "waitlist", "drop", "manual"], required: true },
+  trigger: String, // what caused the change, e.g. "signup", "profile-update", "course-created"
+  detail: String,
+  actorId: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now, index: true },
+});
+
+// One document per programme: programme -> branches/sections -> years -> semesters
+const academicStructureSchema = new mongoose.Schema({
+  id: { type: String, unique: true },
+  program: { type: String, required: true, unique: true }, // e.g. "B.Tech"
+  years: { type: Number, required: true },
+  semestersPerYear: { type: Number, default: 2 },
+  branches: [{ name: String, sections: [String], _id: false }], // no sections: the branch itself is the section
+  isActive: { type: Boolean, default: true }, // inactive programmes keep existing users but accept no new ones
+  updatedBy: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Institution-wide settings managed by admins
+const settingSchema = new mongoose.Schema({
+  key: { type: String, unique: true },
+  value: { type: mongoose.Schema.Types.Mixed, default: null },
+  updatedBy: String,
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Account deletion requests; faculty requests wait for an admin, student requests complete immediately
+const deletionRequestSchema = new mongoose.Schema({
+  id: { type: String, unique: true },
+  userId: { type: String, required: true, index: true },
+  userName: String, // cleared once the deletion is completed
+  userEmail: String,
+  role: String,
+  reason: { type: String, default: "" },
+  status: { type: String, enum: ["pending", "rejected", "cancelled", "completed"], default: "pending" },
+  reviewedBy: { type: String, default: null },
+  reviewedAt: { type: Date, default: null },
+  reviewNote: { type: String, default: "" },
+  completedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Uploaded files queued for removal from Drive/Cloudinary by the background job
+const fileDeletionJobSchema = new mongoose.Schema({
+  id: { type: String, unique: true },
+  provider: { type: String, enum: ["drive", "cloudinary"], required: true },
+  driveId: String,
+  url: String,
+  reason: String, // e.g. "account-deletion"
+  userId: String,
+  status: { type: String, enum: ["pending", "done", "failed"], default: "pending", index: true },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  runAfter: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Append-only record of privileged actions; updates and deletes are refused by the hooks below
+const auditLogSchema = new mongoose.Schema({
+  id: { type: String, unique: true },
+  actorId: { type: String, index: true },
+  actorName: String,
+  actorRole: String,
+  action: { type: String, required: true, index: true }, // e.g. "course.delete"
+  targetType: { type: String, index: true }, // e.g. "course", "user", "setting"
+  targetId: { type: String, index: true },
+  targetLabel: String, // human-readable, e.g. course code or user email
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  changes: [{ field: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed, _id: false }],
+  metadata: { type: mongoose.Schema.Types.Mixed, default: {} }, // e.g. deletion reason
+  ip: String,
+  userAgent: String,
+  method: String,
+  path: String,
+  createdAt: { type: Date, default: Date.now, index: true },
+});
+for (const op of ["updateOne", "updateMany", "replaceOne", "findOneAndUpdate", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"]) {
+  auditLogSchema.pre(op, { document: true, query: true }, function () {
+    throw new Error("Audit log entries are append-only");
+  });
+}
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) throw new Error("Audit log entries are append-only");
+});
+
 // Models
 const User = mongoose.model("User", userSchema);
 const Course = mongoose.model("Course", courseSchema);
@@ -316,6 +651,16 @@ const AnalyticsSession = mongoose.model("AnalyticsSession", analyticsSessionSche
 const Notification = mongoose.model("Notification", notificationSchema);
 const Schedule = mongoose.model("Schedule", scheduleSchema);
 const Broadcast = mongoose.model("Broadcast", broadcastSchema);
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+const Otp = mongoose.model("Otp", otpSchema);
+const Throttle = mongoose.model("Throttle", throttleSchema);
+const InviteCode = mongoose.model("InviteCode", inviteCodeSchema);
+const Setting = mongoose.model("Setting", settingSchema);
+const AcademicStructure = mongoose.model("AcademicStructure", academicStructureSchema);
+const EnrollmentEvent = mongoose.model("EnrollmentEvent", enrollmentEventSchema);
+const DeletionRequest = mongoose.model("DeletionRequest", deletionRequestSchema);
+const FileDeletionJob = mongoose.model("FileDeletionJob", fileDeletionJobSchema);
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
 
 // --- Helpers ---
 
@@ -351,6 +696,246 @@ async function uploadToCloudinary(file, folder) {
   };
 }
 
+async function getSetting(key, fallback) {
+  const doc = await Setting.findOne({ key });
+  return doc && doc.value !== null ? doc.value : fallback;
+}
+
+async function saveSetting(key, value, userId) {
+  await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId, updatedAt: new Date() },
+    { upsert: true }
+  );
+}
+
+// Allowlist is { role: ["woxsen.edu.in", ...] }; a role without entries accepts any domain
+async function isEmailDomainAllowed(email, role) {
+  const allowlist = await getSetting("emailDomainAllowlist", {});
+  const domains = allowlist[role] || [];
+  if (domains.length === 0) return true;
+  const domain = email.split("@").pop().toLowerCase();
+  return domains.some((d) => domain === d || domain.endsWith("." + d));
+}
+
+// Recover public id / delivery type from a Cloudinary URL, e.g.
+// https://res.cloudinary.com/<cloud>/raw/authenticated/s--abc--/v123/student-portal/<uuid>.pdf
+function cloudinaryAssetFromUrl(url) {
+  const match = /\/(image|raw|video)\/(upload|authenticated|private)\/(?:s--[^/]+--\/)?(?:v\d+\/)?(.+)$/.exec(url || "");
+  if (!match) return null;
+  const [, resourceType, type, rest] = match;
+  // Images are stored without their extension; raw files keep it in the public id
+  const publicId = resourceType === "raw" ? rest : rest.replace(/\.[^/.]+$/, "");
+  return { resourceType, type, publicId };
+}
+
+// Queue uploaded files ({ url, driveId }) for deletion after the grace period
+async function scheduleFileDeletion(files, { userId, reason }) {
+  const jobs = files
+    .filter((f) => f && (f.driveId || (f.url && f.url.includes("res.cloudinary.com"))))
+    .filter((f) => !(f.driveId || "").startsWith("mock-"))
+    .map((f) => ({
+      id: uuidv4(),
+      provider: f.driveId ? "drive" : "cloudinary",
+      driveId: f.driveId || null,
+      url: f.url,
+      userId,
+      reason,
+      runAfter: new Date(Date.now() + FILE_DELETION_DELAY_MS),
+    }));
+  if (jobs.length) await FileDeletionJob.insertMany(jobs);
+  return jobs.length;
+}
+
+async function processFileDeletionJobs() {
+  const jobs = await FileDeletionJob.find({ status: "pending", runAfter: { $lte: new Date() } }).limit(50);
+  for (const job of jobs) {
+    try {
+      if (job.provider === "drive") {
+        await drive.files.delete({ fileId: job.driveId, supportsAllDrives: true });
+      } else {
+        const asset = cloudinaryAssetFromUrl(job.url);
+        if (!asset) throw new Error("Unrecognised Cloudinary URL");
+        await cloudinary.uploader.destroy(asset.publicId, { resource_type: asset.resourceType, type: asset.type });
+      }
+      job.status = "done";
+    } catch (err) {
+      // Already gone counts as done
+      if (err.code === 404 || err.response?.status === 404) {
+        job.status = "done";
+      } else {
+        job.attempts += 1;
+        job.lastError = err.message;
+        if (job.attempts >= FILE_DELETION_MAX_ATTEMPTS) job.status = "failed";
+      }
+    }
+    await job.save();
+  }
+  if (jobs.length) console.log(`[Files] Processed ${jobs.length} deletion job(s)`);
+}
+
+// Everything the portal stores about a user, for the self-service export
+async function collectUserData(user) {
+  const [courses, assignments, created, messages, notifications, events, sessions, broadcasts, enrollmentEvents] = await Promise.all([
+    Course.find({ $or: [{ students: user.id }, { teacherId: user.id }, { "staff.userId": user.id }] }),
+    Assignment.find({ "submissions.studentId": user.id }),
+    Assignment.find({ createdBy: user.id }),
+    Message.find({ userId: user.id }).sort({ createdAt: 1 }),
+    Notification.find({ userId: user.id }).sort({ createdAt: 1 }),
+    AnalyticsEvent.find({ userId: user.id }).sort({ timestamp: 1 }),
+    AnalyticsSession.find({ userId: user.id }),
+    Broadcast.find({ senderId: user.id }),
+    EnrollmentEvent.find({ userId: user.id }).sort({ createdAt: 1 }),
+  ]);
+
+  const submissions = assignments.map((a) => {
+    const s = a.submissions.find((sub) => sub.studentId === user.id);
+    return {
+      assignmentId: a.id, assignmentTitle: a.title, courseId: a.courseId,
+      submittedAt: s.submittedAt, status: s.status, marks: s.marks, feedback: s.feedback,
+      files: s.files.map((f) => ({ name: f.originalName, url: f.url, mimetype: f.mimetype, size: f.size })),
+    };
+  });
+
+  const files = [
+    ...(user.profilePhotoUrl ? [{ source: "profile-photo", name: "Profile photo", url: user.profilePhotoUrl }] : []),
+    ...submissions.flatMap((s) => s.files.map((f) => ({ source: `submission:${s.assignmentId}`, ...f }))),
+    ...created.flatMap((a) => a.attachments.map((f) => ({
+      source: `assignment-attachment:${a.id}`, name: f.originalName, url: f.url, mimetype: f.mimetype, size: f.size,
+    }))),
+  ];
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      ...toPublicUser(user),
+      isApproved: user.isApproved,
+      createdAt: user.createdAt,
+      twoFactorEnabled: user.twoFactorEnabled,
+    },
+    courses: courses.map((c) => ({
+      id: c.id, code: c.code, name: c.name, relation: courseStaffRole(c, user.id) || "student",
+    })),
+    enrollmentHistory: enrollmentEvents.map((e) => ({ courseId: e.courseId, change: e.change, source: e.source, detail: e.detail, createdAt: e.createdAt })),
+    submissions,
+    assignmentsCreated: created.map((a) => ({ id: a.id, courseId: a.courseId, title: a.title, dueDate: a.dueDate, createdAt: a.createdAt })),
+    messages: messages.map((m) => ({ id: m.id, courseId: m.courseId, subjectName: m.subjectName, content: m.content, createdAt: m.createdAt })),
+    notifications: notifications.map((n) => ({ message: n.message, type: n.type, isRead: n.isRead, createdAt: n.createdAt })),
+    broadcasts: broadcasts.map((b) => ({ content: b.content, program: b.program, department: b.department, createdAt: b.createdAt })),
+    analytics: {
+      sessions: sessions.map((s) => ({ sessionId: s.sessionId, startTime: s.startTime, endTime: s.endTime, eventCount: s.eventCount, userAgent: s.userAgent })),
+      events: events.map((e) => ({ eventType: e.eventType, eventData: e.eventData, pathname: e.pathname, timestamp: e.timestamp })),
+    },
+    files,
+  };
+}
+
+// Removes the account and personal data. Messages stay for course context but lose their author.
+// Callers must reassign the user's courses first so no course is left pointing at a deleted teacher.
+async function deleteUserAccount(user) {
+  if (await Course.exists({ teacherId: user.id })) {
+    throw new Error(`User ${user.id} still teaches courses`);
+  }
+  const assignments = await Assignment.find({ "submissions.studentId": user.id });
+  const submittedFiles = assignments.flatMap((a) => a.submissions.find((s) => s.studentId === user.id).files);
+  const scheduledFiles = await scheduleFileDeletion(
+    [...submittedFiles, ...(user.profilePhotoUrl ? [{ url: user.profilePhotoUrl }] : [])],
+    { userId: user.id, reason: "account-deletion" }
+  );
+
+  await Assignment.updateMany({ "submissions.studentId": user.id }, { $pull: { submissions: { studentId: user.id } } });
+  await Course.updateMany({ students: user.id }, { $pull: { students: user.id, autoEnrolled: user.id } });
+  await EnrollmentEvent.deleteMany({ userId: user.id });
+  await Course.updateMany({ "staff.userId": user.id }, { $pull: { staff: { userId: user.id } } });
+  await Course.updateMany(
+    { $or: [{ "waitlist.userId": user.id }, { "joinRequests.userId": user.id }] },
+    { $pull: { waitlist: { userId: user.id }, joinRequests: { userId: user.id } } }
+  );
+  await Message.updateMany({ userId: user.id }, { $set: { userId: null, userName: "Deleted user", userRole: null } });
+  await Notification.deleteMany({ userId: user.id });
+  await AnalyticsEvent.deleteMany({ userId: user.id });
+  await AnalyticsSession.deleteMany({ userId: user.id });
+  await RefreshToken.deleteMany({ userId: user.id });
+  if (user.email) await Otp.deleteMany({ email: user.email });
+  await User.deleteOne({ id: user.id });
+
+  return { scheduledFiles };
+}
+
+async function completeDeletionRequest(request, user) {
+  const result = await deleteUserAccount(user);
+  request.status = "completed";
+  request.completedAt = new Date();
+  request.userName = null;
+  request.userEmail = null;
+  await request.save();
+  return result;
+}
+
+// --- Audit log ---
+// Copy only the listed fields, as plain JSON, for before/after snapshots
+function snapshot(doc, fields) {
+  if (!doc) return null;
+  const source = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const out = {};
+  for (const field of fields) out[field] = source[field] === undefined ? null : source[field];
+  return JSON.parse(JSON.stringify(out));
+}
+
+function diffSnapshots(before, after) {
+  if (!before || !after) return [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter((f) => JSON.stringify(before[f]) !== JSON.stringify(after[f]))
+    .map((f) => ({ field: f, from: before[f] ?? null, to: after[f] ?? null }));
+}
+
+// Never throws: a failed audit write is logged but does not undo the action
+async function recordAudit(req, { action, targetType, targetId, targetLabel = "", before = null, after = null, metadata = {} }) {
+  try {
+    // While impersonating, the admin behind the session is the actor
+    const impersonation = req.user.impersonation;
+    const actorId = impersonation ? impersonation.by : req.user.id;
+    const actor = await User.findOne({ id: actorId });
+    if (impersonation) metadata = { ...metadata, impersonatedUserId: req.user.id, impersonationSessionId: impersonation.sessionId };
+    await AuditLog.create({
+      id: uuidv4(),
+      actorId,
+      actorName: actor ? actor.name : "",
+      actorRole: actor ? actor.role : req.user.role,
+      action,
+      targetType,
+      targetId,
+      targetLabel,
+      before,
+      after,
+      changes: diffSnapshots(before, after),
+      metadata,
+      ip: req.ip,
+      userAgent: req.get("user-agent") || "",
+      method: req.method,
+      path: req.originalUrl,
+    });
+  } catch (err) {
+    console.error(`[Audit] Failed to record ${action}:`, err.message);
+  }
+}
+
+// For background jobs, which have no request or signed-in actor
+async function recordSystemAudit({ action, targetType, targetId, targetLabel = "", before = null, metadata = {} }) {
+  try {
+    await AuditLog.create({
+      id: uuidv4(), actorId: null, actorName: "System", actorRole: "system",
+      action, targetType, targetId, targetLabel, before, metadata,
+    });
+  } catch (err) {
+    console.error(`[Audit] Failed to record ${action}:`, err.message);
+  }
+}
+
+const AUDIT_USER_FIELDS = ["name", "email", "role", "rank", "rollNumber", "program", "branch", "year", "semester", "department", "isApproved", "isActive", "mustResetPassword", "twoFactorEnabled"];
+const AUDIT_COURSE_FIELDS = ["name", "code", "description", "teacherId", "department", "program", "semester", "sections", "isMandatory", "examDate", "examTime", "archivedAt", "purgeAfter", "capacity", "joinOpensAt", "joinClosesAt", "joinMode", "prerequisites"];
+
 // --- Google Drive Integration ---
 const DRIVE_CLIENT_EMAIL = process.env.GOOGLE_DRIVE_CLIENT_EMAIL;
 const DRIVE_PRIVATE_KEY = process.env.GOOGLE_DRIVE_PRIVATE_KEY ? process.env.GOOGLE_DRIVE_PRIVATE_KEY.replace(/\\n/g, "\n").replace(/^"(.*)"$/, "$1") : null;
@@ -430,324 +1015,2363 @@ async function uploadToDrive(file) {
   }
 }
 
-async function autoEnrollStudents(course) {
-  const matchingStudents = await User.find({
-    role: "student",
-    program: course.program,
-    semester: course.semester,
-    branch: { $in: course.sections }
-  });
-
-  const studentIds = matchingStudents.map(s => s.id);
-  course.students = [...new Set([...course.students, ...studentIds])];
-  await course.save();
+// --- Enrollment rules ---
+// A mandatory course's program, semester and sections are its enrollment rules. Matching students are
+// enrolled automatically and tracked in course.autoEnrolled so they can be removed again once they
+// stop matching; students who joined by themselves are never removed by the rules.
+// Electives have no rules: students join them through /join, which applies seats, windows and approval.
+// Students the rules placed before a course became elective stay enrolled as ordinary members.
+function ruleLabel(course) {
+  return `${course.program} · Sem ${course.semester} · ${course.sections.join(", ") || "no sections"}`;
 }
 
-// --- Auth middleware ---
-function authMiddleware(req, res, next) {
-  const authHeader = req.headers["authorization"];
-  if (!authHeader)
-    return res.status(401).json({ message: "No token" });
+async function logEnrollment(events) {
+  if (events.length) await EnrollmentEvent.insertMany(events.map((e) => ({ id: uuidv4(), ...e })));
+}
 
-  const token = authHeader.split(" ")[1];
-  if (!token) return res.status(401).json({ message: "Invalid token" });
+// --- Joining: seats, windows, waitlist ---
+function seatLimit(course) {
+  return !course.isMandatory && course.capacity ? course.capacity : null;
+}
 
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded; // { id, role }
-    next();
-  } catch (err) {
-    return res
-      .status(401)
-      .json({ message: "Token invalid or expired" });
-  }
+// Error message when joining is outside the course's window, otherwise null
+function joinWindowError(course, now = new Date()) {
+  if (course.joinOpensAt && now < course.joinOpensAt) return `Joining opens on ${course.joinOpensAt.toLocaleString()}`;
+  if (course.joinClosesAt && now > course.joinClosesAt) return "The joining window for this course has closed";
+  return null;
 }
 
-// --- Auth routes ---
-// Signup: role = 'student' or 'teacher'
-app.post("/api/signup", async (req, res) => {
-  try {
-    const {
-      role,
-      name,
-      email,
-      rollNumber,
-      program,
-      branch,
-      year,
-      department,
-      rank,
-      password,
-    } = req.body;
+// Takes a seat atomically so two students cannot both get the last one. Also clears any waitlist entry or request.
+async function claimSeat(course, userId) {
+  const filter = { id: course.id, students: { $ne: userId } };
+  const limit = seatLimit(course);
+  if (limit) filter.$expr = { $lt: [{ $size: "$students" }, limit] };
+  const result = await Course.updateOne(filter, { $push: { students: userId }, $pull: { waitlist: { userId }, joinRequests: { userId } } });
+  return result.modifiedCount === 1;
+}
 
-    if (!role || !name || !email || !password) {
-      return res.status(400).json({ message: "Missing required fields" });
+// Fill free seats from the front of the waitlist; notifies each promoted student
+async function promoteFromWaitlist(courseId, { trigger, actorId = null }) {
+  const promoted = [];
+  for (;;) {
+    const course = await Course.findOne({ id: courseId });
+    const next = course?.waitlist[0];
+    if (!next) break;
+    if (course.students.includes(next.userId)) {
+      await Course.updateOne({ id: courseId }, { $pull: { waitlist: { userId: next.userId } } });
+      continue;
     }
+    if (!(await claimSeat(course, next.userId))) break;
+    promoted.push({ userId: next.userId, course });
+  }
+  await logEnrollment(promoted.map(({ userId, course }) => ({
+    courseId: course.id, userId, change: "added", source: "waitlist", trigger, actorId, detail: "Promoted from the waitlist",
+  })));
+  if (promoted.length) {
+    await Notification.insertMany(promoted.map(({ userId, course }) => ({
+      id: uuidv4(), userId, message: `A seat opened up in ${course.code} - ${course.name}; you have been enrolled from the waitlist.`,
+    })));
+  }
+  return promoted.map((p) => p.userId);
+}
 
-    // Role-specific checks
-    if (role === "student") {
-      if (!rollNumber || !program || !branch || !year) {
-        return res.status(400).json({ message: "Missing student fields" });
-      }
-      // Roll number validation: 11 chars and contains "WU"
-      if (rollNumber.length !== 11 || !rollNumber.toUpperCase().includes("WU")) {
-        return res.status(400).json({ message: "Roll number must be 11 characters and contain 'WU'" });
-      }
-
-      const existingStudent = await User.findOne({ rollNumber: rollNumber.toUpperCase() });
-      if (existingStudent) {
-        return res.status(400).json({ message: "Roll number already exists" });
-      }
-    } else if (["teacher", "ta", "coordinator", "hod", "dean"].includes(role)) {
-      if (role === "teacher") {
-        // 1. Verify static Institutional Code instead of dynamic OTP
-        const { otp: institutionalCode } = req.body;
+// Validates and applies capacity, joinOpensAt, joinClosesAt and joinMode from a request body
+function applyJoinSettings(course, body) {
+  if (body.capacity !== undefined) {
+    const capacity = body.capacity === null || body.capacity === "" ? null : parseInt(body.capacity);
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) return "Capacity must be a positive number of seats";
+    course.capacity = capacity;
+  }
+  for (const field of ["joinOpensAt", "joinClosesAt"]) {
+    if (body[field] === undefined) continue;
+    const value = body[field] ? new Date(body[field]) : null;
+    if (value && isNaN(value)) return "Invalid joining window date";
+    course[field] = value;
+  }
+  if (course.joinOpensAt && course.joinClosesAt && course.joinOpensAt >= course.joinClosesAt) {
+    return "The joining window must close after it opens";
+  }
+  if (body.joinMode !== undefined) {
+    if (!["open", "approval"].includes(body.joinMode)) return "Invalid join mode";
+    course.joinMode = body.joinMode;
+  }
+  return null;
+}
 
-        if (!institutionalCode) return res.status(400).json({ message: "Institutional Code required" });
-        if (institutionalCode !== "97201") return res.status(400).json({ message: "Invalid Institutional Code" });
-      }
-    }
+// --- Prerequisites ---
+// A student's grade in a course code: marks over maximum marks across their marked submissions, as a percentage.
+// Every course ever run under the code counts (including archived ones); null when nothing has been graded.
+async function gradesByCode(userId, codes) {
+  const grades = new Map(codes.map((code) => [code, null]));
+  if (!codes.length) return grades;
+  const courses = await Course.find({ code: { $in: codes } }, { id: 1, code: 1 });
+  const assignments = await Assignment.find(
+    { courseId: { $in: courses.map((c) => c.id) }, submissions: { $elemMatch: { studentId: userId, marks: { $ne: null } } } },
+    { courseId: 1, maxMarks: 1, "submissions.$": 1 }
+  );
+  const codeOf = new Map(courses.map((c) => [c.id, c.code]));
+  const totals = new Map();
+  for (const a of assignments) {
+    const sub = a.submissions[0];
+    if (!a.maxMarks || sub.marks === null || sub.marks === undefined) continue;
+    const t = totals.get(codeOf.get(a.courseId)) || { marks: 0, max: 0 };
+    t.marks += sub.marks;
+    t.max += a.maxMarks;
+    totals.set(codeOf.get(a.courseId), t);
+  }
+  for (const [code, t] of totals) grades.set(code, Math.round((t.marks / t.max) * 1000) / 10);
+  return grades;
+}
 
-    const existingEmail = await User.findOne({ email: { $regex: new RegExp(`^${email.trim()}$`, "i") } });
-    if (existingEmail) {
-      return res.status(400).json({ message: "Email already registered" });
-    }
+// { eligible, unmet: [{ code, minGrade, grade, reason }] } for one course, given gradesByCode output
+function evaluatePrerequisites(course, grades) {
+  const unmet = (course.prerequisites || [])
+    .map((p) => ({ code: p.code, minGrade: p.minGrade, grade: grades.get(p.code) ?? null }))
+    .filter((p) => p.grade === null || p.grade < p.minGrade)
+    .map((p) => ({
+      ...p,
+      reason: p.grade === null
+        ? `No graded work in ${p.code}`
+        : `${p.code}: ${p.grade}% (needs ${p.minGrade}%)`,
+    }));
+  return { eligible: unmet.length === 0, unmet };
+}
 
-    const passwordHash = await bcrypt.hash(password, 10);
+// Validates and applies prerequisites: [{ code, minGrade }] from a request body
+async function applyPrerequisites(course, body) {
+  if (body.prerequisites === undefined) return null;
+  if (!Array.isArray(body.prerequisites)) return "Prerequisites must be a list";
+  const prerequisites = [];
+  for (const p of body.prerequisites) {
+    const code = String(p?.code || "").trim();
+    const minGrade = p?.minGrade === undefined || p.minGrade === "" ? 0 : Number(p.minGrade);
+    if (!code) return "Each prerequisite needs a course code";
+    if (code === course.code) return "A course cannot be its own prerequisite";
+    if (!Number.isFinite(minGrade) || minGrade < 0 || minGrade > 100) return `Minimum grade for ${code} must be between 0 and 100`;
+    if (prerequisites.some((q) => q.code === code)) return `${code} is listed twice`;
+    prerequisites.push({ code, minGrade });
+  }
+  const known = await Course.distinct("code", { code: { $in: prerequisites.map((p) => p.code) } });
+  const unknown = prerequisites.find((p) => !known.includes(p.code));
+  if (unknown) return `No course with code ${unknown.code}`;
+  course.prerequisites = prerequisites;
+  return null;
+}
 
-    // Derived semester logic
-    let derivedSemester = null;
-    if (role === "student" && year) {
-      // Assuming Sem 1 = Year 1 Sem 1, Sem 2 = Year 1 Sem 2, etc.
-      // Since user says semester is derived from year, but there are 2 semesters per year.
-      // I'll default to the start semester of that year.
-      derivedSemester = (parseInt(year) * 2) - 1;
+// Re-evaluate one course against all students, e.g. after it is created or its rules change
+async function syncCourseEnrollment(course, { trigger, actorId = null }) {
+  if (!course.isMandatory) {
+    if (course.autoEnrolled.length) {
+      course.autoEnrolled = [];
+      await course.save();
     }
+    return { added: [], removed: [] };
+  }
+  const matching = await User.find({
+    role: "student",
+    graduatedAt: null,
+    program: course.program,
+    semester: course.semester,
+    branch: { $in: course.sections }
+  }, { id: 1 });
 
-    const newUser = new User({
-      id: uuidv4(),
-      role,
-      rank: rank || null,
-      name,
-      email: email.toLowerCase(),
-      rollNumber: rollNumber ? rollNumber.toUpperCase() : null,
-      program: program || null,
-      branch: branch || null,
-      year: year ? parseInt(year) : null,
-      semester: derivedSemester,
-      department: department || null,
-      passwordHash,
-      isApproved: (role === "student"), // Students approved by default? User said admin approval for teacher.
-      createdAt: new Date(),
-    });
+  const matchingIds = new Set(matching.map((s) => s.id));
+  const added = [...matchingIds].filter((id) => !course.students.includes(id));
+  const removed = course.autoEnrolled.filter((id) => !matchingIds.has(id));
+  if (!added.length && !removed.length) return { added, removed };
 
-    await newUser.save();
+  course.students = [...course.students.filter((id) => !removed.includes(id)), ...added];
+  course.autoEnrolled = [...course.autoEnrolled.filter((id) => !removed.includes(id)), ...added];
+  await course.save();
+  await logEnrollment([
+    ...added.map((userId) => ({ courseId: course.id, userId, change: "added", source: "rule", trigger, actorId, detail: `Matches ${ruleLabel(course)}` })),
+    ...removed.map((userId) => ({ courseId: course.id, userId, change: "removed", source: "rule", trigger, actorId, detail: `No longer matches ${ruleLabel(course)}` })),
+  ]);
+  return { added, removed };
+}
 
-    const token = jwt.sign({ id: newUser.id, role: newUser.role }, JWT_SECRET, { expiresIn: "7d" });
+// Re-evaluate one user against all courses, e.g. after signup or a branch/semester change
+async function syncStudentEnrollment(user, { trigger, actorId = null }) {
+  const eligible = user.role === "student" && !user.graduatedAt;
+  const courses = await Course.find({
+    archivedAt: null,
+    $or: [
+      { isMandatory: true, program: user.program, semester: user.semester, sections: user.branch },
+      { autoEnrolled: user.id },
+    ],
+  });
 
-    res.json({
-      token,
-      user: {
-        id: newUser.id,
-        role: newUser.role,
-        name: newUser.name,
-        email: newUser.email,
-        rollNumber: newUser.rollNumber,
-        program: newUser.program,
-        branch: newUser.branch,
-        year: newUser.year,
-        semester: newUser.semester,
-        department: newUser.department,
-      },
-    });
-  } catch (err) {
-    console.error("Signup error:", err);
-    res.status(500).json({ message: "Server error" });
+  const events = [];
+  for (const course of courses) {
+    if (!course.isMandatory) {
+      course.autoEnrolled = course.autoEnrolled.filter((id) => id !== user.id);
+      await course.save();
+      continue;
+    }
+    const matches = eligible && matchesCourse(user, course);
+    if (matches && !course.students.includes(user.id)) {
+      course.students.push(user.id);
+      course.autoEnrolled.push(user.id);
+      events.push({ courseId: course.id, userId: user.id, change: "added", source: "rule", trigger, actorId, detail: `Matches ${ruleLabel(course)}` });
+    } else if (!matches && course.autoEnrolled.includes(user.id)) {
+      course.students = course.students.filter((id) => id !== user.id);
+      course.autoEnrolled = course.autoEnrolled.filter((id) => id !== user.id);
+      events.push({ courseId: course.id, userId: user.id, change: "removed", source: "rule", trigger, actorId, detail: `No longer matches ${ruleLabel(course)}` });
+    } else {
+      continue;
+    }
+    await course.save();
   }
-});
+  await logEnrollment(events);
+}
 
-// --- OTP Endpoints ---
+// Roll number validation: 11 chars and contains "WU"
+function isValidRollNumber(rollNumber) {
+  return String(rollNumber).length === 11 && String(rollNumber).toUpperCase().includes("WU");
+}
 
-// Request OTP for Signup (Teacher) or General
-app.post("/api/auth/send-otp", async (req, res) => {
-  try {
-    const { email, type } = req.body; // type: 'signup' or 'reset'
-    if (!email) return res.status(400).json({ message: "Email required" });
+// Escape user input before embedding it in a RegExp
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
-    const normalizedEmail = email.trim().toLowerCase();
+// Case-insensitive email lookup (older accounts were stored with mixed case)
+function findUserByEmail(email) {
+  return User.findOne({ email: { $regex: new RegExp(`^${escapeRegex(email.trim())}$`, "i") } });
+}
 
-    // If it's a password reset, verify the user exists first
-    if (type === "reset") {
-      // Use regex for case-insensitive match (handles Stenzin vs stenzin)
-      const user = await User.findOne({ email: { $regex: new RegExp(`^${normalizedEmail}$`, "i") } });
-      if (!user) {
-        return res.status(404).json({ message: "No account found with this email address." });
-      }
-    }
+// --- Academic structure ---
+// Branch values as stored on users and course sections: "AIML - Tigers", or "ECE" for a branch without sections
+function branchValues(structure) {
+  return structure.branches.flatMap((b) => (b.sections.length ? b.sections.map((s) => `${b.name} - ${s}`) : [b.name]));
+}
 
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
-    const expires = Date.now() + 10 * 60 * 1000; // 10 mins
+function totalSemesters(structure) {
+  return structure.years * structure.semestersPerYear;
+}
 
-    otpMap.set(normalizedEmail, { code, expires });
+function toAcademicStructure(structure) {
+  return {
+    id: structure.id,
+    program: structure.program,
+    years: structure.years,
+    semestersPerYear: structure.semestersPerYear,
+    semesters: totalSemesters(structure),
+    branches: structure.branches.map((b) => ({ name: b.name, sections: b.sections })),
+    branchValues: branchValues(structure),
+    isActive: structure.isActive,
+  };
+}
 
-    let subject = "Your OTP Code";
-    let text = `Your verification code is: ${code}`;
-    let to = normalizedEmail;
+// Checks a student's programme/branch/year against an already loaded structure.
+// Returns { error } or { semester } (students start a year in its first semester).
+function resolvePlacement(structure, program, branch, year) {
+  if (!structure || !structure.isActive) return { error: `Unknown program "${program}"` };
+  if (!branchValues(structure).includes(branch)) return { error: `Unknown branch "${branch}" for ${program}` };
+  const y = parseInt(year);
+  if (!(y >= 1 && y <= structure.years)) return { error: `Year must be between 1 and ${structure.years} for ${program}` };
+  return { semester: (y - 1) * structure.semestersPerYear + 1 };
+}
 
-    if (type === "signup") {
-      return res.status(400).json({ message: "Signup OTP is no longer required. Use Institutional Code." });
-    }
+async function resolveStudentPlacement(program, branch, year) {
+  return resolvePlacement(await AcademicStructure.findOne({ program }), program, branch, year);
+}
 
-    console.log(`[OTP] Generated ${code} for ${to}. Expires in 10m.`);
-    await sendEmail(to, subject, text);
-    res.json({ message: `OTP sent successfully to ${to}` });
+// Returns an error message, or null when the course fits the structure
+async function checkCoursePlacement(program, semester, sections = []) {
+  const structure = await AcademicStructure.findOne({ program, isActive: true });
+  if (!structure) return `Unknown program "${program}"`;
+  const sem = parseInt(semester);
+  if (!(sem >= 1 && sem <= totalSemesters(structure))) {
+    return `Semester must be between 1 and ${totalSemesters(structure)} for ${program}`;
+  }
+  const allowed = branchValues(structure);
+  const unknown = sections.filter((s) => !allowed.includes(s));
+  if (unknown.length) return `Unknown section(s) for ${program}: ${unknown.join(", ")}`;
+  return null;
+}
+
+// Where a student lands after one term: the next semester, or graduation after the last one
+function promotionFor(student, structure) {
+  if (!structure) return { skip: `Unknown program "${student.program}"` };
+  if (!student.semester) return { skip: "No current semester" };
+  const semester = student.semester + 1;
+  if (semester > totalSemesters(structure)) return { graduate: true };
+  return { semester, year: Math.ceil(semester / structure.semestersPerYear) };
+}
+
+// Whether a student satisfies a course's enrollment rules
+function matchesCourse(student, course) {
+  return course.isMandatory && student.program === course.program && student.semester === course.semester && course.sections.includes(student.branch);
+}
+
+// Shape returned to the frontend for the signed-in user
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    role: user.role,
+    rank: user.rank,
+    name: user.name,
+    email: user.email,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: user.twoFactorEnabled,
+    rollNumber: user.rollNumber,
+    program: user.program,
+    branch: user.branch,
+    year: user.year,
+    semester: user.semester,
+    department: user.department,
+    profilePhotoUrl: user.profilePhotoUrl,
+  };
+}
+
+// --- Sessions ---
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function signAccessToken(user) {
+  return jwt.sign(
+    { id: user.id, role: user.role, tv: user.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+async function createRefreshToken(user, req) {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const record = await RefreshToken.create({
+    id: uuidv4(),
+    userId: user.id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.headers["user-agent"] || null,
+    ip: req.ip,
+  });
+  return { refreshToken, record };
+}
+
+// Issue a short-lived access token plus a refresh token stored in Mongo
+async function issueSession(user, req) {
+  const { refreshToken } = await createRefreshToken(user, req);
+  return { token: signAccessToken(user), refreshToken };
+}
+
+// Log the user out everywhere: revoke refresh tokens and invalidate access tokens
+async function revokeAllSessions(user) {
+  await RefreshToken.updateMany({ userId: user.id, revokedAt: null }, { revokedAt: new Date() });
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  await user.save();
+}
+
+// --- Throttling ---
+function isBlocked(bucket) {
+  return !!(bucket && bucket.blockedUntil && bucket.blockedUntil > new Date());
+}
+
+function minutesUntil(date) {
+  return Math.max(1, Math.ceil((date - Date.now()) / 60000));
+}
+
+// Count one event for `key` in a fixed window. Once `limit` is reached the key is
+// blocked for `blockMs` and the count starts over.
+// Every step is a single atomic update so parallel hits are all counted
+async function hitThrottle(key, { windowMs, limit, blockMs }, retried = false) {
+  const now = new Date();
+  try {
+    await Throttle.updateOne({ key, windowStart: { $lt: new Date(now.getTime() - windowMs) } }, { $set: { count: 0, windowStart: now } });
+    let bucket = await Throttle.findOneAndUpdate(
+      { key },
+      { $inc: { count: 1 }, $set: { lastAt: now }, $setOnInsert: { windowStart: now }, $max: { expiresAt: new Date(now.getTime() + windowMs) } },
+      { upsert: true, new: true }
+    );
+    if (limit && blockMs && bucket.count >= limit) {
+      const blockedUntil = new Date(now.getTime() + blockMs);
+      // Only the request that crossed the limit resets the count
+      bucket = (await Throttle.findOneAndUpdate(
+        { key, count: { $gte: limit } },
+        { $set: { blockedUntil, count: 0, windowStart: now }, $max: { expiresAt: blockedUntil } },
+        { new: true }
+      )) || (await Throttle.findOne({ key }));
+    }
+    return bucket;
+  } catch (err) {
+    // Two first hits can both try to insert the bucket; the loser retries against the winner's document
+    if (err.code === 11000 && !retried) return hitThrottle(key, { windowMs, limit, blockMs }, true);
+    throw err;
+  }
+}
+
+function clearThrottle(key) {
+  return Throttle.deleteOne({ key });
+}
+
+// --- Login protection ---
+// Delay before this account may try again (doubles with every failure past the threshold)
+function loginBackoffMs(user) {
+  const extra = (user.failedLoginAttempts || 0) - LOGIN_BACKOFF_AFTER;
+  if (extra < 0 || !user.lastFailedLoginAt) return 0;
+  const delay = Math.min(1000 * 2 ** extra, LOGIN_BACKOFF_MAX_MS);
+  return user.lastFailedLoginAt.getTime() + delay - Date.now();
+}
+
+// Failure counters for an identifier. Unknown identifiers are tracked in a throttle bucket
+// with the same thresholds, so lockout and backoff responses do not reveal which accounts exist.
+function loginFailureState(user, bucket) {
+  if (user) return user;
+  return { failedLoginAttempts: bucket?.count, lastFailedLoginAt: bucket?.lastAt, lockedUntil: bucket?.blockedUntil };
+}
+
+function recordUnknownLoginFailure(idKey) {
+  return hitThrottle(idKey, { windowMs: LOGIN_UNKNOWN_ID_WINDOW_MS, limit: LOGIN_LOCKOUT_AFTER, blockMs: LOGIN_LOCKOUT_MS });
+}
+
+// Why an account may not sign in even with the right credentials: { status, message, code? }, or null
+function loginRefusal(user) {
+  if (!user.isApproved) {
+    const message = user.rejectionReason
+      ? `Your account request was rejected: ${user.rejectionReason}`
+      : "Your account is awaiting administrator approval";
+    return { status: 403, message };
+  }
+  if (user.isActive === false) {
+    return { status: 403, message: "This account has been deactivated. Please contact the administration office." };
+  }
+  if (user.mustResetPassword) {
+    return {
+      status: 403,
+      message: "An administrator has asked you to choose a new password. Use \"Forgot password?\" to reset it.",
+      code: "PASSWORD_RESET_REQUIRED",
+    };
+  }
+  return null;
+}
+
+async function recordFailedLogin(user) {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < LOGIN_LOCKOUT_AFTER) return;
+
+  // Only the request that reached the threshold locks the account and sends the email
+  const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MS);
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, failedLoginAttempts: { $gte: LOGIN_LOCKOUT_AFTER } },
+    { $set: { lockedUntil, failedLoginAttempts: 0 } },
+    { new: true }
+  );
+  if (!locked) return;
+  console.warn(`[Auth] Account ${user.id} locked until ${lockedUntil.toISOString()}`);
+
+  if (user.email) {
+    sendEmail(user.email, "Your HorizonX account has been locked",
+      `Hello ${user.name},\n\nWe locked your account for ${LOGIN_LOCKOUT_MS / 60000} minutes after ${LOGIN_LOCKOUT_AFTER} failed login attempts.\n` +
+      `If this wasn't you, reset your password with "Forgot password" once the lock expires, or ask an administrator to unlock your account.`)
+      .catch((e) => console.warn("[Auth] Lockout email failed:", e.message));
+  }
+}
+
+// --- Two-factor (TOTP, RFC 6238) ---
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0, value = 0, output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  let bits = 0, value = 0;
+  const bytes = [];
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) continue;
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function totpAt(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+  return code.toString().padStart(6, "0");
+}
+
+// Returns the matching 30s step (allowing one step of clock drift) or null
+function matchTotp(secret, code) {
+  const current = Math.floor(Date.now() / 30000);
+  for (const counter of [current - 1, current, current + 1]) {
+    if (totpAt(secret, counter) === String(code).trim()) return counter;
+  }
+  return null;
+}
+
+// Secrets are stored encrypted (AES-256-GCM) so a database dump alone cannot mint codes
+function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", TWO_FACTOR_KEY, iv);
+  const data = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((b) => b.toString("hex")).join(":");
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, data] = stored.split(":").map((h) => Buffer.from(h, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", TWO_FACTOR_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+}
+
+function generateBackupCodes() {
+  return Array.from({ length: TWO_FACTOR_BACKUP_CODES }, () => {
+    const raw = crypto.randomBytes(4).toString("hex");
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+}
+
+// Accepts a TOTP code or an unused backup code. Updates (but does not save) the user.
+function checkSecondFactor(user, code) {
+  const value = String(code || "").trim().toLowerCase();
+  if (!value || !user.twoFactorSecret) return false;
+
+  if (/^\d{6}$/.test(value)) {
+    const counter = matchTotp(decryptSecret(user.twoFactorSecret), value);
+    if (counter === null || counter <= (user.twoFactorLastCounter || 0)) return false;
+    user.twoFactorLastCounter = counter;
+    return true;
+  }
+
+  const idx = user.twoFactorBackupCodes.indexOf(hashToken(value));
+  if (idx === -1) return false;
+  user.twoFactorBackupCodes.splice(idx, 1);
+  return true;
+}
+
+// checkSecondFactor behind the per-user lockout shared by every 2FA prompt.
+// Returns null on success, otherwise { status, message } for the response.
+async function verifySecondFactor(user, code) {
+  const lockKey = `2fa:${user.id}`;
+  const lock = await Throttle.findOne({ key: lockKey });
+  if (isBlocked(lock)) {
+    return { status: 429, message: `Too many incorrect codes. Try again in ${minutesUntil(lock.blockedUntil)} minute(s).` };
+  }
+  if (!checkSecondFactor(user, code)) {
+    await hitThrottle(lockKey, { windowMs: LOGIN_IP_WINDOW_MS, limit: OTP_MAX_ATTEMPTS, blockMs: LOGIN_LOCKOUT_MS });
+    return { status: 400, message: "Invalid authentication code" };
+  }
+  await clearThrottle(lockKey);
+  return null;
+}
+
+async function isTwoFactorRequired(user) {
+  if (user.twoFactorEnabled || !TWO_FACTOR_ROLES.includes(user.role)) return false;
+  const roles = await getSetting("twoFactorRequiredRoles", []);
+  return roles.includes(user.role);
+}
+
+// --- One-time codes ---
+function hashOtp(email, purpose, code) {
+  return crypto.createHmac("sha256", JWT_SECRET).update(`${purpose}:${email}:${code}`).digest("hex");
+}
+
+// Returns { status, message } when this email/IP may not be sent another code yet
+async function checkOtpSendAllowed(email, ip) {
+  const lock = await Throttle.findOne({ key: `otp-verify:${email}` });
+  if (isBlocked(lock)) {
+    return { status: 429, message: `Too many incorrect codes. Try again in ${minutesUntil(lock.blockedUntil)} minute(s).` };
+  }
+
+  for (const limit of OTP_SEND_LIMITS) {
+    const bucket = await Throttle.findOne({ key: `otp-send:${limit.scope}:${limit.scope === "email" ? email : ip}` });
+    if (!bucket) continue;
+
+    const waitMs = bucket.lastAt ? bucket.lastAt.getTime() + limit.cooldownMs - Date.now() : 0;
+    if (waitMs > 0) {
+      return { status: 429, message: `Please wait ${Math.ceil(waitMs / 1000)}s before requesting another code.` };
+    }
+    const windowOpen = Date.now() - bucket.windowStart < OTP_SEND_WINDOW_MS;
+    if (windowOpen && bucket.count >= limit.maxPerWindow) {
+      return { status: 429, message: "Too many codes requested. Please try again later." };
+    }
+  }
+  return null;
+}
+
+// Create (or replace) the code for email + purpose and count it against the send limits
+async function createOtp(email, purpose, ip) {
+  const code = crypto.randomInt(100000, 1000000).toString();
+  await Otp.findOneAndUpdate(
+    { email, purpose },
+    { codeHash: hashOtp(email, purpose, code), attempts: 0, ip, expiresAt: new Date(Date.now() + OTP_TTL_MS), createdAt: new Date() },
+    { upsert: true }
+  );
+  await countOtpSend(email, ip);
+  return code;
+}
+
+async function countOtpSend(email, ip) {
+  for (const limit of OTP_SEND_LIMITS) {
+    await hitThrottle(`otp-send:${limit.scope}:${limit.scope === "email" ? email : ip}`, { windowMs: OTP_SEND_WINDOW_MS });
+  }
+}
+
+// Consumes the code when it matches. Returns { status, message } on failure.
+async function verifyOtp(email, purpose, code) {
+  const lockKey = `otp-verify:${email}`;
+  const lock = await Throttle.findOne({ key: lockKey });
+  if (isBlocked(lock)) {
+    return { status: 429, message: `Too many incorrect codes. Try again in ${minutesUntil(lock.blockedUntil)} minute(s).` };
+  }
+
+  // Claim an attempt before comparing, atomically, so parallel guesses cannot exceed OTP_MAX_ATTEMPTS
+  const record = await Otp.findOneAndUpdate(
+    { email, purpose, expiresAt: { $gt: new Date() }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!record) {
+    return { status: 400, message: "Invalid or expired OTP" };
+  }
+
+  const expected = Buffer.from(record.codeHash, "hex");
+  const actual = Buffer.from(hashOtp(email, purpose, String(code).trim()), "hex");
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    if (record.attempts >= OTP_MAX_ATTEMPTS) await Otp.deleteOne({ _id: record._id });
+
+    const bucket = await hitThrottle(lockKey, { windowMs: OTP_LOCKOUT_MS, limit: OTP_LOCKOUT_FAILURES, blockMs: OTP_LOCKOUT_MS });
+    if (isBlocked(bucket)) {
+      return { status: 429, message: `Too many incorrect codes. Try again in ${minutesUntil(bucket.blockedUntil)} minute(s).` };
+    }
+    if (record.attempts >= OTP_MAX_ATTEMPTS) {
+      return { status: 400, message: "Too many incorrect attempts. Please request a new code." };
+    }
+    return { status: 400, message: `Invalid OTP. ${OTP_MAX_ATTEMPTS - record.attempts} attempt(s) left.` };
+  }
+
+  // A code is consumed once, even if the same correct code arrives twice at the same time
+  const { deletedCount } = await Otp.deleteOne({ _id: record._id });
+  if (!deletedCount) return { status: 400, message: "Invalid or expired OTP" };
+  await clearThrottle(lockKey);
+  return null;
+}
+
+// Email a verification code; failures are logged so signup still succeeds
+async function sendVerificationCode(user, ip) {
+  try {
+    const code = await createOtp(user.email, "verify", ip);
+    await sendEmail(user.email, "Verify your HorizonX email",
+      `Hello ${user.name},\n\nYour email verification code is: ${code}\n\nIt expires in ${OTP_TTL_MS / 60000} minutes. ` +
+      `Enter it on the portal to unlock your account.`);
+  } catch (err) {
+    console.warn(`[Verify] Could not send verification code to ${user.email}:`, err.message);
+  }
+}
+
+// Routes an account may use before its email address is verified
+const UNVERIFIED_ALLOWED_ROUTES = ["GET /api/me", "POST /api/auth/logout-all"];
+// ...and before enrolling in 2FA when its role requires it
+const TWO_FACTOR_SETUP_ROUTES = [...UNVERIFIED_ALLOWED_ROUTES, "GET /api/me/2fa", "POST /api/me/2fa/setup", "POST /api/me/2fa/enable"];
+
+function isImpersonationBlocked(route) {
+  return IMPERSONATION_BLOCKED_ROUTES.some((pattern) =>
+    new RegExp(`^${pattern.split("*").map(escapeRegex).join("[^ ]*")}$`).test(route));
+}
+
+// --- Auth middleware ---
+async function authMiddleware(req, res, next) {
+  const authHeader = req.headers["authorization"];
+  if (!authHeader)
+    return res.status(401).json({ message: "No token" });
+
+  const token = authHeader.split(" ")[1];
+  if (!token) return res.status(401).json({ message: "Invalid token" });
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+    // Purpose tokens (e.g. the 2FA login challenge) are not access tokens
+    if (decoded.purpose) throw new Error("Not an access token");
+  } catch (err) {
+    return res
+      .status(401)
+      .json({ message: "Token invalid or expired" });
+  }
+
+  try {
+    // Re-read the account so approval and role changes apply to existing tokens
+    const user = await User.findOne({ id: decoded.id });
+    if (!user) return res.status(401).json({ message: "Account not found" });
+    if (user.isActive === false) return res.status(401).json({ message: "This account has been deactivated" });
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: "Session has been revoked" });
+    }
+    if (!user.isApproved) {
+      return res.status(403).json({ message: "Your account is awaiting administrator approval" });
+    }
+    const route = `${req.method} ${req.originalUrl.split("?")[0]}`;
+    if (!user.emailVerified && !UNVERIFIED_ALLOWED_ROUTES.includes(route)) {
+      return res.status(403).json({ message: "Please verify your email address to continue", code: "EMAIL_UNVERIFIED" });
+    }
+    if (!TWO_FACTOR_SETUP_ROUTES.includes(route) && await isTwoFactorRequired(user)) {
+      return res.status(403).json({ message: "Your role requires two-factor authentication. Set it up in your Profile.", code: "TWO_FACTOR_SETUP_REQUIRED" });
+    }
+    if (decoded.imp) {
+      // Impersonation tokens die with the admin's own sessions and are read-only
+      const admin = await User.findOne({ id: decoded.imp.by });
+      if (!admin || admin.isActive === false || !can(admin, "user.impersonate") || (decoded.imp.tv || 0) !== (admin.tokenVersion || 0)) {
+        return res.status(401).json({ message: "Impersonation session has ended" });
+      }
+      if ((req.method !== "GET" && route !== "POST /api/impersonation/end") || isImpersonationBlocked(route)) {
+        return res.status(403).json({ message: "Not available while viewing as another user", code: "IMPERSONATION_READ_ONLY" });
+      }
+    }
+    req.user = { id: user.id, role: user.role, department: user.department || "" };
+    if (decoded.imp) req.user.impersonation = { by: decoded.imp.by, sessionId: decoded.imp.sid };
+    next();
+  } catch (err) {
+    console.error("Auth middleware error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+}
+
+// --- Permissions ---
+// Single source of truth for who may do what: action -> role -> scope.
+//   "any"        every record
+//   "department" records of the user's own department (and courses they teach)
+//   "own"        courses the user teaches
+//   "enrolled"   courses the student is enrolled in
+// Roles missing from an action are denied.
+const POLICY = {
+  "course.create": { teacher: "any", coordinator: "any", hod: "any", dean: "any", admin: "any" },
+  "course.update": { teacher: "own", coordinator: "department", hod: "department", dean: "any", admin: "any" },
+  "course.reassign": { hod: "department", dean: "any", admin: "any" },
+  "course.restore": { hod: "department", dean: "any", admin: "any" },
+  "course.clone": { teacher: "own", coordinator: "department", hod: "department", dean: "any", admin: "any" },
+  "course.delete": { teacher: "own", coordinator: "own", hod: "department", dean: "any", admin: "any" },
+  "course.join": { student: "any" },
+  "enrollment.approve": { teacher: "own", coordinator: "department", hod: "department", dean: "any", admin: "any" },
+  "material.manage": { teacher: "own", ta: "department", coordinator: "department", hod: "department", dean: "any", admin: "any" },
+  "datesheet.manage": { teacher: "own", coordinator: "department", hod: "department", dean: "any", admin: "any" },
+  "assignment.create": { teacher: "own", coordinator: "department", hod: "department" },
+  "assignment.submit": { student: "enrolled" },
+  "staff.view": { teacher: "own", coordinator: "department", hod: "department", dean: "any", admin: "any" },
+  "staff.manage": { teacher: "own", coordinator: "department", hod: "department", dean: "any", admin: "any" },
+  "enrollment.view": { teacher: "own", coordinator: "department", hod: "department", dean: "any", admin: "any" },
+  "roster.view": { teacher: "own", coordinator: "department", hod: "department", dean: "any", admin: "any" },
+  "roster.manage": { teacher: "own", coordinator: "department", hod: "department", dean: "any", admin: "any" },
+  "submission.view": { teacher: "own", ta: "department", coordinator: "department", hod: "department", dean: "any", admin: "any" },
+  "submission.grade": { teacher: "own", ta: "department", hod: "department" },
+  "material.view": { student: "enrolled", teacher: "any", ta: "any", coordinator: "any", hod: "any", pd: "any", dean: "any", admin: "any" },
+  "message.read": { student: "enrolled", teacher: "any", ta: "any", coordinator: "any", hod: "any", pd: "any", dean: "any", admin: "any" },
+  "message.post": { student: "enrolled", teacher: "own", ta: "any", coordinator: "any", hod: "any", pd: "any", dean: "any", admin: "any" },
+  "faculty.discuss": { teacher: "any", ta: "any", coordinator: "any", hod: "any", dean: "any" },
+  "schedule.create": { coordinator: "any", hod: "any", admin: "any" },
+  "schedule.viewAll": { teacher: "any", coordinator: "any", hod: "any", pd: "any", dean: "any", admin: "any" },
+  "broadcast.send": { hod: "any", pd: "any", admin: "any" },
+  "broadcast.viewAll": { ta: "any", coordinator: "any", hod: "any", pd: "any", dean: "any", admin: "any" },
+  "user.approve": { dean: "any", admin: "any" },
+  "user.manage": { admin: "any" },
+  "user.impersonate": { admin: "any" },
+  "settings.manage": { admin: "any" },
+  "structure.manage": { admin: "any" },
+  "term.rollover": { admin: "any" },
+  "audit.view": { dean: "any", admin: "any" },
+};
+
+// Course staff roles and what each grants on that course, whatever the member's account role.
+// The lead teacher (course.teacherId) is always an instructor.
+const COURSE_STAFF_ROLES = {
+  instructor: ["course.update", "course.clone", "material.view", "material.manage", "datesheet.manage", "assignment.create", "submission.view", "submission.grade", "message.read", "message.post", "enrollment.view", "enrollment.approve", "roster.view", "roster.manage", "staff.view", "staff.manage"],
+  "co-instructor": ["material.view", "material.manage", "datesheet.manage", "assignment.create", "submission.view", "submission.grade", "message.read", "message.post", "enrollment.view", "enrollment.approve", "roster.view", "roster.manage", "staff.view"],
+  ta: ["material.view", "material.manage", "submission.view", "message.read", "message.post", "roster.view", "staff.view"],
+  grader: ["material.view", "submission.view", "submission.grade", "staff.view"],
+};
+
+function courseStaffRole(course, userId) {
+  if (course.teacherId === userId) return "instructor";
+  const member = (course.staff || []).find((s) => s.userId === userId);
+  return member ? member.role : null;
+}
+
+// Without a record only the role is checked (e.g. to decide whether to show a button)
+function can(user, action, course = null) {
+  const staffRole = course && user.role !== "student" ? courseStaffRole(course, user.id) : null;
+  if (staffRole && COURSE_STAFF_ROLES[staffRole].includes(action)) return true;
+
+  const scope = POLICY[action]?.[user.role];
+  if (!scope) return false;
+  if (scope === "any" || !course) return true;
+  if (scope === "enrolled") return course.students.includes(user.id);
+  if (course.teacherId === user.id) return true;
+  return scope === "department" && !!user.department && course.department === user.department;
+}
+
+const ARCHIVED_COURSE_MESSAGE = "This course is archived and read-only";
+
+// Resource loaders for requirePermission; they also stash what they load on req
+const COURSE_FROM_PARAMS = {
+  notFound: "Course not found",
+  load: async (req) => (req.course = await Course.findOne({ id: req.params.courseId || req.params.id })),
+};
+const COURSE_FROM_ASSIGNMENT = {
+  notFound: "Assignment not found",
+  load: async (req) => {
+    req.assignment = await Assignment.findOne({ id: req.params.assignmentId });
+    if (!req.assignment) return null;
+    return (req.course = await Course.findOne({ id: req.assignment.courseId }));
+  },
+};
+
+// Actions that still work on archived (read-only) courses: bringing them back, or copying them forward
+const ARCHIVE_ALLOWED_ACTIONS = new Set(["course.restore", "course.clone"]);
+
+// With a resource the record decides, since course staff roles can grant actions the account role lacks
+function requirePermission(action, resource = null) {
+  return async (req, res, next) => {
+    try {
+      if (!resource && !POLICY[action]?.[req.user.role]) {
+        return res.status(403).json({ message: "You do not have permission to do this" });
+      }
+      if (resource) {
+        const record = await resource.load(req);
+        if (!record) return res.status(404).json({ message: resource.notFound });
+        if (!can(req.user, action, record)) {
+          return res.status(403).json({ message: "You do not have permission to do this for this course" });
+        }
+        if (record.archivedAt && req.method !== "GET" && !ARCHIVE_ALLOWED_ACTIONS.has(action)) {
+          return res.status(403).json({ message: ARCHIVED_COURSE_MESSAGE, code: "COURSE_ARCHIVED" });
+        }
+      }
+      next();
+    } catch (err) {
+      console.error("Permission check error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  };
+}
+
+// --- Auth routes ---
+// Signup: role = 'student' or 'teacher'
+app.post("/api/signup", async (req, res) => {
+  try {
+    const {
+      role,
+      name,
+      email,
+      rollNumber,
+      program,
+      branch,
+      year,
+      department,
+      rank,
+      password,
+    } = req.body;
+
+    if (!role || !name || !email || !password) {
+      return res.status(400).json({ message: "Missing required fields" });
+    }
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+    if (!(await isEmailDomainAllowed(email.trim(), role))) {
+      return res.status(400).json({ message: "This email domain is not allowed for the selected role" });
+    }
+
+    // Role-specific checks
+    let invite = null;
+    let placement = null;
+    if (role === "student") {
+      if (!rollNumber || !program || !branch || !year) {
+        return res.status(400).json({ message: "Missing student fields" });
+      }
+      if (!isValidRollNumber(rollNumber)) {
+        return res.status(400).json({ message: "Roll number must be 11 characters and contain 'WU'" });
+      }
+
+      const existingStudent = await User.findOne({ rollNumber: rollNumber.toUpperCase() });
+      if (existingStudent) {
+        return res.status(400).json({ message: "Roll number already exists" });
+      }
+
+      placement = await resolveStudentPlacement(program, branch, year);
+      if (placement.error) return res.status(400).json({ message: placement.error });
+    } else {
+      // Every non-student role needs an invite code issued for that role
+      const code = (req.body.inviteCode || "").trim().toUpperCase();
+      if (!code) return res.status(400).json({ message: "Invite code required" });
+
+      invite = await InviteCode.findOne({ code, revokedAt: null });
+      if (!invite || invite.role !== role) return res.status(400).json({ message: "Invalid invite code" });
+      if (invite.expiresAt && invite.expiresAt < new Date()) return res.status(400).json({ message: "Invite code has expired" });
+      if (invite.uses >= invite.maxUses) return res.status(400).json({ message: "Invite code has already been used" });
+    }
+
+    const existingEmail = await findUserByEmail(email);
+    if (existingEmail) {
+      return res.status(400).json({ message: "Email already registered" });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    if (invite) {
+      // Claim a use atomically so a single-use code cannot be redeemed twice
+      const claimed = await InviteCode.findOneAndUpdate(
+        { id: invite.id, revokedAt: null, $expr: { $lt: ["$uses", "$maxUses"] } },
+        { $inc: { uses: 1 } }
+      );
+      if (!claimed) return res.status(400).json({ message: "Invite code has already been used" });
+    }
+
+    const newUser = new User({
+      id: uuidv4(),
+      role,
+      rank: rank || null,
+      name,
+      email: email.toLowerCase(),
+      rollNumber: rollNumber ? rollNumber.toUpperCase() : null,
+      program: program || null,
+      branch: branch || null,
+      year: year ? parseInt(year) : null,
+      semester: placement ? placement.semester : null,
+      department: (invite && invite.department) || department || null,
+      passwordHash,
+      isApproved: (role === "student"), // Students approved by default? User said admin approval for teacher.
+      createdAt: new Date(),
+    });
+
+    await newUser.save();
+    await syncStudentEnrollment(newUser, { trigger: "signup" });
+    if (invite) await InviteCode.updateOne({ id: invite.id }, { $push: { usedBy: newUser.id } });
+    await sendVerificationCode(newUser, req.ip);
+
+    // Faculty accounts wait for an admin/dean before they receive a token
+    if (!newUser.isApproved) {
+      return res.json({
+        pending: true,
+        message: "Account created. Check your inbox for a verification code; an administrator will email you once your account is approved.",
+      });
+    }
+
+    const session = await issueSession(newUser, req);
+    res.json({ ...session, user: toPublicUser(newUser) });
+  } catch (err) {
+    console.error("Signup error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// --- OTP Endpoints ---
+
+// Request OTP for Signup (Teacher) or General
+app.post("/api/auth/send-otp", async (req, res) => {
+  try {
+    const { email, type } = req.body; // type: 'signup' or 'reset'
+    if (!email) return res.status(400).json({ message: "Email required" });
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    if (type === "signup") {
+      return res.status(400).json({ message: "Signup OTP is no longer required. Use an invite code." });
+    }
+
+    const blocked = await checkOtpSendAllowed(normalizedEmail, req.ip);
+    if (blocked) return res.status(blocked.status).json({ message: blocked.message });
+
+    // Unknown emails get the same reply and use up the same send limits, so the endpoint cannot be used to probe addresses
+    const sent = { message: "If an account exists for this email, a verification code has been sent." };
+    const user = await findUserByEmail(normalizedEmail);
+    if (!user) {
+      await countOtpSend(normalizedEmail, req.ip);
+      return res.json(sent);
+    }
+
+    const code = await createOtp(normalizedEmail, "reset", req.ip);
+
+    let subject = "Your OTP Code";
+    let text = `Your verification code is: ${code}\n\nIt expires in ${OTP_TTL_MS / 60000} minutes.`;
+    let to = normalizedEmail;
+
+    console.log(`[OTP] Generated code for ${to}. Expires in ${OTP_TTL_MS / 60000}m.`);
+    await sendEmail(to, subject, text);
+    res.json(sent);
+  } catch (err) {
+    console.error("❌ Send OTP API Error:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Verify OTP & Reset Password
+app.post("/api/auth/reset-password-otp", async (req, res) => {
+  try {
+    const { email, otp, newPassword } = req.body;
+    if (!email || !otp || !newPassword) return res.status(400).json({ message: "All fields required" });
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const failure = await verifyOtp(normalizedEmail, "reset", otp);
+    if (failure) return res.status(failure.status).json({ message: failure.message });
+
+    const user = await findUserByEmail(normalizedEmail);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const hashed = await bcrypt.hash(newPassword, 10);
+    user.passwordHash = hashed;
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+    user.mustResetPassword = false;
+    // The OTP reached this inbox, which proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await revokeAllSessions(user);
+
+    res.json({ message: "Password reset successfully" });
+  } catch (err) {
+    console.error("❌ Reset Password API Error:", err.message);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Confirm ownership of an email address with the code sent at signup
+app.post("/api/auth/verify-email", async (req, res) => {
+  try {
+    const { email, code } = req.body;
+    if (!email || !code) return res.status(400).json({ message: "Email and code required" });
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const failure = await verifyOtp(normalizedEmail, "verify", code);
+    if (failure) return res.status(failure.status).json({ message: failure.message });
+
+    const user = await findUserByEmail(normalizedEmail);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    res.json({ message: "Email verified", user: toPublicUser(user) });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.post("/api/auth/resend-verification", async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: "Email required" });
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const blocked = await checkOtpSendAllowed(normalizedEmail, req.ip);
+    if (blocked) return res.status(blocked.status).json({ message: blocked.message });
+
+    const user = await findUserByEmail(normalizedEmail);
+    if (user && !user.emailVerified) {
+      await sendVerificationCode(user, req.ip);
+    }
+    // Same answer either way so the endpoint does not reveal which addresses exist
+    res.json({ message: "If this address belongs to an unverified account, a new code has been sent." });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Test SMTP connectivity
+app.get("/api/auth/test-smtp", async (req, res) => {
+  try {
+    await sendEmail(ADMIN_EMAIL, "SMTP Test", "If you receive this, your SMTP configuration is working correctly.");
+    res.json({ message: "Test email sent to " + ADMIN_EMAIL });
+  } catch (err) {
+    res.status(500).json({ message: "SMTP Test failed: " + err.message });
+  }
+});
+
+// Login (every role): emails resolve any account, roll numbers resolve students
+app.post("/api/login", async (req, res) => {
+  try {
+    const { identifier, password } = req.body;
+    if (!identifier || !password) {
+      return res.status(400).json({ message: "Missing fields" });
+    }
+
+    const ipKey = `login:ip:${req.ip}`;
+    const ipBucket = await Throttle.findOne({ key: ipKey });
+    if (isBlocked(ipBucket)) {
+      return res.status(429).json({
+        message: `Too many failed logins from this network. Try again in ${minutesUntil(ipBucket.blockedUntil)} minute(s).`,
+      });
+    }
+
+    const value = identifier.trim();
+    const user = value.includes("@")
+      ? await findUserByEmail(value)
+      : await User.findOne({ role: "student", rollNumber: value.toUpperCase() });
+    const idKey = `login:id:${value.toLowerCase()}`;
+    const failures = loginFailureState(user, user ? null : await Throttle.findOne({ key: idKey }));
+
+    if (failures.lockedUntil && failures.lockedUntil > new Date()) {
+      return res.status(429).json({
+        message: `This account is locked after repeated failed logins. Try again in ${minutesUntil(failures.lockedUntil)} minute(s).`,
+      });
+    }
+    const waitMs = loginBackoffMs(failures);
+    if (waitMs > 0) {
+      return res.status(429).json({ message: `Too many failed attempts. Please wait ${Math.ceil(waitMs / 1000)}s and try again.` });
+    }
+
+    const isMatch = await bcrypt.compare(
+      password,
+      user ? user.passwordHash : DUMMY_PASSWORD_HASH
+    );
+    if (!user || !isMatch) {
+      await hitThrottle(ipKey, { windowMs: LOGIN_IP_WINDOW_MS, limit: LOGIN_IP_MAX_FAILURES, blockMs: LOGIN_IP_WINDOW_MS });
+      if (user) await recordFailedLogin(user);
+      else await recordUnknownLoginFailure(idKey);
+      // Same message either way so identifiers cannot be enumerated
+      return res.status(400).json({ message: "Invalid credentials" });
+    }
+
+    if (user.failedLoginAttempts || user.lockedUntil) {
+      user.failedLoginAttempts = 0;
+      user.lockedUntil = null;
+      await user.save();
+    }
+
+    const refusal = loginRefusal(user);
+    if (refusal) return res.status(refusal.status).json({ message: refusal.message, code: refusal.code });
+
+    if (user.twoFactorEnabled) {
+      // Password was right; the session is issued by /api/auth/login/2fa
+      const challengeToken = jwt.sign({ id: user.id, purpose: "2fa", tv: user.tokenVersion || 0 }, JWT_SECRET, { expiresIn: "5m" });
+      return res.json({ twoFactorRequired: true, challengeToken });
+    }
+
+    const session = await issueSession(user, req);
+    res.json({
+      ...session,
+      user: { ...toPublicUser(user), twoFactorSetupRequired: await isTwoFactorRequired(user) },
+    });
+  } catch (err) {
+    console.error("Login error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Second login step for accounts with 2FA enabled
+app.post("/api/auth/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code) return res.status(400).json({ message: "Code required" });
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (err) {
+      return res.status(400).json({ message: "Login session expired. Please sign in again." });
+    }
+    if (decoded.purpose !== "2fa") return res.status(400).json({ message: "Invalid challenge" });
+
+    const user = await User.findOne({ id: decoded.id });
+    if (!user || !user.twoFactorEnabled) return res.status(400).json({ message: "Invalid challenge" });
+    // The account may have changed since the password step (deactivated, forced reset, sessions revoked)
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(400).json({ message: "Login session expired. Please sign in again." });
+    }
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      return res.status(429).json({
+        message: `This account is locked after repeated failed logins. Try again in ${minutesUntil(user.lockedUntil)} minute(s).`,
+      });
+    }
+    const refusal = loginRefusal(user);
+    if (refusal) return res.status(refusal.status).json({ message: refusal.message, code: refusal.code });
+
+    const failure = await verifySecondFactor(user, code);
+    if (failure) return res.status(failure.status).json({ message: failure.message });
+    await user.save();
+
+    const session = await issueSession(user, req);
+    res.json({ ...session, user: toPublicUser(user), backupCodesRemaining: user.twoFactorBackupCodes.length });
+  } catch (err) {
+    console.error("2FA login error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Exchange a refresh token for a new token pair (the old refresh token is revoked)
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: "Refresh token required" });
+
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (!stored) return res.status(401).json({ message: "Invalid refresh token" });
+
+    const user = await User.findOne({ id: stored.userId });
+
+    if (stored.revokedAt) {
+      // A rotated token was presented again: treat it as stolen and end every session
+      if (stored.replacedBy && user) {
+        console.warn(`[Auth] Refresh token reuse detected for user ${user.id}. Revoking all sessions.`);
+        await revokeAllSessions(user);
+      }
+      return res.status(401).json({ message: "Refresh token revoked" });
+    }
+    if (stored.expiresAt < new Date()) return res.status(401).json({ message: "Refresh token expired" });
+    if (!user || !user.isApproved || user.isActive === false) return res.status(401).json({ message: "Account unavailable" });
+
+    const { refreshToken: nextToken, record } = await createRefreshToken(user, req);
+    stored.revokedAt = new Date();
+    stored.replacedBy = record.id;
+    await stored.save();
+
+    res.json({ token: signAccessToken(user), refreshToken: nextToken, user: toPublicUser(user) });
+  } catch (err) {
+    console.error("Refresh token error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Log out this device
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+      await RefreshToken.updateOne(
+        { tokenHash: hashToken(refreshToken), revokedAt: null },
+        { revokedAt: new Date() }
+      );
+    }
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Log out every device
+app.post("/api/auth/logout-all", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.id });
+    await revokeAllSessions(user);
+    res.json({ message: "Logged out of all devices" });
+  } catch (err) {
+    console.error("Logout all error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// --- Admin: account approvals ---
+
+// List accounts waiting for review (?status=rejected lists rejected requests instead)
+app.get("/api/admin/pending-users", authMiddleware, requirePermission("user.approve"), async (req, res) => {
+  try {
+    const query = req.query.status === "rejected"
+      ? { isApproved: false, rejectionReason: { $ne: null } }
+      : { isApproved: false, rejectionReason: null };
+    const users = await User.find(query).sort({ createdAt: 1 });
+    res.json(users.map((u) => ({ ...toPublicUser(u), createdAt: u.createdAt, rejectionReason: u.rejectionReason })));
+  } catch (err) {
+    console.error("Pending users error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.post("/api/admin/users/:id/approve", authMiddleware, requirePermission("user.approve"), async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.params.id });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.isApproved) return res.status(400).json({ message: "Account is already approved" });
+
+    user.isApproved = true;
+    user.rejectionReason = null;
+    user.reviewedBy = req.user.id;
+    user.reviewedAt = new Date();
+    await user.save();
+    await recordAudit(req, { action: "user.approve", targetType: "user", targetId: user.id, targetLabel: user.email });
+
+    try {
+      await sendEmail(user.email, "Your HorizonX account has been approved",
+        `Hello ${user.name},\n\nYour ${user.role} account has been approved. You can now log in to the portal with your email address.`);
+    } catch (e) {
+      console.warn("[Approval] Decision saved but email failed:", e.message);
+    }
+
+    res.json({ message: "Account approved", user: toPublicUser(user) });
+  } catch (err) {
+    console.error("Approve user error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.post("/api/admin/users/:id/reject", authMiddleware, requirePermission("user.approve"), async (req, res) => {
+  try {
+    const reason = (req.body.reason || "").trim();
+    if (!reason) return res.status(400).json({ message: "A reason is required to reject an account" });
+
+    const user = await User.findOne({ id: req.params.id });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.isApproved) return res.status(400).json({ message: "Account is already approved" });
+
+    user.rejectionReason = reason;
+    user.reviewedBy = req.user.id;
+    user.reviewedAt = new Date();
+    await user.save();
+    await recordAudit(req, { action: "user.reject", targetType: "user", targetId: user.id, targetLabel: user.email, metadata: { reason } });
+
+    try {
+      await sendEmail(user.email, "Your HorizonX account request",
+        `Hello ${user.name},\n\nYour ${user.role} account request was not approved.\nReason: ${reason}\n\nPlease contact the administration office if you think this is a mistake.`);
+    } catch (e) {
+      console.warn("[Approval] Decision saved but email failed:", e.message);
+    }
+
+    res.json({ message: "Account rejected" });
+  } catch (err) {
+    console.error("Reject user error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Clear a login lockout
+app.post("/api/admin/users/:id/unlock", authMiddleware, requirePermission("user.manage"), async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.params.id });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = null;
+    user.lockedUntil = null;
+    await user.save();
+    await recordAudit(req, { action: "user.unlock", targetType: "user", targetId: user.id, targetLabel: user.email });
+    res.json({ message: "Account unlocked" });
+  } catch (err) {
+    console.error("Unlock user error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Remove a user's 2FA (lost phone and backup codes); they can enroll again after logging in
+app.post("/api/admin/users/:id/2fa/reset", authMiddleware, requirePermission("user.manage"), async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.params.id });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorBackupCodes = [];
+    user.twoFactorLastCounter = 0;
+    await revokeAllSessions(user);
+    await recordAudit(req, { action: "user.2fa-reset", targetType: "user", targetId: user.id, targetLabel: user.email });
+
+    sendEmail(user.email, "Two-factor authentication was reset",
+      `Hello ${user.name},\n\nAn administrator reset two-factor authentication on your HorizonX account. ` +
+      `Please log in and set it up again from your Profile. If you did not ask for this, contact the administration office.`)
+      .catch((e) => console.warn("[2FA] Reset email failed:", e.message));
+
+    res.json({ message: "Two-factor authentication reset" });
+  } catch (err) {
+    console.error("2FA reset error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.get("/api/admin/2fa-policy", authMiddleware, requirePermission("settings.manage"), async (req, res) => {
+  try {
+    res.json({ availableRoles: TWO_FACTOR_ROLES, requiredRoles: await getSetting("twoFactorRequiredRoles", []) });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Body: { requiredRoles: ["admin", "hod"] }
+app.put("/api/admin/2fa-policy", authMiddleware, requirePermission("settings.manage"), async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+    if (!Array.isArray(requiredRoles) || requiredRoles.some((r) => !TWO_FACTOR_ROLES.includes(r))) {
+      return res.status(400).json({ message: `requiredRoles must only contain: ${TWO_FACTOR_ROLES.join(", ")}` });
+    }
+    const before = await getSetting("twoFactorRequiredRoles", []);
+    await saveSetting("twoFactorRequiredRoles", [...new Set(requiredRoles)], req.user.id);
+    await recordAudit(req, {
+      action: "setting.update", targetType: "setting", targetId: "twoFactorRequiredRoles",
+      before: { requiredRoles: before }, after: { requiredRoles: [...new Set(requiredRoles)] },
+    });
+    res.json({ requiredRoles });
+  } catch (err) {
+    console.error("Save 2FA policy error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// --- Admin: user management ---
+const ADMIN_USERS_PAGE_SIZE = 25;
+
+// What the admin console sees: the public profile plus account state
+function toAdminUser(user) {
+  return {
+    ...toPublicUser(user),
+    isApproved: user.isApproved,
+    isActive: user.isActive !== false,
+    mustResetPassword: user.mustResetPassword,
+    lockedUntil: user.lockedUntil,
+    twoFactorEnabled: user.twoFactorEnabled,
+    deactivatedAt: user.deactivatedAt,
+    graduatedAt: user.graduatedAt,
+    createdAt: user.createdAt,
+  };
+}
+
+// Query: q (name, email or roll number), role, program, branch, semester, status (active|inactive|pending), page, limit
+app.get("/api/admin/users", authMiddleware, requirePermission("user.manage"), async (req, res) => {
+  try {
+    const { q, role, program, branch, semester, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || ADMIN_USERS_PAGE_SIZE, 1), 100);
+
+    const query = {};
+    if (role) query.role = role;
+    if (program) query.program = program;
+    if (branch) query.branch = branch;
+    if (semester) query.semester = parseInt(semester);
+    if (status === "active") query.isActive = { $ne: false };
+    if (status === "inactive") query.isActive = false;
+    if (status === "pending") query.isApproved = false;
+    if (q && q.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), "i");
+      query.$or = [{ name: pattern }, { email: pattern }, { rollNumber: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      User.countDocuments(query),
+    ]);
+    res.json({ users: users.map(toAdminUser), total, page, pages: Math.max(Math.ceil(total / limit), 1) });
+  } catch (err) {
+    console.error("List users error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.get("/api/admin/users/:id", authMiddleware, requirePermission("user.manage"), async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.params.id });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    res.json(toAdminUser(user));
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Edit profile fields and role. Changing the role or email signs the user out everywhere.
+app.put("/api/admin/users/:id", authMiddleware, requirePermission("user.manage"), async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.params.id });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const { name, email, role, rank, rollNumber, program, branch, year, department } = req.body;
+    const previous = { role: user.role, email: user.email };
+    const before = snapshot(user, AUDIT_USER_FIELDS);
+
+    if (role !== undefined && role !== user.role) {
+      if (!USER_ROLES.includes(role)) return res.status(400).json({ message: "Invalid role" });
+      if (user.id === req.user.id) return res.status(400).json({ message: "You cannot change your own role" });
+      user.role = role;
+    }
+    if (email !== undefined && email.trim().toLowerCase() !== user.email) {
+      const normalized = email.trim().toLowerCase();
+      const existing = await findUserByEmail(normalized);
+      if (existing && existing.id !== user.id) return res.status(400).json({ message: "Email already registered" });
+      user.email = normalized;
+    }
+    if (user.role === "student" && rollNumber !== undefined && rollNumber.toUpperCase() !== user.rollNumber) {
+      if (!isValidRollNumber(rollNumber)) {
+        return res.status(400).json({ message: "Roll number must be 11 characters and contain 'WU'" });
+      }
+      const existing = await User.findOne({ rollNumber: rollNumber.toUpperCase() });
+      if (existing) return res.status(400).json({ message: "Roll number already exists" });
+      user.rollNumber = rollNumber.toUpperCase();
+    }
+
+    if (name !== undefined) user.name = name;
+    if (rank !== undefined) user.rank = rank || null;
+    if (program !== undefined) user.program = program || null;
+    if (branch !== undefined) user.branch = branch || null;
+    if (department !== undefined) user.department = department || null;
+    if (year !== undefined) user.year = year ? parseInt(year) : null;
+    if (user.role === "student" && (program !== undefined || branch !== undefined || year !== undefined)) {
+      const placement = await resolveStudentPlacement(user.program, user.branch, user.year);
+      if (placement.error) return res.status(400).json({ message: placement.error });
+      // A rollover can leave a student in a later semester of their year; only a new year or programme restarts it
+      if (user.isModified("year") || user.isModified("program") || !user.semester) user.semester = placement.semester;
+    }
+
+    if (user.role !== previous.role || user.email !== previous.email) {
+      await revokeAllSessions(user); // saves the user
+    } else {
+      await user.save();
+    }
+    await syncStudentEnrollment(user, { trigger: "admin-update", actorId: req.user.id });
+    await recordAudit(req, {
+      action: user.role !== previous.role ? "user.role-change" : "user.update",
+      targetType: "user", targetId: user.id, targetLabel: user.email,
+      before, after: snapshot(user, AUDIT_USER_FIELDS),
+    });
+    res.json(toAdminUser(user));
   } catch (err) {
-    console.error("❌ Send OTP API Error:", err.message);
-    res.status(500).json({ message: err.message });
+    console.error("Update user error:", err);
+    res.status(500).json({ message: "Server error" });
   }
 });
 
-// --- DEBUG ENDPOINT (Remove after fixing) ---
-app.get("/api/auth/check-user", async (req, res) => {
+app.post("/api/admin/users/:id/deactivate", authMiddleware, requirePermission("user.manage"), async (req, res) => {
   try {
-    const { email } = req.query;
-    if (!email) return res.json({ message: "Please provide ?email=..." });
+    const user = await User.findOne({ id: req.params.id });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.id === req.user.id) return res.status(400).json({ message: "You cannot deactivate your own account" });
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = req.user.id;
+    await revokeAllSessions(user);
+    await recordAudit(req, { action: "user.deactivate", targetType: "user", targetId: user.id, targetLabel: user.email });
+    res.json({ message: "Account deactivated", user: toAdminUser(user) });
+  } catch (err) {
+    console.error("Deactivate user error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-    // Check 1: Exact Match
-    const exact = await User.findOne({ email: email });
-    // Check 2: Lowercase Match
-    const lower = await User.findOne({ email: email.toLowerCase() });
-    // Check 3: Regex Match
-    const regex = await User.findOne({ email: { $regex: new RegExp(`^${email.trim()}$`, "i") } });
+app.post("/api/admin/users/:id/reactivate", authMiddleware, requirePermission("user.manage"), async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.params.id });
+    if (!user) return res.status(404).json({ message: "User not found" });
 
-    res.json({
-      query: email,
-      foundExact: !!exact,
-      foundLower: !!lower,
-      foundRegex: !!regex,
-      storedEmail: regex ? regex.email : (lower ? lower.email : (exact ? exact.email : "NOT FOUND"))
+    user.isActive = true;
+    user.deactivatedAt = null;
+    user.deactivatedBy = null;
+    await user.save();
+    await recordAudit(req, { action: "user.reactivate", targetType: "user", targetId: user.id, targetLabel: user.email });
+    res.json({ message: "Account reactivated", user: toAdminUser(user) });
+  } catch (err) {
+    console.error("Reactivate user error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Ends every session and refuses logins until the user sets a new password via the reset flow
+app.post("/api/admin/users/:id/force-reset", authMiddleware, requirePermission("user.manage"), async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.params.id });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    user.mustResetPassword = true;
+    await revokeAllSessions(user);
+    await recordAudit(req, { action: "user.force-reset", targetType: "user", targetId: user.id, targetLabel: user.email });
+
+    sendEmail(user.email, "Please reset your HorizonX password",
+      `Hello ${user.name},\n\nAn administrator has asked you to choose a new password for your HorizonX account. ` +
+      `You have been signed out. Open the login page, click "Forgot password?" and enter ${user.email} to set a new one.`)
+      .catch((e) => console.warn("[Admin] Force reset email failed:", e.message));
+
+    res.json({ message: "Password reset required", user: toAdminUser(user) });
+  } catch (err) {
+    console.error("Force reset error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// --- Admin: impersonation ---
+// Mints a short-lived, read-only access token for another user. There is no refresh
+// token: when it expires the admin goes back to their own session.
+app.post("/api/admin/users/:id/impersonate", authMiddleware, requirePermission("user.impersonate"), async (req, res) => {
+  try {
+    if (req.user.impersonation) return res.status(400).json({ message: "Exit the current impersonation first" });
+    const reason = (req.body.reason || "").trim();
+    if (!reason) return res.status(400).json({ message: "A reason is required" });
+
+    const user = await User.findOne({ id: req.params.id });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.id === req.user.id) return res.status(400).json({ message: "You cannot impersonate yourself" });
+    if (user.role === "admin") return res.status(403).json({ message: "Admin accounts cannot be impersonated" });
+    if (user.isActive === false) return res.status(400).json({ message: "This account is deactivated" });
+
+    const admin = await User.findOne({ id: req.user.id });
+    const sessionId = uuidv4();
+    const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+    const token = jwt.sign(
+      { id: user.id, role: user.role, tv: user.tokenVersion || 0, imp: { by: admin.id, tv: admin.tokenVersion || 0, sid: sessionId } },
+      JWT_SECRET,
+      { expiresIn: `${IMPERSONATION_TTL_MINUTES}m` }
+    );
+    await recordAudit(req, {
+      action: "user.impersonate", targetType: "user", targetId: user.id, targetLabel: user.email,
+      metadata: { reason, sessionId, expiresAt },
     });
-  } catch (e) {
-    res.json({ error: e.message });
+
+    res.json({ token, user: toPublicUser(user), expiresAt, impersonator: { id: admin.id, name: admin.name } });
+  } catch (err) {
+    console.error("Impersonate error:", err);
+    res.status(500).json({ message: "Server error" });
   }
 });
 
-// Verify OTP & Reset Password
-app.post("/api/auth/reset-password-otp", async (req, res) => {
+// Called with the impersonation token so the end of the session is recorded
+app.post("/api/impersonation/end", authMiddleware, async (req, res) => {
   try {
-    const { email, otp, newPassword } = req.body;
-    if (!email || !otp || !newPassword) return res.status(400).json({ message: "All fields required" });
+    if (!req.user.impersonation) return res.status(400).json({ message: "Not impersonating" });
+    const user = await User.findOne({ id: req.user.id });
+    await recordAudit(req, {
+      action: "user.impersonate-end", targetType: "user", targetId: req.user.id, targetLabel: user ? user.email : "",
+    });
+    res.json({ message: "Impersonation ended" });
+  } catch (err) {
+    console.error("End impersonation error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-    const normalizedEmail = email.trim().toLowerCase();
-    const record = otpMap.get(normalizedEmail);
+// --- Admin: account deletion review ---
+app.get("/api/admin/deletion-requests", authMiddleware, requirePermission("user.manage"), async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+    const requests = await DeletionRequest.find({ status }).sort({ createdAt: 1 });
+    res.json(requests);
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-    if (!record || Date.now() > record.expires || record.code !== otp) {
-      return res.status(400).json({ message: "Invalid or expired OTP" });
+app.post("/api/admin/deletion-requests/:id/approve", authMiddleware, requirePermission("user.manage"), async (req, res) => {
+  try {
+    const request = await DeletionRequest.findOne({ id: req.params.id, status: "pending" });
+    if (!request) return res.status(404).json({ message: "Pending request not found" });
+    const user = await User.findOne({ id: request.userId });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    // Courses keep their content, so they must move to another teacher before the account goes
+    const coursesTaught = await Course.find({ teacherId: user.id }).select("code");
+    if (coursesTaught.length) {
+      return res.status(409).json({
+        message: `Reassign this user's courses to another teacher first: ${coursesTaught.map((c) => c.code).join(", ")}`,
+      });
     }
+    const email = user.email;
+    request.reviewedBy = req.user.id;
+    request.reviewedAt = new Date();
+    request.reviewNote = req.body.note || "";
+    const { scheduledFiles } = await completeDeletionRequest(request, user);
+    await recordAudit(req, {
+      action: "user.delete", targetType: "user", targetId: request.userId, targetLabel: email,
+      metadata: { deletionRequestId: request.id, scheduledFiles },
+    });
 
-    const user = await User.findOne({ email: normalizedEmail });
-    if (!user) return res.status(404).json({ message: "User not found" });
+    sendEmail(email, "Your HorizonX account has been deleted",
+      `Your account deletion request was approved. Your account and personal data have been deleted.`)
+      .catch((e) => console.warn("[Deletion] Confirmation email failed:", e.message));
 
-    const hashed = await bcrypt.hash(newPassword, 10);
-    user.passwordHash = hashed;
-    await user.save();
+    res.json({ message: "Account deleted", scheduledFiles });
+  } catch (err) {
+    console.error("Approve deletion error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-    otpMap.delete(normalizedEmail);
-    res.json({ message: "Password reset successfully" });
+app.post("/api/admin/deletion-requests/:id/reject", authMiddleware, requirePermission("user.manage"), async (req, res) => {
+  try {
+    const note = (req.body.note || "").trim();
+    if (!note) return res.status(400).json({ message: "Please give a reason" });
+    const request = await DeletionRequest.findOne({ id: req.params.id, status: "pending" });
+    if (!request) return res.status(404).json({ message: "Pending request not found" });
+
+    request.status = "rejected";
+    request.reviewedBy = req.user.id;
+    request.reviewedAt = new Date();
+    request.reviewNote = note;
+    await request.save();
+    await recordAudit(req, {
+      action: "user.delete-reject", targetType: "user", targetId: request.userId, targetLabel: request.userEmail,
+      metadata: { deletionRequestId: request.id, note },
+    });
+
+    sendEmail(request.userEmail, "Your account deletion request",
+      `Hello ${request.userName},\n\nYour account deletion request was not approved.\nReason: ${note}`)
+      .catch((e) => console.warn("[Deletion] Rejection email failed:", e.message));
+
+    res.json({ message: "Request rejected" });
   } catch (err) {
-    console.error("❌ Reset Password API Error:", err.message);
-    res.status(500).json({ message: err.message });
+    console.error("Reject deletion error:", err);
+    res.status(500).json({ message: "Server error" });
   }
 });
 
-// Test SMTP connectivity
-app.get("/api/auth/test-smtp", async (req, res) => {
+// --- Academic structure ---
+// Public: the signup form needs it before anyone is logged in
+app.get("/api/academic-structure", async (req, res) => {
   try {
-    await sendEmail(ADMIN_EMAIL, "SMTP Test", "If you receive this, your SMTP configuration is working correctly.");
-    res.json({ message: "Test email sent to " + ADMIN_EMAIL });
+    const structures = await AcademicStructure.find({ isActive: true }).sort({ program: 1 });
+    res.json(structures.map(toAcademicStructure));
   } catch (err) {
-    res.status(500).json({ message: "SMTP Test failed: " + err.message });
+    console.error("Academic structure error:", err);
+    res.status(500).json({ message: "Server error" });
   }
 });
 
-// Login
-app.post("/api/login", async (req, res) => {
+app.get("/api/admin/academic-structure", authMiddleware, requirePermission("structure.manage"), async (req, res) => {
   try {
-    const { role, identifier, password } = req.body;
-    if (!role || !identifier || !password) {
-      return res.status(400).json({ message: "Missing fields" });
+    const structures = await AcademicStructure.find().sort({ program: 1 });
+    res.json(structures.map(toAcademicStructure));
+  } catch (err) {
+    console.error("Academic structure error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Body: program, years, semestersPerYear, branches [{ name, sections }], isActive
+function parseStructureBody(body) {
+  const program = (body.program || "").trim();
+  const years = parseInt(body.years);
+  const semestersPerYear = parseInt(body.semestersPerYear) || 2;
+  if (!program) return { error: "Program name is required" };
+  if (!(years >= 1 && years <= 10)) return { error: "Years must be between 1 and 10" };
+  if (!(semestersPerYear >= 1 && semestersPerYear <= 4)) return { error: "Semesters per year must be between 1 and 4" };
+  if (!Array.isArray(body.branches) || body.branches.length === 0) return { error: "At least one branch is required" };
+
+  const branches = [];
+  for (const b of body.branches) {
+    const name = String(b.name || "").trim();
+    if (!name) return { error: "Every branch needs a name" };
+    if (name.includes(" - ")) return { error: `Branch "${name}" cannot contain " - "` };
+    if (branches.some((x) => x.name === name)) return { error: `Duplicate branch "${name}"` };
+    const sections = [...new Set((b.sections || []).map((x) => String(x).trim()).filter(Boolean))];
+    branches.push({ name, sections });
+  }
+  return { value: { program, years, semestersPerYear, branches, isActive: body.isActive !== false } };
+}
+
+app.post("/api/admin/academic-structure", authMiddleware, requirePermission("structure.manage"), async (req, res) => {
+  try {
+    const { error, value } = parseStructureBody(req.body);
+    if (error) return res.status(400).json({ message: error });
+    if (await AcademicStructure.findOne({ program: value.program })) {
+      return res.status(400).json({ message: "This program already exists" });
     }
 
-    let user;
-    if (role === "student") {
-      // Allow login by Roll Number OR Email
-      user = await User.findOne({
-        role: "student",
-        $or: [{ rollNumber: identifier }, { email: identifier }],
+    const structure = await AcademicStructure.create({ id: uuidv4(), ...value, updatedBy: req.user.id });
+    await recordAudit(req, {
+      action: "structure.create", targetType: "program", targetId: structure.id, targetLabel: structure.program,
+      after: toAcademicStructure(structure),
+    });
+    res.json(toAcademicStructure(structure));
+  } catch (err) {
+    console.error("Create program error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Renaming a programme, or removing branches, sections or years that users and courses
+// still use, is refused so existing records never fall outside the structure
+app.put("/api/admin/academic-structure/:id", authMiddleware, requirePermission("structure.manage"), async (req, res) => {
+  try {
+    const structure = await AcademicStructure.findOne({ id: req.params.id });
+    if (!structure) return res.status(404).json({ message: "Program not found" });
+    const { error, value } = parseStructureBody({ program: structure.program, ...req.body });
+    if (error) return res.status(400).json({ message: error });
+
+    const program = structure.program;
+    if (value.program !== program) {
+      const inUse = await User.countDocuments({ program }) + await Course.countDocuments({ program });
+      if (inUse) return res.status(400).json({ message: `${program} is used by ${inUse} user(s)/course(s) and cannot be renamed` });
+    }
+    const removed = branchValues(structure).filter((v) => !branchValues(value).includes(v));
+    if (removed.length) {
+      const students = await User.countDocuments({ program, branch: { $in: removed } });
+      const courses = await Course.countDocuments({ program, sections: { $in: removed } });
+      if (students || courses) {
+        return res.status(400).json({
+          message: `Cannot remove ${removed.join(", ")}: used by ${students} student(s) and ${courses} course(s)`,
+        });
+      }
+    }
+    const beyond = await User.countDocuments({ program, year: { $gt: value.years } })
+      + await Course.countDocuments({ program, semester: { $gt: totalSemesters(value) } });
+    if (beyond) {
+      return res.status(400).json({ message: `${beyond} user(s)/course(s) are beyond the new length of ${value.years} year(s)` });
+    }
+
+    const before = toAcademicStructure(structure);
+    Object.assign(structure, value, { updatedBy: req.user.id, updatedAt: new Date() });
+    await structure.save();
+    await recordAudit(req, {
+      action: "structure.update", targetType: "program", targetId: structure.id, targetLabel: structure.program,
+      before, after: toAcademicStructure(structure),
+    });
+    res.json(toAcademicStructure(structure));
+  } catch (err) {
+    console.error("Update program error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.delete("/api/admin/academic-structure/:id", authMiddleware, requirePermission("structure.manage"), async (req, res) => {
+  try {
+    const structure = await AcademicStructure.findOne({ id: req.params.id });
+    if (!structure) return res.status(404).json({ message: "Program not found" });
+    const inUse = await User.countDocuments({ program: structure.program }) + await Course.countDocuments({ program: structure.program });
+    if (inUse) {
+      return res.status(400).json({ message: `${structure.program} is used by ${inUse} user(s)/course(s). Deactivate it instead.` });
+    }
+
+    await AcademicStructure.deleteOne({ id: structure.id });
+    await recordAudit(req, {
+      action: "structure.delete", targetType: "program", targetId: structure.id, targetLabel: structure.program,
+      before: toAcademicStructure(structure),
+    });
+    res.json({ message: "Program deleted" });
+  } catch (err) {
+    console.error("Delete program error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// --- Admin: semester rollover ---
+let rolloverRunning = false;
+
+app.get("/api/admin/term", authMiddleware, requirePermission("term.rollover"), async (req, res) => {
+  try {
+    res.json({ currentTerm: await getSetting("currentTerm", null) });
+  } catch (err) {
+    console.error("Term error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Body: nextTerm (label, e.g. "2026-27 Even"), dryRun (defaults to true; pass false to apply)
+// Archives every course roster under the current term, promotes students one semester
+// (graduating those past their programme's last one), then re-runs enrollment.
+app.post("/api/admin/rollover", authMiddleware, requirePermission("term.rollover"), async (req, res) => {
+  const dryRun = req.body.dryRun !== false;
+  const nextTerm = (req.body.nextTerm || "").trim();
+  if (!nextTerm) return res.status(400).json({ message: "Name the new term" });
+  if (rolloverRunning) return res.status(409).json({ message: "A rollover is already running" });
+
+  try {
+    rolloverRunning = true;
+    const currentTerm = await getSetting("currentTerm", null);
+    if (currentTerm && currentTerm.label === nextTerm) {
+      return res.status(400).json({ message: `${nextTerm} is already the current term` });
+    }
+    const fromTerm = currentTerm ? currentTerm.label : "Before rollover";
+
+    const structures = new Map((await AcademicStructure.find()).map((a) => [a.program, a]));
+    const students = await User.find({ role: "student", graduatedAt: null });
+    const plan = students.map((student) => ({ student, ...promotionFor(student, structures.get(student.program)) }));
+
+    const transitions = {};
+    for (const p of plan) {
+      if (p.skip) continue;
+      const key = `${p.student.program} · Sem ${p.student.semester} → ${p.graduate ? "Graduated" : `Sem ${p.semester}`}`;
+      transitions[key] = (transitions[key] || 0) + 1;
+    }
+    const projected = plan
+      .filter((p) => p.semester)
+      .map((p) => ({ program: p.student.program, branch: p.student.branch, semester: p.semester }));
+    const courses = await Course.find({ archivedAt: null });
+
+    const report = {
+      dryRun,
+      fromTerm,
+      nextTerm,
+      promoted: plan.filter((p) => p.semester).length,
+      graduating: plan.filter((p) => p.graduate).length,
+      skipped: plan.filter((p) => p.skip).map((p) => ({
+        id: p.student.id, name: p.student.name, rollNumber: p.student.rollNumber, reason: p.skip,
+      })),
+      transitions: Object.entries(transitions).map(([label, count]) => ({ label, count })).sort((a, b) => a.label.localeCompare(b.label)),
+      courses: courses.map((c) => ({
+        id: c.id,
+        code: c.code,
+        name: c.name,
+        program: c.program,
+        semester: c.semester,
+        archived: c.students.length,
+        enrolled: projected.filter((s) => matchesCourse(s, c)).length,
+      })),
+    };
+    if (dryRun) return res.json(report);
+
+    // Archive first: promotions change which students match each course
+    for (const course of courses) {
+      if (course.students.length) {
+        course.enrollmentArchive.push({ term: fromTerm, students: course.students, archivedAt: new Date() });
+        await logEnrollment(course.students.map((userId) => ({
+          courseId: course.id, userId, change: "removed", source: "rollover", trigger: "rollover",
+          actorId: req.user.id, detail: `Archived under ${fromTerm}`,
+        })));
+      }
+      course.students = [];
+      course.autoEnrolled = [];
+      await course.save();
+    }
+    for (const p of plan) {
+      if (p.skip) continue;
+      if (p.graduate) p.student.graduatedAt = new Date();
+      else {
+        p.student.semester = p.semester;
+        p.student.year = p.year;
+      }
+      await p.student.save();
+    }
+    for (const course of courses) await syncCourseEnrollment(course, { trigger: "rollover", actorId: req.user.id });
+    report.courses.forEach((r) => { r.enrolled = courses.find((c) => c.id === r.id).students.length; });
+
+    await saveSetting("currentTerm", { label: nextTerm, startedAt: new Date() }, req.user.id);
+    await recordAudit(req, {
+      action: "term.rollover", targetType: "setting", targetId: "currentTerm",
+      before: { term: fromTerm }, after: { term: nextTerm },
+      metadata: { promoted: report.promoted, graduating: report.graduating, skipped: report.skipped.length, courses: courses.length },
+    });
+    res.json(report);
+  } catch (err) {
+    console.error("Rollover error:", err);
+    res.status(500).json({ message: "Server error" });
+  } finally {
+    rolloverRunning = false;
+  }
+});
+
+// --- Admin: audit log ---
+// Query: actor (id), action, targetType, targetId, from, to (ISO dates), page
+app.get("/api/admin/audit-logs", authMiddleware, requirePermission("audit.view"), async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = 50;
+
+    const query = {};
+    if (actor) query.actorId = actor;
+    if (action) query.action = action;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total, actions] = await Promise.all([
+      AuditLog.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(query),
+      AuditLog.distinct("action"),
+    ]);
+    res.json({ entries, total, page, pages: Math.max(Math.ceil(total / limit), 1), actions: actions.sort() });
+  } catch (err) {
+    console.error("Audit log error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// --- Admin: bulk user import ---
+const IMPORT_MAX_ROWS = 2000;
+const IMPORT_COLUMNS = {
+  rollnumber: "rollNumber", roll: "rollNumber", rollno: "rollNumber",
+  name: "name", fullname: "name",
+  email: "email", emailaddress: "email",
+  program: "program", branch: "branch", year: "year",
+  role: "role", department: "department",
+};
+
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2 MB
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith(".csv")) cb(null, true);
+    else cb(new Error("Only .csv files can be imported."));
+  }
+}).single("file");
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and newlines inside quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field); field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row);
+      row = []; field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+// Validates every row against the signup rules, the database and the rest of the file
+async function validateImportRows(records) {
+  const structures = new Map((await AcademicStructure.find()).map((a) => [a.program, a]));
+  const emails = records.map((r) => r.email.toLowerCase()).filter(Boolean);
+  const rolls = records.map((r) => r.rollNumber.toUpperCase()).filter(Boolean);
+  const existing = await User.find({
+    $or: [
+      { email: { $in: emails.map((e) => new RegExp(`^${escapeRegex(e)}$`, "i")) } },
+      { rollNumber: { $in: rolls } },
+    ],
+  });
+  // Users matched by roll number alone may have no email on file
+  const takenEmails = new Set(existing.map((u) => (u.email || "").toLowerCase()).filter(Boolean));
+  const takenRolls = new Set(existing.map((u) => u.rollNumber).filter(Boolean));
+  const seenEmails = new Set(), seenRolls = new Set();
+
+  const report = [];
+  for (const r of records) {
+    const errors = [];
+    const email = r.email.toLowerCase();
+    const rollNumber = r.rollNumber.toUpperCase();
+
+    if (!USER_ROLES.includes(r.role)) errors.push(`Unknown role "${r.role}"`);
+    if (!r.name) errors.push("Name is required");
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push("Invalid email");
+    else if (takenEmails.has(email)) errors.push("Email already registered");
+    else if (seenEmails.has(email)) errors.push("Duplicate email in file");
+    else if (!(await isEmailDomainAllowed(email, r.role))) errors.push("Email domain not allowed for this role");
+
+    if (r.role === "student") {
+      const year = parseInt(r.year);
+      if (!isValidRollNumber(rollNumber)) errors.push("Roll number must be 11 characters and contain 'WU'");
+      else if (takenRolls.has(rollNumber)) errors.push("Roll number already exists");
+      else if (seenRolls.has(rollNumber)) errors.push("Duplicate roll number in file");
+      const placement = resolvePlacement(structures.get(r.program), r.program, r.branch, year);
+      if (placement.error) errors.push(placement.error);
+      else r.semester = placement.semester;
+    }
+
+    seenEmails.add(email);
+    if (rollNumber) seenRolls.add(rollNumber);
+    report.push({ line: r.line, name: r.name, email, rollNumber: rollNumber || null, role: r.role, errors });
+  }
+  return report;
+}
+
+// Multipart: file (CSV with a header row), dryRun ("true" only validates)
+// Imported accounts are pre-approved and set their own password via "Forgot password".
+app.post("/api/admin/users/import", authMiddleware, requirePermission("user.manage"), uploadCsv, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: "No file uploaded" });
+    const dryRun = req.body.dryRun === "true";
+
+    const [header, ...rows] = parseCsv(req.file.buffer.toString("utf8").replace(/^\uFEFF/, ""));
+    if (!header) return res.status(400).json({ message: "The file is empty" });
+    const columns = header.map((h) => IMPORT_COLUMNS[h.toLowerCase().replace(/[^a-z]/g, "")] || null);
+    for (const required of ["name", "email"]) {
+      if (!columns.includes(required)) return res.status(400).json({ message: `Missing "${required}" column` });
+    }
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ message: `At most ${IMPORT_MAX_ROWS} rows can be imported at once` });
+    }
+
+    const records = rows.map((cells, i) => {
+      const record = { line: i + 2, rollNumber: "", name: "", email: "", program: "", branch: "", year: "", role: "", department: "" };
+      columns.forEach((key, idx) => { if (key) record[key] = (cells[idx] || "").trim(); });
+      record.role = (record.role || "student").toLowerCase();
+      return record;
+    });
+
+    const report = await validateImportRows(records);
+    const valid = report.filter((r) => r.errors.length === 0);
+    if (dryRun) {
+      return res.json({ dryRun: true, total: report.length, valid: valid.length, rows: report });
+    }
+
+    const created = [];
+    for (const r of records) {
+      const row = report.find((x) => x.line === r.line);
+      if (row.errors.length) continue;
+
+      const isStudent = r.role === "student";
+      const year = isStudent ? parseInt(r.year) : null;
+      const user = new User({
+        id: uuidv4(),
+        role: r.role,
+        name: r.name,
+        email: row.email,
+        rollNumber: isStudent ? row.rollNumber : null,
+        program: isStudent ? r.program : null,
+        branch: isStudent ? r.branch : null,
+        year,
+        semester: isStudent ? r.semester : null,
+        department: isStudent ? null : r.department || null,
+        // Unusable until reset: the owner sets a password through the emailed reset flow
+        passwordHash: await bcrypt.hash(crypto.randomBytes(24).toString("hex"), 10),
+        isApproved: true,
+        emailVerified: false,
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+        createdAt: new Date(),
       });
-    } else if (role === "teacher") {
-      user = await User.findOne({
-        role: "teacher",
-        email: identifier,
+      await user.save();
+      created.push(user);
+      row.created = true;
+
+      sendEmail(user.email, "Your HorizonX account is ready",
+        `Hello ${user.name},\n\nAn account has been created for you on the HorizonX Student Portal.\n\n` +
+        `To sign in for the first time, open the login page, click "Forgot password?" and enter this email address ` +
+        `(${user.email}). We will send you a code to choose your password.` +
+        (user.rollNumber ? `\n\nAfter that you can log in with your roll number ${user.rollNumber} or your email.` : ""))
+        .catch((e) => console.warn("[Import] Invite email failed:", e.message));
+    }
+
+    // Enroll the new students in existing courses that match their program, semester and branch
+    const students = created.filter((u) => u.role === "student");
+    if (students.length) {
+      const courses = await Course.find({
+        archivedAt: null,
+        program: { $in: [...new Set(students.map((u) => u.program))] },
+        semester: { $in: [...new Set(students.map((u) => u.semester))] },
       });
-    } else {
-      return res.status(400).json({ message: "Invalid role" });
+      for (const course of courses) await syncCourseEnrollment(course, { trigger: "import", actorId: req.user.id });
     }
 
-    if (!user) {
-      return res.status(400).json({ message: "User not found" });
+    await recordAudit(req, {
+      action: "user.import", targetType: "user", targetId: null, targetLabel: req.file.originalname,
+      metadata: { total: report.length, created: created.length, userIds: created.map((u) => u.id) },
+    });
+    res.json({ dryRun: false, total: report.length, valid: valid.length, created: created.length, rows: report });
+  } catch (err) {
+    console.error("User import error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// --- Admin: invite codes & signup policy ---
+app.get("/api/admin/invite-codes", authMiddleware, requirePermission("settings.manage"), async (req, res) => {
+  try {
+    const codes = await InviteCode.find().sort({ createdAt: -1 });
+    res.json(codes);
+  } catch (err) {
+    console.error("List invite codes error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.post("/api/admin/invite-codes", authMiddleware, requirePermission("settings.manage"), async (req, res) => {
+  try {
+    const { role, department, maxUses, expiresInDays, note } = req.body;
+    if (!role || role === "student" || !USER_ROLES.includes(role)) {
+      return res.status(400).json({ message: "A non-student role is required" });
     }
+    const uses = parseInt(maxUses) || 1;
+    if (uses < 1) return res.status(400).json({ message: "Max uses must be at least 1" });
+    const days = parseInt(expiresInDays);
 
-    const isMatch = await bcrypt.compare(
-      password,
-      user.passwordHash
-    );
-    if (!isMatch) {
-      return res
-        .status(400)
-        .json({ message: "Incorrect password" });
+    const invite = await InviteCode.create({
+      id: uuidv4(),
+      code: crypto.randomBytes(5).toString("hex").toUpperCase(),
+      role,
+      department: department ? department.trim() : null,
+      maxUses: uses,
+      expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+      note: note || "",
+      createdBy: req.user.id,
+    });
+    await recordAudit(req, {
+      action: "invite.create", targetType: "invite", targetId: invite.id, targetLabel: invite.code,
+      after: snapshot(invite, ["role", "department", "maxUses", "expiresAt", "note"]),
+    });
+    res.json(invite);
+  } catch (err) {
+    console.error("Create invite code error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Revoke (codes are kept so usedBy stays traceable)
+app.delete("/api/admin/invite-codes/:id", authMiddleware, requirePermission("settings.manage"), async (req, res) => {
+  try {
+    const invite = await InviteCode.findOne({ id: req.params.id });
+    if (!invite) return res.status(404).json({ message: "Invite code not found" });
+    invite.revokedAt = new Date();
+    await invite.save();
+    await recordAudit(req, { action: "invite.revoke", targetType: "invite", targetId: invite.id, targetLabel: invite.code });
+    res.json({ message: "Invite code revoked" });
+  } catch (err) {
+    console.error("Revoke invite code error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.get("/api/admin/email-domains", authMiddleware, requirePermission("settings.manage"), async (req, res) => {
+  try {
+    res.json(await getSetting("emailDomainAllowlist", {}));
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Body: { allowlist: { teacher: ["woxsen.edu.in"], ... } }
+app.put("/api/admin/email-domains", authMiddleware, requirePermission("settings.manage"), async (req, res) => {
+  try {
+    const { allowlist } = req.body;
+    if (!allowlist || typeof allowlist !== "object") {
+      return res.status(400).json({ message: "allowlist object required" });
     }
 
-    const token = jwt.sign(
-      { id: user.id, role: user.role },
-      JWT_SECRET,
-      {
-        expiresIn: "7d",
-      }
-    );
+    const cleaned = {};
+    for (const [role, domains] of Object.entries(allowlist)) {
+      if (!USER_ROLES.includes(role)) return res.status(400).json({ message: `Unknown role: ${role}` });
+      const list = (Array.isArray(domains) ? domains : [])
+        .map((d) => String(d).trim().toLowerCase().replace(/^@/, ""))
+        .filter(Boolean);
+      if (list.length > 0) cleaned[role] = [...new Set(list)];
+    }
 
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        role: user.role,
-        name: user.name,
-        email: user.email,
-        rollNumber: user.rollNumber,
-        branch: user.branch,
-        year: user.year,
-        department: user.department,
+    const before = await getSetting("emailDomainAllowlist", {});
+    await saveSetting("emailDomainAllowlist", cleaned, req.user.id);
+    await recordAudit(req, {
+      action: "setting.update", targetType: "setting", targetId: "emailDomainAllowlist",
+      before: { allowlist: before }, after: { allowlist: cleaned },
+    });
+    res.json(cleaned);
+  } catch (err) {
+    console.error("Save email domains error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// --- Courses ---
+// Course catalogue: one page of lightweight course cards, with the teacher joined in by the same query.
+// Query: q (name, code or description), program, semester, section, teacher (name), mandatory (true/false),
+// page (from 1), limit (default 20, max 100)
+app.get("/api/courses/catalogue", authMiddleware, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { q, program, semester, section, teacher, mandatory } = req.query;
+
+    const match = { archivedAt: null };
+    if (q && q.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), "i");
+      match.$or = [{ name: pattern }, { code: pattern }, { description: pattern }];
+    }
+    if (program) match.program = program;
+    if (semester) match.semester = parseInt(semester);
+    if (section) match.sections = section;
+    if (mandatory === "true" || mandatory === "false") match.isMandatory = mandatory === "true";
+    if (teacher && teacher.trim()) {
+      const teachers = await User.find({ name: new RegExp(escapeRegex(teacher.trim()), "i"), role: { $ne: "student" } }, { id: 1 });
+      match.teacherId = { $in: teachers.map((t) => t.id) };
+    }
+
+    const userId = req.user.id;
+    const [result] = await Course.aggregate([
+      { $match: match },
+      { $sort: { code: 1 } },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          courses: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            // Courses saved before seats, waitlists or prerequisites existed have no such fields stored
+            {
+              $set: {
+                students: { $ifNull: ["$students", []] },
+                waitlist: { $ifNull: ["$waitlist", []] },
+                joinRequests: { $ifNull: ["$joinRequests", []] },
+                prerequisites: { $ifNull: ["$prerequisites", []] },
+                staff: { $ifNull: ["$staff", []] },
+              },
+            },
+            {
+              $lookup: {
+                from: User.collection.name,
+                localField: "teacherId",
+                foreignField: "id",
+                as: "teacher",
+                pipeline: [{ $project: { _id: 0, name: 1, rank: 1 } }],
+              },
+            },
+            {
+              $project: {
+                _id: 0,
+                id: 1, name: 1, code: 1, description: 1, program: 1, semester: 1, sections: 1, isMandatory: 1,
+                department: 1, teacherId: 1, staff: 1, instructorExpertise: 1, createdAt: 1,
+                capacity: 1, joinOpensAt: 1, joinClosesAt: 1, joinMode: 1, prerequisites: 1,
+                teacherName: { $ifNull: [{ $first: "$teacher.name" }, "Unknown"] },
+                teacherRank: { $ifNull: [{ $first: "$teacher.rank" }, ""] },
+                studentCount: { $size: "$students" },
+                waitlistCount: { $size: "$waitlist" },
+                isEnrolled: { $in: [userId, "$students"] },
+                joinRequested: { $in: [userId, "$joinRequests.userId"] },
+                waitlistPosition: { $add: [{ $indexOfArray: ["$waitlist.userId", userId] }, 1] }, // 0 = not waitlisted
+              },
+            },
+          ],
+        },
       },
-    });
+    ]);
+
+    let courses = result.courses;
+    if (req.user.role === "student") {
+      const grades = await gradesByCode(userId, [...new Set(courses.flatMap((c) => c.prerequisites.map((p) => p.code)))]);
+      courses = courses.map((c) => ({ ...c, eligibility: evaluatePrerequisites(c, grades) }));
+    }
+    const total = result.total[0]?.count || 0;
+    res.json({ courses, total, page, pages: Math.max(Math.ceil(total / limit), 1) });
   } catch (err) {
-    console.error("Login error:", err);
+    console.error("Course catalogue error:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-// --- Courses ---
 // Get all courses with teacher info
+// Archived courses are left out; ?archived=true lists the archived ones the caller may restore
 app.get("/api/courses", authMiddleware, async (req, res) => {
   try {
-    const courses = await Course.find();
-    const result = await Promise.all(courses.map(async (c) => {
-      const teacher = await User.findOne({ id: c.teacherId });
+    const archived = req.query.archived === "true";
+    let courses = await Course.find({ archivedAt: archived ? { $ne: null } : null });
+    if (archived) courses = courses.filter((c) => can(req.user, "course.restore", c));
+    // Students get their eligibility for each course so the catalogue can explain why they cannot join
+    const grades = req.user.role === "student"
+      ? await gradesByCode(req.user.id, [...new Set(courses.flatMap((c) => c.prerequisites.map((p) => p.code)))])
+      : null;
+    const teachers = await User.find({ id: { $in: [...new Set(courses.map((c) => c.teacherId).filter(Boolean))] } });
+    const teacherMap = new Map(teachers.map((t) => [t.id, t]));
+    const result = courses.map((c) => {
+      const teacher = teacherMap.get(c.teacherId);
       return {
         ...c.toObject(),
         teacherName: teacher ? teacher.name : "Unknown",
         teacherRank: teacher ? teacher.rank : "",
+        ...(grades ? { eligibility: evaluatePrerequisites(c, grades) } : {}),
       };
-    }));
+    });
     res.json(result);
   } catch (err) {
     res.status(500).json({ message: "Server error" });
@@ -760,17 +3384,7 @@ app.get("/api/me", authMiddleware, async (req, res) => {
   if (!user)
     return res.status(404).json({ message: "User not found" });
 
-  res.json({
-    id: user.id,
-    role: user.role,
-    name: user.name,
-    email: user.email,
-    rollNumber: user.rollNumber,
-    branch: user.branch,
-    year: user.year,
-    department: user.department,
-    profilePhotoUrl: user.profilePhotoUrl,
-  });
+  res.json(toPublicUser(user));
 });
 
 // Update profile + change password
@@ -791,10 +3405,15 @@ app.put("/api/me", authMiddleware, async (req, res) => {
       return res.status(404).json({ message: "User not found" });
 
     if (name) user.name = name;
-    if (user.role === "student") {
+    if (user.role === "student" && (branch || year)) {
+      const placement = await resolveStudentPlacement(user.program, branch || user.branch, year || user.year);
+      if (placement.error) return res.status(400).json({ message: placement.error });
       if (branch) user.branch = branch;
-      if (year) user.year = year;
+      if (year) user.year = parseInt(year);
+      // Keep the semester a rollover set unless the student moved to another year
+      if (user.isModified("year") || !user.semester) user.semester = placement.semester;
     }
+    const placementChanged = user.isModified("branch") || user.isModified("semester");
     if (user.role === "teacher") {
       if (department) user.department = department;
     }
@@ -815,9 +3434,15 @@ app.put("/api/me", authMiddleware, async (req, res) => {
           .status(400)
           .json({ message: "Current password incorrect" });
       user.passwordHash = await bcrypt.hash(newPassword, 10);
+      // A new password signs out every other device; this one gets a fresh session
+      await revokeAllSessions(user);
+      if (placementChanged) await syncStudentEnrollment(user, { trigger: "profile-update", actorId: user.id });
+      const session = await issueSession(user, req);
+      return res.json({ message: "Profile updated", ...session });
     }
 
     await user.save();
+    if (placementChanged) await syncStudentEnrollment(user, { trigger: "profile-update", actorId: user.id });
     res.json({ message: "Profile updated" });
   } catch (err) {
     console.error("Update profile error:", err);
@@ -825,6 +3450,203 @@ app.put("/api/me", authMiddleware, async (req, res) => {
   }
 });
 
+// Effective permissions of the caller, so the UI can show only the controls that will work
+app.get("/api/me/permissions", authMiddleware, (req, res) => {
+  const permissions = {};
+  for (const [action, roles] of Object.entries(POLICY)) {
+    if (roles[req.user.role]) permissions[action] = roles[req.user.role];
+  }
+  res.json({ role: req.user.role, department: req.user.department, permissions, courseStaffRoles: COURSE_STAFF_ROLES });
+});
+
+// --- Two-factor enrollment ---
+app.get("/api/me/2fa", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.id });
+    res.json({
+      available: TWO_FACTOR_ROLES.includes(user.role),
+      enabled: user.twoFactorEnabled,
+      required: (await getSetting("twoFactorRequiredRoles", [])).includes(user.role),
+      backupCodesRemaining: user.twoFactorBackupCodes.length,
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Start enrollment: returns the secret and a QR code for authenticator apps
+app.post("/api/me/2fa/setup", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.id });
+    if (!TWO_FACTOR_ROLES.includes(user.role)) {
+      return res.status(403).json({ message: "Two-factor authentication is available to faculty and admin accounts" });
+    }
+    if (user.twoFactorEnabled) return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    user.twoFactorPendingSecret = encryptSecret(secret);
+    await user.save();
+
+    const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${TWO_FACTOR_ISSUER}&algorithm=SHA1&digits=6&period=30`;
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (err) {
+    console.error("2FA setup error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Finish enrollment with a code from the app; backup codes are shown only once
+app.post("/api/me/2fa/enable", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.id });
+    if (!user.twoFactorPendingSecret) return res.status(400).json({ message: "Start the setup first" });
+
+    const secret = decryptSecret(user.twoFactorPendingSecret);
+    const counter = matchTotp(secret, req.body.code || "");
+    if (counter === null) return res.status(400).json({ message: "Invalid authentication code" });
+
+    const backupCodes = generateBackupCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorEnabled = true;
+    user.twoFactorLastCounter = counter;
+    user.twoFactorBackupCodes = backupCodes.map(hashToken);
+    await user.save();
+
+    res.json({ message: "Two-factor authentication enabled", backupCodes });
+  } catch (err) {
+    console.error("2FA enable error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.post("/api/me/2fa/disable", authMiddleware, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findOne({ id: req.user.id });
+    if (!user.twoFactorEnabled) return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+
+    const requiredRoles = await getSetting("twoFactorRequiredRoles", []);
+    if (requiredRoles.includes(user.role)) {
+      return res.status(400).json({ message: "Two-factor authentication is mandatory for your role" });
+    }
+    if (!password || !(await bcrypt.compare(password, user.passwordHash))) {
+      return res.status(400).json({ message: "Current password incorrect" });
+    }
+    const failure = await verifySecondFactor(user, code);
+    if (failure) return res.status(failure.status).json({ message: failure.message });
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorBackupCodes = [];
+    user.twoFactorLastCounter = 0;
+    await user.save();
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.post("/api/me/2fa/backup-codes", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.id });
+    if (!user.twoFactorEnabled) return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    const failure = await verifySecondFactor(user, req.body.code);
+    if (failure) return res.status(failure.status).json({ message: failure.message });
+
+    const backupCodes = generateBackupCodes();
+    user.twoFactorBackupCodes = backupCodes.map(hashToken);
+    await user.save();
+    res.json({ backupCodes });
+  } catch (err) {
+    console.error("2FA backup codes error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// --- Personal data export & account deletion ---
+// JSON archive of everything stored about the caller, plus a manifest of their uploaded files
+app.get("/api/me/export", authMiddleware, async (req, res) => {
+  try {
+    const key = `export:${req.user.id}`;
+    const bucket = await Throttle.findOne({ key });
+    if (isBlocked(bucket)) {
+      return res.status(429).json({ message: `Too many exports. Try again in ${minutesUntil(bucket.blockedUntil)} minute(s).` });
+    }
+    await hitThrottle(key, { windowMs: 60 * 60 * 1000, limit: EXPORT_LIMIT_PER_HOUR, blockMs: 60 * 60 * 1000 });
+
+    const user = await User.findOne({ id: req.user.id });
+    const data = await collectUserData(user);
+    res.setHeader("Content-Disposition", `attachment; filename="horizonx-data-${user.id}.json"`);
+    res.json(data);
+  } catch (err) {
+    console.error("Data export error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.get("/api/me/deletion-request", authMiddleware, async (req, res) => {
+  try {
+    const request = await DeletionRequest.findOne({ userId: req.user.id, status: "pending" });
+    res.json(request);
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Body: { password, reason }. Students are deleted right away; faculty requests go to an admin.
+app.post("/api/me/deletion-request", authMiddleware, async (req, res) => {
+  try {
+    const { password, reason } = req.body;
+    const user = await User.findOne({ id: req.user.id });
+    if (!password || !(await bcrypt.compare(password, user.passwordHash))) {
+      return res.status(400).json({ message: "Current password incorrect" });
+    }
+    if (await DeletionRequest.findOne({ userId: user.id, status: "pending" })) {
+      return res.status(400).json({ message: "A deletion request is already pending" });
+    }
+
+    const request = new DeletionRequest({
+      id: uuidv4(),
+      userId: user.id,
+      userName: user.name,
+      userEmail: user.email,
+      role: user.role,
+      reason: reason || "",
+    });
+
+    if (user.role === "student") {
+      const email = user.email;
+      await completeDeletionRequest(request, user);
+      sendEmail(email, "Your HorizonX account has been deleted",
+        `Your HorizonX account and personal data have been deleted. Uploaded files will be removed within ${FILE_DELETION_DELAY_MS / 3600000} hours.`)
+        .catch((e) => console.warn("[Deletion] Confirmation email failed:", e.message));
+      return res.json({ status: "completed", message: "Your account has been deleted." });
+    }
+
+    await request.save();
+    res.json({ status: "pending", message: "Your request has been sent to an administrator for review." });
+  } catch (err) {
+    console.error("Deletion request error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.delete("/api/me/deletion-request", authMiddleware, async (req, res) => {
+  try {
+    const request = await DeletionRequest.findOne({ userId: req.user.id, status: "pending" });
+    if (!request) return res.status(404).json({ message: "No pending deletion request" });
+    request.status = "cancelled";
+    await request.save();
+    res.json({ message: "Deletion request cancelled" });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // Single file upload for profile photo
 const uploadSinglePhoto = multer({
   storage: multer.memoryStorage(),
@@ -866,90 +3688,223 @@ app.get("/api/users/:id/avatar", async (req, res) => {
   }
 });
 
-// Teacher creates a course
-app.post("/api/courses", authMiddleware, async (req, res) => {
-  // Teaching assistants cannot create courses
-  if (["teacher", "coordinator", "hod", "dean", "admin"].indexOf(req.user.role) === -1) {
-    return res.status(403).json({ message: "Only faculty can create courses" });
-  }
-
-  const { name, code, description, program, semester, sections, isMandatory } = req.body;
-  if (!name || !code || !program || !semester) {
-    return res.status(400).json({ message: "Name, code, program, and semester are required" });
-  }
+// Faculty creates a course
+app.post("/api/courses", authMiddleware, requirePermission("course.create"), async (req, res) => {
+  try {
+    const { name, code, description, program, semester, sections, isMandatory } = req.body;
+    if (!name || !code || !program || !semester) {
+      return res.status(400).json({ message: "Name, code, program, and semester are required" });
+    }
+    if (sections && !Array.isArray(sections)) {
+      return res.status(400).json({ message: "Sections must be a list" });
+    }
 
-  const existing = await Course.findOne({ code });
-  if (existing) {
-    return res.status(400).json({ message: "Course code already exists" });
-  }
+    const existing = await Course.findOne({ code });
+    if (existing) {
+      return res.status(400).json({ message: "Course code already exists" });
+    }
+    const placementError = await checkCoursePlacement(program, semester, sections || []);
+    if (placementError) return res.status(400).json({ message: placementError });
 
-  const user = await User.findOne({ id: req.user.id });
+    const user = await User.findOne({ id: req.user.id });
 
-  const newCourse = new Course({
-    id: uuidv4(),
-    name,
-    code,
-    description: description || "",
-    program,
-    semester,
-    sections: sections || [],
-    isMandatory: isMandatory || false,
-    instructorExpertise: user?.expertise || "",
-    teacherId: req.user.id,
-    students: [],
-    materials: [],
-    examDateSheets: [],
-  });
+    const newCourse = new Course({
+      id: uuidv4(),
+      name,
+      code,
+      description: description || "",
+      program,
+      semester,
+      sections: sections || [],
+      isMandatory: isMandatory || false,
+      instructorExpertise: user?.expertise || "",
+      teacherId: req.user.id,
+      department: user?.department || "",
+      students: [],
+      materials: [],
+      examDateSheets: [],
+    });
+    const joinError = applyJoinSettings(newCourse, req.body) || await applyPrerequisites(newCourse, req.body);
+    if (joinError) return res.status(400).json({ message: joinError });
 
-  await newCourse.save();
+    await newCourse.save();
 
-  // Auto-enroll students based on matching criteria
-  await autoEnrollStudents(newCourse);
+    // Auto-enroll students based on matching criteria
+    await syncCourseEnrollment(newCourse, { trigger: "course-created", actorId: req.user.id });
+    await recordAudit(req, {
+      action: "course.create", targetType: "course", targetId: newCourse.id, targetLabel: newCourse.code,
+      after: snapshot(newCourse, AUDIT_COURSE_FIELDS),
+    });
 
-  res.json(newCourse);
+    res.json(newCourse);
+  } catch (err) {
+    console.error("Create course error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
 });
 
 // Teacher deletes a course
-app.delete("/api/courses/:id", authMiddleware, async (req, res) => {
-  const { id } = req.params;
-  const { reason, confirmCount } = req.body;
+app.delete("/api/courses/:id", authMiddleware, requirePermission("course.delete", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, confirmCount } = req.body;
 
-  if (["teacher", "coordinator", "hod", "dean", "admin"].indexOf(req.user.role) === -1) {
-    return res.status(403).json({ message: "Not authorized" });
-  }
+    if (!reason || reason.split(/\s+/).length < 50) {
+      return res.status(400).json({ message: "A minimum 50-word reason is required for deletion" });
+    }
 
-  const course = await Course.findOne({ id });
-  if (!course) return res.status(404).json({ message: "Course not found" });
+    if (confirmCount < 4) {
+      return res.status(400).json({ message: "Deletion must be confirmed at least 4 times" });
+    }
 
-  // Only the creator or higher roles (Admin, Dean, HoD) can delete
-  const canDelete = course.teacherId === req.user.id || ["admin", "dean", "hod"].includes(req.user.role);
-  if (!canDelete) return res.status(403).json({ message: "Unauthorized deletion" });
+    // Archive rather than delete: the purge job removes it with its assignments, messages and files later
+    const course = req.course;
+    const before = snapshot(course, AUDIT_COURSE_FIELDS);
+    course.archivedAt = new Date();
+    course.archivedBy = req.user.id;
+    course.archiveReason = reason;
+    course.purgeAfter = new Date(Date.now() + COURSE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    await course.save();
+    await recordAudit(req, {
+      action: "course.archive", targetType: "course", targetId: id, targetLabel: course.code,
+      before, after: snapshot(course, AUDIT_COURSE_FIELDS),
+      metadata: { reason, confirmCount, studentCount: course.students.length, materialCount: course.materials.length },
+    });
+    res.json({
+      message: `Course archived. It can be restored until ${course.purgeAfter.toDateString()}, then it is permanently deleted.`,
+      purgeAfter: course.purgeAfter,
+    });
+  } catch (err) {
+    console.error("Archive course error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-  if (!reason || reason.split(/\s+/).length < 50) {
-    return res.status(400).json({ message: "A minimum 50-word reason is required for deletion" });
+app.post("/api/courses/:courseId/restore", authMiddleware, requirePermission("course.restore", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const course = req.course;
+    if (!course.archivedAt) return res.status(400).json({ message: "This course is not archived" });
+
+    const before = snapshot(course, AUDIT_COURSE_FIELDS);
+    course.archivedAt = null;
+    course.archivedBy = null;
+    course.archiveReason = null;
+    course.purgeAfter = null;
+    await course.save();
+    const enrollment = await syncCourseEnrollment(course, { trigger: "course-restored", actorId: req.user.id });
+    await recordAudit(req, {
+      action: "course.restore", targetType: "course", targetId: course.id, targetLabel: course.code,
+      before, after: snapshot(course, AUDIT_COURSE_FIELDS),
+      metadata: { enrolled: enrollment.added.length, unenrolled: enrollment.removed.length },
+    });
+    res.json({ message: "Course restored", course });
+  } catch (err) {
+    console.error("Restore course error:", err);
+    res.status(500).json({ message: "Server error" });
   }
+});
+
+// Copy a course into a new term. Body: code, termStart, plus optional name, program, semester, sections,
+// isMandatory, sourceTermStart (defaults to when the source course was created), includeAssignments (default true).
+// Materials and assignment attachments point at the same stored files; the roster starts empty.
+app.post("/api/courses/:courseId/clone", authMiddleware, requirePermission("course.clone", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const source = req.course;
+    const { code, termStart, sourceTermStart, includeAssignments = true } = req.body;
+    if (!can(req.user, "course.create")) {
+      return res.status(403).json({ message: "You do not have permission to create courses" });
+    }
+    if (!code || !termStart) return res.status(400).json({ message: "A new course code and term start date are required" });
+    const newStart = new Date(termStart);
+    const oldStart = new Date(sourceTermStart || source.createdAt);
+    if (isNaN(newStart) || isNaN(oldStart)) return res.status(400).json({ message: "Invalid term start date" });
+    if (await Course.findOne({ code })) return res.status(400).json({ message: "Course code already exists" });
+
+    const program = req.body.program ?? source.program;
+    const semester = req.body.semester !== undefined ? Number(req.body.semester) : source.semester;
+    const sections = req.body.sections ?? source.sections;
+    const placementError = await checkCoursePlacement(program, semester, sections);
+    if (placementError) return res.status(400).json({ message: placementError });
+
+    const user = await User.findOne({ id: req.user.id });
+    const clone = new Course({
+      id: uuidv4(),
+      name: req.body.name || source.name,
+      code,
+      description: source.description,
+      program,
+      semester,
+      sections,
+      isMandatory: req.body.isMandatory ?? source.isMandatory,
+      capacity: source.capacity,
+      joinMode: source.joinMode, // the joining window is term-specific and not copied
+      prerequisites: source.prerequisites,
+      instructorExpertise: user?.expertise || "",
+      teacherId: req.user.id,
+      department: source.department || user?.department || "",
+      clonedFrom: source.id,
+      students: [],
+      materials: source.materials.map((m) => ({
+        originalName: m.originalName, url: m.url, fileType: m.fileType, mimetype: m.mimetype, size: m.size, driveId: m.driveId,
+      })),
+      examDateSheets: [],
+    });
+    await clone.save();
+
+    // Whole days keep each due time on the same time of day
+    const shiftDays = Math.round((newStart - oldStart) / (24 * 60 * 60 * 1000));
+    let assignments = [];
+    if (includeAssignments) {
+      const templates = await Assignment.find({ courseId: source.id }).sort({ createdAt: 1 });
+      assignments = templates.map((a) => ({
+        id: uuidv4(),
+        courseId: clone.id,
+        title: a.title,
+        description: a.description,
+        dueDate: a.dueDate && !isNaN(new Date(a.dueDate))
+          ? new Date(new Date(a.dueDate).getTime() + shiftDays * 24 * 60 * 60 * 1000).toISOString()
+          : a.dueDate,
+        requiredTime: a.requiredTime,
+        maxMarks: a.maxMarks,
+        createdBy: req.user.id,
+        createdAt: new Date(),
+        attachments: a.attachments.map((f) => ({ url: f.url, originalName: f.originalName, mimetype: f.mimetype, size: f.size, driveId: f.driveId })),
+        submissions: [],
+      }));
+      if (assignments.length) await Assignment.insertMany(assignments);
+    }
+
+    const enrollment = await syncCourseEnrollment(clone, { trigger: "course-created", actorId: req.user.id });
+    await recordAudit(req, {
+      action: "course.clone", targetType: "course", targetId: clone.id, targetLabel: clone.code,
+      after: snapshot(clone, AUDIT_COURSE_FIELDS),
+      metadata: { sourceId: source.id, sourceCode: source.code, materials: clone.materials.length, assignments: assignments.length, shiftDays },
+    });
 
-  if (confirmCount < 4) {
-    return res.status(400).json({ message: "Deletion must be confirmed at least 4 times" });
+    res.status(201).json({ ...clone.toObject(), assignmentsCopied: assignments.length, shiftDays, enrolled: enrollment.added.length });
+  } catch (err) {
+    console.error("Clone course error:", err);
+    res.status(500).json({ message: "Server error" });
   }
+});
 
-  await Course.deleteOne({ id });
-  res.json({ message: "Course deleted successfully" });
+// Materials of one course, with just enough of the course to decide who may manage them
+app.get("/api/courses/:courseId/materials", authMiddleware, requirePermission("material.view", COURSE_FROM_PARAMS), async (req, res) => {
+  const c = req.course;
+  res.json({
+    course: { id: c.id, code: c.code, name: c.name, teacherId: c.teacherId, department: c.department, staff: c.staff, archivedAt: c.archivedAt },
+    materials: c.materials,
+  });
 });
 
 // Upload course material (or add video URL)
-app.post("/api/courses/:courseId/materials", authMiddleware, (req, res) => {
-  if (!["teacher", "ta", "coordinator", "hod"].includes(req.user.role)) {
-    return res.status(403).json({ message: "Faculty only" });
-  }
-
+app.post("/api/courses/:courseId/materials", authMiddleware, requirePermission("material.manage", COURSE_FROM_PARAMS), (req, res) => {
   upload(req, res, async (err) => {
     if (err) return res.status(400).json({ message: err.message });
     try {
-      const { courseId } = req.params;
       const { videoUrl, originalName } = req.body;
-      const course = await Course.findOne({ id: courseId });
-      if (!course) return res.status(404).json({ message: "Course not found" });
+      const course = req.course;
+      const countBefore = course.materials.length;
 
       if (videoUrl) {
         course.materials.push({
@@ -972,6 +3927,10 @@ app.post("/api/courses/:courseId/materials", authMiddleware, (req, res) => {
       }
 
       await course.save();
+      await recordAudit(req, {
+        action: "material.upload", targetType: "course", targetId: course.id, targetLabel: course.code,
+        metadata: { materials: course.materials.slice(countBefore).map((m) => ({ name: m.originalName, url: m.url, fileType: m.fileType })) },
+      });
       res.json({ message: "Materials updated", count: course.materials.length });
     } catch (e) {
       console.error("[Material Upload Error]:", e);
@@ -982,25 +3941,17 @@ app.post("/api/courses/:courseId/materials", authMiddleware, (req, res) => {
 });
 
 // Delete course material
-app.delete("/api/courses/:courseId/materials/:fileId", authMiddleware, async (req, res) => {
-  if (req.user.role !== "teacher") {
-    return res.status(403).json({ message: "Only teachers can delete materials" });
-  }
-
+app.delete("/api/courses/:courseId/materials/:fileId", authMiddleware, requirePermission("material.manage", COURSE_FROM_PARAMS), async (req, res) => {
   const { courseId, fileId } = req.params;
   console.log(`[DELETE] Request to delete material ${fileId} from course ${courseId}`);
 
-  const course = await Course.findOne({ id: courseId });
-
-  if (!course) return res.status(404).json({ message: "Course not found" });
-  if (course.teacherId !== req.user.id) {
-    return res.status(403).json({ message: "Not authorized" });
-  }
+  const course = req.course;
 
   const initialLen = course.materials.length;
   // Debug: Log existing file IDs
   console.log("[DELETE] Existing materials:", course.materials.map(m => ({ id: m._id, name: m.originalName })));
 
+  const removed = course.materials.find(m => m._id && m._id.toString() === fileId);
   course.materials = course.materials.filter(m => m._id && m._id.toString() !== fileId);
 
   if (course.materials.length === initialLen) {
@@ -1009,52 +3960,272 @@ app.delete("/api/courses/:courseId/materials/:fileId", authMiddleware, async (re
   }
 
   await course.save();
+  await recordAudit(req, {
+    action: "material.delete", targetType: "course", targetId: course.id, targetLabel: course.code,
+    before: snapshot(removed, ["originalName", "url", "fileType", "mimetype", "size"]),
+    metadata: { materialId: fileId },
+  });
   res.json({ message: "Material deleted" });
 });
 
-// Save generated calendar
-app.post("/api/courses/:courseId/datesheets/generate", authMiddleware, async (req, res) => {
-  if (!["teacher", "coordinator", "hod", "dean"].includes(req.user.role)) {
-    return res.status(403).json({ message: "Unauthorized" });
-  }
-  const { courseId } = req.params;
-  const { name, events } = req.body;
-  if (!events || events.length === 0) return res.status(400).json({ message: "Events are required" });
+// Save generated calendar
+app.post("/api/courses/:courseId/datesheets/generate", authMiddleware, requirePermission("datesheet.manage", COURSE_FROM_PARAMS), async (req, res) => {
+  const { name, events } = req.body;
+  if (!events || events.length === 0) return res.status(400).json({ message: "Events are required" });
+
+  const course = req.course;
+
+  course.examDateSheets.push({
+    id: uuidv4(),
+    name: name || "Generated Calendar",
+    type: "generated",
+    url: JSON.stringify(events), // Store events as stringified JSON in url field
+    createdAt: new Date()
+  });
+
+  await course.save();
+  await recordAudit(req, {
+    action: "datesheet.create", targetType: "course", targetId: course.id, targetLabel: course.code,
+    metadata: { name: name || "Generated Calendar", events: events.length },
+  });
+  res.json({ message: "Calendar saved" });
+});
+// --- Date Sheets / Exam Schedule ---
+// Update Course (for Exam Schedule)
+// Body (all optional): name, code, description, program, semester, sections, isMandatory,
+// examDate, examTime, teacherId (reassigning needs course.reassign)
+app.put("/api/courses/:courseId", authMiddleware, requirePermission("course.update", COURSE_FROM_PARAMS), async (req, res) => {
+  const { name, code, description, program, semester, sections, isMandatory, examDate, examTime, teacherId } = req.body;
+
+  try {
+    const course = req.course;
+    const before = snapshot(course, AUDIT_COURSE_FIELDS);
+
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ message: "Course name cannot be empty" });
+      course.name = String(name).trim();
+    }
+    if (code !== undefined) {
+      const newCode = String(code).trim();
+      if (!newCode) return res.status(400).json({ message: "Course code cannot be empty" });
+      if (newCode !== course.code && await Course.findOne({ code: newCode })) {
+        return res.status(400).json({ message: "Course code already exists" });
+      }
+      course.code = newCode;
+    }
+    if (description !== undefined) course.description = description || "";
+    if (program !== undefined) course.program = program;
+    if (semester !== undefined) course.semester = parseInt(semester);
+    if (sections !== undefined) {
+      if (!Array.isArray(sections)) return res.status(400).json({ message: "Sections must be a list" });
+      course.sections = [...new Set(sections)];
+    }
+    if (isMandatory !== undefined) course.isMandatory = !!isMandatory;
+    if (examDate !== undefined) course.examDate = examDate;
+    if (examTime !== undefined) course.examTime = examTime;
+    const joinError = applyJoinSettings(course, req.body) || await applyPrerequisites(course, req.body);
+    if (joinError) return res.status(400).json({ message: joinError });
+
+    const rulesChanged = before.program !== (course.program ?? null) || before.semester !== (course.semester ?? null)
+      || JSON.stringify(before.sections) !== JSON.stringify(course.sections) || (before.isMandatory ?? false) !== course.isMandatory;
+    if (rulesChanged) {
+      const placementError = await checkCoursePlacement(course.program, course.semester, course.sections);
+      if (placementError) return res.status(400).json({ message: placementError });
+    }
+
+    let newTeacher = null;
+    if (teacherId !== undefined && teacherId !== course.teacherId) {
+      if (!can(req.user, "course.reassign", course)) {
+        return res.status(403).json({ message: "You cannot reassign this course" });
+      }
+      newTeacher = await User.findOne({ id: teacherId, isActive: { $ne: false } });
+      if (!newTeacher || !can(newTeacher, "course.create")) {
+        return res.status(400).json({ message: "Choose an active faculty member" });
+      }
+      if (POLICY["course.reassign"][req.user.role] === "department" && newTeacher.department !== req.user.department) {
+        return res.status(400).json({ message: "The new teacher must be in your department" });
+      }
+      course.teacherId = newTeacher.id;
+      course.staff = course.staff.filter((s) => s.userId !== newTeacher.id);
+      course.instructorExpertise = newTeacher.expertise || "";
+    }
+
+    await course.save();
+    const enrollment = rulesChanged
+      ? await syncCourseEnrollment(course, { trigger: "course-updated", actorId: req.user.id })
+      : { added: [], removed: [] };
+    // More seats (or none left to limit) may let waitlisted students in
+    const promoted = course.waitlist.length ? await promoteFromWaitlist(course.id, { trigger: "course-updated", actorId: req.user.id }) : [];
+    await recordAudit(req, {
+      action: newTeacher ? "course.reassign" : "course.update", targetType: "course", targetId: course.id, targetLabel: course.code,
+      before, after: snapshot(course, AUDIT_COURSE_FIELDS),
+      metadata: {
+        ...(rulesChanged ? { enrolled: enrollment.added.length, unenrolled: enrollment.removed.length } : {}),
+        ...(promoted.length ? { promotedFromWaitlist: promoted.length } : {}),
+      },
+    });
+
+    if (newTeacher && newTeacher.email) {
+      sendEmail(newTeacher.email, `You now teach ${course.code}`,
+        `Hello ${newTeacher.name},\n\nYou have been assigned as the teacher of ${course.code} - ${course.name} on HorizonX.`)
+        .catch((e) => console.warn("[Courses] Reassignment email failed:", e.message));
+    }
+
+    const updated = promoted.length ? await Course.findOne({ id: course.id }) : course;
+    res.json({ ...updated.toObject(), enrolled: enrollment.added.length + promoted.length, unenrolled: enrollment.removed.length });
+  } catch (err) {
+    console.error("Update course error:", err);
+    res.status(500).json({ message: "Update error" });
+  }
+});
+
+// Faculty a course can be reassigned to; department-scoped callers only see their department
+app.get("/api/courses/:courseId/teacher-options", authMiddleware, requirePermission("course.reassign", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const query = {
+      role: { $in: Object.keys(POLICY["course.create"]) },
+      isActive: { $ne: false },
+      isApproved: true,
+    };
+    if (POLICY["course.reassign"][req.user.role] === "department") query.department = req.user.department;
+    const faculty = await User.find(query).sort({ name: 1 });
+    res.json(faculty.map((u) => ({ id: u.id, name: u.name, rank: u.rank, role: u.role, department: u.department })));
+  } catch (err) {
+    console.error("Teacher options error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// --- Course staff ---
+// The lead teacher is listed first as instructor; the rest come from course.staff
+app.get("/api/courses/:courseId/staff", authMiddleware, requirePermission("staff.view", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const course = req.course;
+    const members = [
+      ...(course.teacherId ? [{ userId: course.teacherId, role: "instructor", lead: true, addedAt: course.createdAt }] : []),
+      ...course.staff.map((s) => ({ userId: s.userId, role: s.role, lead: false, addedAt: s.addedAt })),
+    ];
+    const users = await User.find({ id: { $in: members.map((m) => m.userId) } });
+    const names = new Map(users.map((u) => [u.id, u]));
+
+    res.json({
+      roles: Object.keys(COURSE_STAFF_ROLES),
+      canManage: can(req.user, "staff.manage", course),
+      staff: members.map((m) => ({
+        ...m,
+        name: names.get(m.userId)?.name || "Unknown user",
+        email: names.get(m.userId)?.email || null,
+        accountRole: names.get(m.userId)?.role || null,
+      })),
+    });
+  } catch (err) {
+    console.error("Course staff error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Faculty who could be added to the course staff. Query: q (name or email)
+app.get("/api/courses/:courseId/staff-candidates", authMiddleware, requirePermission("staff.manage", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const taken = [req.course.teacherId, ...req.course.staff.map((s) => s.userId)];
+    const query = {
+      id: { $nin: taken },
+      role: { $ne: "student" },
+      isActive: { $ne: false },
+      isApproved: true,
+    };
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(String(req.query.q).trim()), "i");
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    const users = await User.find(query).sort({ name: 1 }).limit(20);
+    res.json(users.map((u) => ({ id: u.id, name: u.name, email: u.email, role: u.role, department: u.department })));
+  } catch (err) {
+    console.error("Staff candidates error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Body: userId, role
+app.post("/api/courses/:courseId/staff", authMiddleware, requirePermission("staff.manage", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const course = req.course;
+    const { userId, role } = req.body;
+    if (!COURSE_STAFF_ROLES[role]) return res.status(400).json({ message: "Invalid staff role" });
+    if (userId === course.teacherId || course.staff.some((s) => s.userId === userId)) {
+      return res.status(409).json({ message: "This person is already on the course staff" });
+    }
+    const member = await User.findOne({ id: userId, isActive: { $ne: false }, isApproved: true });
+    if (!member || member.role === "student") {
+      return res.status(400).json({ message: "Choose an active faculty or staff member" });
+    }
 
-  const course = await Course.findOne({ id: courseId });
-  if (!course) return res.status(404).json({ message: "Course not found" });
+    course.staff.push({ userId: member.id, role, addedBy: req.user.id, addedAt: new Date() });
+    await course.save();
+    await recordAudit(req, {
+      action: "course.staff.add", targetType: "course", targetId: course.id, targetLabel: course.code,
+      after: { userId: member.id, role },
+      metadata: { memberName: member.name },
+    });
 
-  course.examDateSheets.push({
-    id: uuidv4(),
-    name: name || "Generated Calendar",
-    type: "generated",
-    url: JSON.stringify(events), // Store events as stringified JSON in url field
-    createdAt: new Date()
-  });
+    if (member.email) {
+      sendEmail(member.email, `You have been added to ${course.code}`,
+        `Hello ${member.name},\n\nYou have been added to ${course.code} - ${course.name} on HorizonX as ${role}.`)
+        .catch((e) => console.warn("[Courses] Staff email failed:", e.message));
+    }
 
-  await course.save();
-  res.json({ message: "Calendar saved" });
+    res.status(201).json({ userId: member.id, role, name: member.name });
+  } catch (err) {
+    console.error("Add staff error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
 });
-// --- Date Sheets / Exam Schedule ---
-// Update Course (for Exam Schedule)
-app.put("/api/courses/:courseId", authMiddleware, async (req, res) => {
-  if (req.user.role !== "teacher") return res.status(403).json({ message: "Only teachers can update courses" });
-
-  const { courseId } = req.params;
-  const { examDate, examTime } = req.body; // Can extend to other fields
 
+// Body: role. The lead teacher's role is fixed; use course reassignment instead
+app.put("/api/courses/:courseId/staff/:userId", authMiddleware, requirePermission("staff.manage", COURSE_FROM_PARAMS), async (req, res) => {
   try {
-    const course = await Course.findOne({ id: courseId });
-    if (!course) return res.status(404).json({ message: "Course not found" });
-    if (course.teacherId !== req.user.id) return res.status(403).json({ message: "Not your course" });
+    const course = req.course;
+    const { role } = req.body;
+    if (!COURSE_STAFF_ROLES[role]) return res.status(400).json({ message: "Invalid staff role" });
+    if (req.params.userId === course.teacherId) {
+      return res.status(400).json({ message: "The lead teacher is always an instructor" });
+    }
+    const member = course.staff.find((s) => s.userId === req.params.userId);
+    if (!member) return res.status(404).json({ message: "Staff member not found" });
 
-    if (examDate !== undefined) course.examDate = examDate;
-    if (examTime !== undefined) course.examTime = examTime;
+    const before = { userId: member.userId, role: member.role };
+    member.role = role;
+    await course.save();
+    await recordAudit(req, {
+      action: "course.staff.update", targetType: "course", targetId: course.id, targetLabel: course.code,
+      before, after: { userId: member.userId, role },
+    });
+    res.json({ userId: member.userId, role });
+  } catch (err) {
+    console.error("Update staff error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.delete("/api/courses/:courseId/staff/:userId", authMiddleware, requirePermission("staff.manage", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const course = req.course;
+    if (req.params.userId === course.teacherId) {
+      return res.status(400).json({ message: "The lead teacher cannot be removed; reassign the course instead" });
+    }
+    const member = course.staff.find((s) => s.userId === req.params.userId);
+    if (!member) return res.status(404).json({ message: "Staff member not found" });
 
+    course.staff = course.staff.filter((s) => s.userId !== req.params.userId);
     await course.save();
-    res.json(course);
+    await recordAudit(req, {
+      action: "course.staff.remove", targetType: "course", targetId: course.id, targetLabel: course.code,
+      before: { userId: member.userId, role: member.role },
+    });
+    res.json({ message: "Removed from course staff" });
   } catch (err) {
-    res.status(500).json({ message: "Update error" });
+    console.error("Remove staff error:", err);
+    res.status(500).json({ message: "Server error" });
   }
 });
 
@@ -1063,7 +4234,7 @@ app.get("/api/student/exam-schedule", authMiddleware, async (req, res) => {
   if (req.user.role !== "student") return res.status(403).json({ message: "Student only" });
 
   try {
-    const myCourses = await Course.find({ students: req.user.id });
+    const myCourses = await Course.find({ students: req.user.id, archivedAt: null });
     const schedule = myCourses
       .filter(c => c.examDate)
       .map(c => ({
@@ -1081,16 +4252,11 @@ app.get("/api/student/exam-schedule", authMiddleware, async (req, res) => {
 });
 
 // Teacher uploads date sheet (Legacy/Alternative)
-app.post("/api/courses/:courseId/datesheets", authMiddleware, (req, res) => {
-  if (req.user.role !== "teacher") return res.status(403).json({ message: "Only teachers can upload date sheets" });
-
+app.post("/api/courses/:courseId/datesheets", authMiddleware, requirePermission("datesheet.manage", COURSE_FROM_PARAMS), (req, res) => {
   upload(req, res, async (err) => {
     if (err) return res.status(400).json({ message: err.message });
     try {
-      const { courseId } = req.params;
-      const course = await Course.findOne({ id: courseId });
-      if (!course) return res.status(404).json({ message: "Course not found" });
-      if (course.teacherId !== req.user.id) return res.status(403).json({ message: "Not authorized" });
+      const course = req.course;
 
       const files = req.files || [];
       if (!course.examDateSheets) course.examDateSheets = []; // Safety init
@@ -1104,6 +4270,10 @@ app.post("/api/courses/:courseId/datesheets", authMiddleware, (req, res) => {
         });
       }
       await course.save();
+      await recordAudit(req, {
+        action: "datesheet.upload", targetType: "course", targetId: course.id, targetLabel: course.code,
+        metadata: { files: files.map((f) => f.originalname) },
+      });
       res.json({ message: "Date sheets uploaded" });
     } catch (e) {
       console.error(e);
@@ -1121,15 +4291,12 @@ app.get("/api/courses/:courseId/datesheets", authMiddleware, async (req, res) =>
 });
 
 // Delete Date Sheet
-app.delete("/api/courses/:courseId/datesheets/:fileId", authMiddleware, async (req, res) => {
-  if (req.user.role !== "teacher") return res.status(403).json({ message: "Teacher only" });
-
-  const { courseId, fileId } = req.params;
-  const course = await Course.findOne({ id: courseId });
-  if (!course) return res.status(404).json({ message: "Course not found" });
-  if (course.teacherId !== req.user.id) return res.status(403).json({ message: "Not authorized" });
+app.delete("/api/courses/:courseId/datesheets/:fileId", authMiddleware, requirePermission("datesheet.manage", COURSE_FROM_PARAMS), async (req, res) => {
+  const { fileId } = req.params;
+  const course = req.course;
 
   const initialLen = course.examDateSheets.length;
+  const removed = course.examDateSheets.find(f => f.id === fileId || (f._id && f._id.toString() === fileId));
   course.examDateSheets = course.examDateSheets.filter(f =>
     (f.id !== fileId) && (!f._id || f._id.toString() !== fileId)
   );
@@ -1137,35 +4304,357 @@ app.delete("/api/courses/:courseId/datesheets/:fileId", authMiddleware, async (r
   if (course.examDateSheets.length === initialLen) return res.status(404).json({ message: "File not found" });
 
   await course.save();
+  await recordAudit(req, {
+    action: "datesheet.delete", targetType: "course", targetId: course.id, targetLabel: course.code,
+    before: snapshot(removed, ["name", "type", "url"]),
+  });
   res.json({ message: "Deleted" });
 });
 
-// Student joins a course
+// Student joins a course. Responds with status: joined, requested (approval mode) or waitlisted (no free seat)
 app.post(
   "/api/courses/:courseId/join",
   authMiddleware,
+  requirePermission("course.join", COURSE_FROM_PARAMS),
   async (req, res) => {
-    if (req.user.role !== "student") {
-      return res.status(403).json({
-        message: "Only students can join courses",
+    try {
+      const course = req.course;
+      const userId = req.user.id;
+      if (course.students.includes(userId)) return res.json({ status: "joined", message: "You are already enrolled" });
+      if (course.joinRequests.some((r) => r.userId === userId)) {
+        return res.status(202).json({ status: "requested", message: "Your request is awaiting approval" });
+      }
+      const waitIndex = course.waitlist.findIndex((w) => w.userId === userId);
+      if (waitIndex !== -1) {
+        return res.status(202).json({ status: "waitlisted", position: waitIndex + 1, message: `You are #${waitIndex + 1} on the waitlist` });
+      }
+      const windowError = joinWindowError(course);
+      if (windowError) return res.status(400).json({ message: windowError });
+      const student = await User.findOne({ id: userId });
+      if (course.program && student?.program !== course.program) {
+        return res.status(400).json({ message: `This course is only open to ${course.program} students` });
+      }
+      if (course.prerequisites.length) {
+        const { eligible, unmet } = evaluatePrerequisites(course, await gradesByCode(userId, course.prerequisites.map((p) => p.code)));
+        if (!eligible) {
+          return res.status(400).json({ message: `Prerequisites not met: ${unmet.map((u) => u.reason).join("; ")}`, code: "PREREQUISITES_NOT_MET", unmet });
+        }
+      }
+
+      if (course.joinMode === "approval") {
+        await Course.updateOne({ id: course.id, "joinRequests.userId": { $ne: userId } }, { $push: { joinRequests: { userId, requestedAt: new Date() } } });
+        return res.status(202).json({ status: "requested", message: "Request sent; course staff will review it" });
+      }
+
+      if (await claimSeat(course, userId)) {
+        await logEnrollment([{ courseId: course.id, userId, change: "added", source: "join", trigger: "join", actorId: userId }]);
+        return res.json({ status: "joined", message: "Joined course" });
+      }
+
+      await Course.updateOne({ id: course.id, "waitlist.userId": { $ne: userId } }, { $push: { waitlist: { userId, requestedAt: new Date() } } });
+      const updated = await Course.findOne({ id: course.id });
+      const position = updated.waitlist.findIndex((w) => w.userId === userId) + 1;
+      res.status(202).json({ status: "waitlisted", position, message: `The course is full; you are #${position} on the waitlist` });
+    } catch (err) {
+      console.error("Join course error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Student leaves a course, its waitlist or a pending request. Seats are only given up while the joining window is open.
+app.post("/api/courses/:courseId/drop", authMiddleware, requirePermission("course.join", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const course = req.course;
+    const userId = req.user.id;
+    const pending = course.waitlist.some((w) => w.userId === userId) || course.joinRequests.some((r) => r.userId === userId);
+    if (pending) {
+      await Course.updateOne({ id: course.id }, { $pull: { waitlist: { userId }, joinRequests: { userId } } });
+      return res.json({ status: "withdrawn", message: "Removed from the waitlist" });
+    }
+    if (!course.students.includes(userId)) return res.status(400).json({ message: "You are not enrolled in this course" });
+    if (course.autoEnrolled.includes(userId)) {
+      return res.status(400).json({ message: "You were enrolled by your programme's rules; contact your coordinator to change this" });
+    }
+    if (course.joinClosesAt && new Date() > course.joinClosesAt) {
+      return res.status(400).json({ message: "The add/drop window for this course has closed" });
+    }
+
+    await Course.updateOne({ id: course.id }, { $pull: { students: userId } });
+    await logEnrollment([{ courseId: course.id, userId, change: "removed", source: "drop", trigger: "drop", actorId: userId }]);
+    await promoteFromWaitlist(course.id, { trigger: "drop", actorId: userId });
+    res.json({ status: "dropped", message: "You have left the course" });
+  } catch (err) {
+    console.error("Drop course error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Pending join requests and the waitlist, in order, with student details
+app.get("/api/courses/:courseId/join-requests", authMiddleware, requirePermission("enrollment.approve", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const course = req.course;
+    const users = await User.find({ id: { $in: [...course.joinRequests, ...course.waitlist].map((e) => e.userId) } });
+    const byId = new Map(users.map((u) => [u.id, u]));
+    const describe = (e) => ({
+      userId: e.userId,
+      name: byId.get(e.userId)?.name || "Unknown user",
+      rollNumber: byId.get(e.userId)?.rollNumber || null,
+      branch: byId.get(e.userId)?.branch || null,
+      requestedAt: e.requestedAt,
+    });
+    res.json({
+      capacity: seatLimit(course),
+      enrolled: course.students.length,
+      joinMode: course.joinMode,
+      requests: course.joinRequests.map(describe),
+      waitlist: course.waitlist.map(describe),
+    });
+  } catch (err) {
+    console.error("Join requests error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Approve a join request: the student gets a seat, or the waitlist when the course is full
+app.post("/api/courses/:courseId/join-requests/:userId/approve", authMiddleware, requirePermission("enrollment.approve", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const course = req.course;
+    const { userId } = req.params;
+    if (!course.joinRequests.some((r) => r.userId === userId)) return res.status(404).json({ message: "Join request not found" });
+
+    let status = "joined";
+    if (await claimSeat(course, userId)) {
+      await logEnrollment([{ courseId: course.id, userId, change: "added", source: "approval", trigger: "join-approved", actorId: req.user.id }]);
+    } else {
+      status = "waitlisted";
+      await Course.updateOne({ id: course.id }, {
+        $pull: { joinRequests: { userId } },
+        $push: { waitlist: { userId, requestedAt: course.joinRequests.find((r) => r.userId === userId).requestedAt } },
       });
     }
+    await Notification.create({
+      id: uuidv4(), userId,
+      message: status === "joined"
+        ? `Your request to join ${course.code} - ${course.name} was approved.`
+        : `Your request to join ${course.code} - ${course.name} was approved, but the course is full; you are on the waitlist.`,
+    });
+    await recordAudit(req, { action: "enrollment.approve", targetType: "course", targetId: course.id, targetLabel: course.code, metadata: { userId, status } });
+    res.json({ status });
+  } catch (err) {
+    console.error("Approve join error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-    const { courseId } = req.params;
-    const course = await Course.findOne({ id: courseId });
-    if (!course)
-      return res
-        .status(404)
-        .json({ message: "Course not found" });
+// Body: reason (optional, shown to the student)
+app.post("/api/courses/:courseId/join-requests/:userId/reject", authMiddleware, requirePermission("enrollment.approve", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const course = req.course;
+    const { userId } = req.params;
+    if (!course.joinRequests.some((r) => r.userId === userId)) return res.status(404).json({ message: "Join request not found" });
+    const reason = (req.body.reason || "").trim();
+
+    await Course.updateOne({ id: course.id }, { $pull: { joinRequests: { userId } } });
+    await Notification.create({
+      id: uuidv4(), userId, type: "warning",
+      message: `Your request to join ${course.code} - ${course.name} was declined.${reason ? ` Reason: ${reason}` : ""}`,
+    });
+    await recordAudit(req, { action: "enrollment.reject", targetType: "course", targetId: course.id, targetLabel: course.code, metadata: { userId, reason } });
+    res.json({ message: "Request declined" });
+  } catch (err) {
+    console.error("Reject join error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-    if (!course.students.includes(req.user.id)) {
-      course.students.push(req.user.id);
-      await course.save();
+// --- Class roster ---
+// Enrolled students with submission counts and their latest submission or discussion post in this course
+async function buildRoster(course) {
+  const [students, assignments, lastMessages] = await Promise.all([
+    User.find({ id: { $in: course.students } }).sort({ rollNumber: 1, name: 1 }),
+    Assignment.find({ courseId: course.id }, { id: 1, submissions: 1 }),
+    Message.aggregate([
+      { $match: { courseId: course.id, userId: { $in: course.students } } },
+      { $group: { _id: "$userId", last: { $max: "$createdAt" } } },
+    ]),
+  ]);
+  const lastPost = new Map(lastMessages.map((m) => [m._id, m.last]));
+
+  return {
+    totalAssignments: assignments.length,
+    students: students.map((u) => {
+      const subs = assignments.flatMap((a) => a.submissions.filter((sub) => sub.studentId === u.id));
+      const times = [...subs.map((sub) => sub.submittedAt), lastPost.get(u.id)].filter(Boolean).map((d) => new Date(d));
+      return {
+        userId: u.id,
+        name: u.name,
+        rollNumber: u.rollNumber || null,
+        email: u.email || null,
+        program: u.program || null,
+        branch: u.branch || null,
+        semester: u.semester || null,
+        enrolledBy: course.autoEnrolled.includes(u.id) ? "rules" : "joined",
+        submitted: subs.length,
+        graded: subs.filter((sub) => sub.marks !== null && sub.marks !== undefined).length,
+        lastActivity: times.length ? new Date(Math.max(...times)) : null,
+      };
+    }),
+  };
+}
+
+const ROSTER_COLUMNS = [
+  { header: "Roll number", key: "rollNumber", width: 16 },
+  { header: "Name", key: "name", width: 28 },
+  { header: "Email", key: "email", width: 30 },
+  { header: "Program", key: "program", width: 12 },
+  { header: "Branch", key: "branch", width: 20 },
+  { header: "Semester", key: "semester", width: 10 },
+  { header: "Enrolled by", key: "enrolledBy", width: 12 },
+  { header: "Submitted", key: "submitted", width: 11 },
+  { header: "Graded", key: "graded", width: 9 },
+  { header: "Last activity", key: "lastActivity", width: 22 },
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Spreadsheet apps run cells starting with these as formulas; the quote makes them plain text
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+app.get("/api/courses/:courseId/roster", authMiddleware, requirePermission("roster.view", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const course = req.course;
+    const roster = await buildRoster(course);
+    res.json({
+      course: { id: course.id, code: course.code, name: course.name },
+      canManage: can(req.user, "roster.manage", course),
+      ...roster,
+    });
+  } catch (err) {
+    console.error("Roster error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Query: format = csv (default) or xlsx
+app.get("/api/courses/:courseId/roster/export", authMiddleware, requirePermission("roster.view", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const course = req.course;
+    const { students } = await buildRoster(course);
+    const filename = `roster-${course.code.replace(/[^\w-]+/g, "_")}`;
+
+    if (req.query.format === "xlsx") {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet(course.code.replace(/[*?:\\/\[\]]/g, "_").slice(0, 31) || "Roster");
+      sheet.columns = ROSTER_COLUMNS;
+      sheet.getRow(1).font = { bold: true };
+      sheet.addRows(students);
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.xlsx"`);
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    const csv = [
+      ROSTER_COLUMNS.map((c) => csvCell(c.header)).join(","),
+      ...students.map((s) => ROSTER_COLUMNS.map((c) => csvCell(s[c.key])).join(",")),
+    ].join("\n");
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    console.error("Roster export error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Manually enroll a student. Body: rollNumber or email. Seat limits and joining windows do not apply.
+app.post("/api/courses/:courseId/roster", authMiddleware, requirePermission("roster.manage", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const course = req.course;
+    const identifier = String(req.body.rollNumber || req.body.email || "").trim();
+    if (!identifier) return res.status(400).json({ message: "Roll number or email is required" });
+    const student = await User.findOne({
+      role: "student",
+      $or: [{ rollNumber: identifier.toUpperCase() }, { email: new RegExp(`^${escapeRegex(identifier)}$`, "i") }],
+    });
+    if (!student) return res.status(404).json({ message: "No student with that roll number or email" });
+    if (student.isActive === false || student.graduatedAt) return res.status(400).json({ message: "This student account is not active" });
+    if (course.students.includes(student.id)) return res.status(409).json({ message: "Student is already enrolled" });
+
+    await Course.updateOne(
+      { id: course.id },
+      { $addToSet: { students: student.id }, $pull: { waitlist: { userId: student.id }, joinRequests: { userId: student.id } } }
+    );
+    await logEnrollment([{ courseId: course.id, userId: student.id, change: "added", source: "manual", trigger: "roster", actorId: req.user.id, detail: req.body.reason || null }]);
+    await recordAudit(req, {
+      action: "roster.add", targetType: "course", targetId: course.id, targetLabel: course.code,
+      metadata: { userId: student.id, rollNumber: student.rollNumber, reason: req.body.reason || null },
+    });
+    await Notification.create({ id: uuidv4(), userId: student.id, message: `You have been enrolled in ${course.code} - ${course.name}.` });
+    res.status(201).json({ userId: student.id, name: student.name, rollNumber: student.rollNumber });
+  } catch (err) {
+    console.error("Roster add error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Body: reason (optional). Students placed by the enrollment rules come back on the next sync, so they are refused here.
+app.delete("/api/courses/:courseId/roster/:userId", authMiddleware, requirePermission("roster.manage", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const course = req.course;
+    const { userId } = req.params;
+    if (!course.students.includes(userId)) return res.status(404).json({ message: "Student is not enrolled" });
+    if (course.autoEnrolled.includes(userId)) {
+      return res.status(400).json({ message: "This student was enrolled by the course's rules; change the sections or the student's placement instead" });
     }
+    const student = await User.findOne({ id: userId });
+    const reason = (req.body?.reason || "").trim() || null;
+
+    await Course.updateOne({ id: course.id }, { $pull: { students: userId } });
+    await logEnrollment([{ courseId: course.id, userId, change: "removed", source: "manual", trigger: "roster", actorId: req.user.id, detail: reason }]);
+    await recordAudit(req, {
+      action: "roster.remove", targetType: "course", targetId: course.id, targetLabel: course.code,
+      metadata: { userId, rollNumber: student?.rollNumber || null, reason },
+    });
+    await Notification.create({ id: uuidv4(), userId, type: "warning", message: `You have been removed from ${course.code} - ${course.name}.` });
+    const promoted = await promoteFromWaitlist(course.id, { trigger: "roster", actorId: req.user.id });
+    res.json({ message: "Student removed", promotedFromWaitlist: promoted.length });
+  } catch (err) {
+    console.error("Roster remove error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-    res.json({ message: "Joined course", course });
+// Enrollment history of a course, newest first. Query: userId (optional)
+app.get("/api/courses/:courseId/enrollment-history", authMiddleware, requirePermission("enrollment.view", COURSE_FROM_PARAMS), async (req, res) => {
+  try {
+    const query = { courseId: req.course.id };
+    if (req.query.userId) query.userId = req.query.userId;
+    const events = await EnrollmentEvent.find(query).sort({ createdAt: -1 }).limit(500);
+    const users = await User.find({ id: { $in: [...new Set(events.flatMap((e) => [e.userId, e.actorId]).filter(Boolean))] } });
+    const names = new Map(users.map((u) => [u.id, u]));
+
+    res.json(events.map((e) => ({
+      id: e.id,
+      userId: e.userId,
+      userName: names.get(e.userId)?.name || "Unknown user",
+      rollNumber: names.get(e.userId)?.rollNumber || null,
+      change: e.change,
+      source: e.source,
+      trigger: e.trigger,
+      detail: e.detail,
+      actorName: e.actorId ? names.get(e.actorId)?.name || null : null,
+      createdAt: e.createdAt,
+    })));
+  } catch (err) {
+    console.error("Enrollment history error:", err);
+    res.status(500).json({ message: "Server error" });
   }
-);
+});
 
 // Get courses of current user
 app.get("/api/my-courses", authMiddleware, async (req, res) => {
@@ -1174,10 +4663,9 @@ app.get("/api/my-courses", authMiddleware, async (req, res) => {
     courses = await Course.find({
       students: req.user.id,
     });
-  } else if (req.user.role === "teacher") {
-    courses = await Course.find({ teacherId: req.user.id });
   } else {
-    return res.status(400).json({ message: "Unknown role" });
+    // Faculty and leadership roles see the courses they teach or help with
+    courses = await Course.find({ $or: [{ teacherId: req.user.id }, { "staff.userId": req.user.id }] });
   }
 
   const teacherIds = [
@@ -1192,6 +4680,7 @@ app.get("/api/my-courses", authMiddleware, async (req, res) => {
     ...c.toObject(),
     teacherName: c.teacherId ? teacherMap.get(c.teacherId) : null,
     studentCount: c.students.length,
+    myStaffRole: req.user.role === "student" ? null : courseStaffRole(c, req.user.id),
   }));
 
   res.json(result);
@@ -1204,7 +4693,9 @@ app.get("/api/dashboard/summary", authMiddleware, async (req, res) => {
     const userRole = req.user.role;
 
     const myCourses = await Course.find(
-      userRole === "student" ? { students: userId } : { teacherId: userId }
+      userRole === "student"
+        ? { students: userId, archivedAt: null }
+        : { $or: [{ teacherId: userId }, { "staff.userId": userId }], archivedAt: null }
     );
     const myCoursesCount = myCourses.length;
 
@@ -1240,19 +4731,13 @@ app.get("/api/dashboard/summary", authMiddleware, async (req, res) => {
 });
 
 // Common Subject Discussion Board for Teachers
-app.get("/api/faculty/discussion/:subjectName", authMiddleware, async (req, res) => {
-  if (!["teacher", "ta", "coordinator", "hod", "dean"].includes(req.user.role)) {
-    return res.status(403).json({ message: "Faculty only" });
-  }
+app.get("/api/faculty/discussion/:subjectName", authMiddleware, requirePermission("faculty.discuss"), async (req, res) => {
   const { subjectName } = req.params;
   const messages = await Message.find({ subjectName }).sort({ createdAt: -1 });
   res.json(messages);
 });
 
-app.post("/api/faculty/discussion/:subjectName", authMiddleware, async (req, res) => {
-  if (!["teacher", "ta", "coordinator", "hod", "dean"].includes(req.user.role)) {
-    return res.status(403).json({ message: "Faculty only" });
-  }
+app.post("/api/faculty/discussion/:subjectName", authMiddleware, requirePermission("faculty.discuss"), async (req, res) => {
   const { subjectName } = req.params;
   const { content } = req.body;
   const user = await User.findOne({ id: req.user.id });
@@ -1278,7 +4763,7 @@ app.get("/api/notifications", authMiddleware, async (req, res) => {
 
   try {
     // 1. Regenerate urgent notifications based on assignments
-    const myCourses = await Course.find({ students: studentId });
+    const myCourses = await Course.find({ students: studentId, archivedAt: null });
     const courseIds = myCourses.map(c => c.id);
     const assignments = await Assignment.find({ courseId: { $in: courseIds } });
 
@@ -1316,13 +4801,8 @@ app.get("/api/notifications", authMiddleware, async (req, res) => {
 
 // --- Assignments ---
 // Teacher creates assignment (Multipart for attachments)
+// No requirePermission: courseId is in the multipart body, so the course (and any staff role on it) is checked inside
 app.post("/api/assignments", authMiddleware, (req, res) => {
-  if (req.user.role !== "teacher") {
-    return res
-      .status(403)
-      .json({ message: "Only teachers can create assignments" });
-  }
-
   upload(req, res, async (err) => {
     if (err) {
       return res.status(400).json({ message: err.message || "Upload error" });
@@ -1337,9 +4817,11 @@ app.post("/api/assignments", authMiddleware, (req, res) => {
       const course = await Course.findOne({ id: courseId });
       if (!course)
         return res.status(404).json({ message: "Course not found" });
-      if (course.teacherId !== req.user.id) {
+      // courseId arrives in the multipart body, so the scope is checked here
+      if (!can(req.user, "assignment.create", course)) {
         return res.status(403).json({ message: "Not authorized" });
       }
+      if (course.archivedAt) return res.status(403).json({ message: ARCHIVED_COURSE_MESSAGE, code: "COURSE_ARCHIVED" });
 
       const newFiles = [];
       const files = req.files || [];
@@ -1386,8 +4868,8 @@ app.get(
         const student = await User.findOne({ id: req.user.id });
         const isMatched = course.sections.includes(student.branch) && course.program === student.program;
 
-        if (!isMatched && !["admin", "dean"].includes(req.user.role)) {
-          // Optionally joined students cannot see assignments
+        // Students admitted by seat, waitlist or approval are on the roster without matching the section rule
+        if (!isMatched && !course.students.includes(req.user.id)) {
           return res.json([]);
         }
       }
@@ -1404,13 +4886,8 @@ app.get(
 app.post(
   "/api/assignments/:assignmentId/submit",
   authMiddleware,
+  requirePermission("assignment.submit"),
   (req, res) => {
-    if (req.user.role !== "student") {
-      return res.status(403).json({
-        message: "Only students can submit assignments",
-      });
-    }
-
     upload(req, res, async (err) => {
       if (err) {
         console.error("Upload error:", err);
@@ -1441,6 +4918,9 @@ app.post(
             message: "You are not enrolled in this course",
           });
         }
+        if (course.archivedAt) {
+          return res.status(403).json({ message: ARCHIVED_COURSE_MESSAGE, code: "COURSE_ARCHIVED" });
+        }
 
         const uploadedFiles = [];
         for (const file of req.files || []) {
@@ -1478,8 +4958,7 @@ app.post(
 );
 
 // Delete submission file (Student specific, 5 min limit)
-app.delete("/api/assignments/:assignmentId/submission/files/:fileId", authMiddleware, async (req, res) => {
-  if (req.user.role !== "student") return res.status(403).json({ message: "Only students action" });
+app.delete("/api/assignments/:assignmentId/submission/files/:fileId", authMiddleware, requirePermission("assignment.submit"), async (req, res) => {
 
   try {
     const { assignmentId, fileId } = req.params;
@@ -1488,6 +4967,9 @@ app.delete("/api/assignments/:assignmentId/submission/files/:fileId", authMiddle
 
     const submission = assignment.submissions.find(s => s.studentId === req.user.id);
     if (!submission) return res.status(404).json({ message: "Submission not found" });
+    if (await Course.exists({ id: assignment.courseId, archivedAt: { $ne: null } })) {
+      return res.status(403).json({ message: ARCHIVED_COURSE_MESSAGE, code: "COURSE_ARCHIVED" });
+    }
 
     // Check time limit (5 mins)
     const now = new Date();
@@ -1517,30 +4999,10 @@ app.delete("/api/assignments/:assignmentId/submission/files/:fileId", authMiddle
 app.get(
   "/api/assignments/:assignmentId/submissions",
   authMiddleware,
+  requirePermission("submission.view", COURSE_FROM_ASSIGNMENT),
   async (req, res) => {
-    if (req.user.role !== "teacher") {
-      return res.status(403).json({
-        message: "Only teachers can view submissions",
-      });
-    }
-
     const { assignmentId } = req.params;
-    const assignment = await Assignment.findOne({
-      id: assignmentId,
-    });
-    if (!assignment)
-      return res.status(404).json({
-        message: "Assignment not found",
-      });
-
-    const course = await Course.findOne({
-      id: assignment.courseId,
-    });
-    if (!course || course.teacherId !== req.user.id) {
-      return res.status(403).json({
-        message: "You are not teacher of this course",
-      });
-    }
+    const assignment = req.assignment;
 
     const studentIds = assignment.submissions.map(
       (s) => s.studentId
@@ -1571,32 +5033,10 @@ app.get(
 app.post(
   "/api/assignments/:assignmentId/grade",
   authMiddleware,
+  requirePermission("submission.grade", COURSE_FROM_ASSIGNMENT),
   async (req, res) => {
-    if (req.user.role !== "teacher") {
-      return res.status(403).json({
-        message: "Only teachers can grade",
-      });
-    }
-
-    const { assignmentId } = req.params;
     const { studentId, marks, feedback } = req.body;
-
-    const assignment = await Assignment.findOne({
-      id: assignmentId,
-    });
-    if (!assignment)
-      return res.status(404).json({
-        message: "Assignment not found",
-      });
-
-    const course = await Course.findOne({
-      id: assignment.courseId,
-    });
-    if (!course || course.teacherId !== req.user.id) {
-      return res.status(403).json({
-        message: "You are not teacher of this course",
-      });
-    }
+    const assignment = req.assignment;
 
     const submission = assignment.submissions.find(
       (s) => s.studentId === studentId
@@ -1606,10 +5046,17 @@ app.post(
         message: "Submission not found",
       });
 
+    const before = snapshot(submission, ["marks", "feedback", "status"]);
     submission.marks = marks;
+    submission.status = marks === null || marks === undefined || marks === "" ? "submitted" : "graded";
     if (feedback) submission.feedback = feedback;
 
     await assignment.save();
+    await recordAudit(req, {
+      action: "submission.grade", targetType: "submission", targetId: `${assignment.id}:${studentId}`,
+      targetLabel: assignment.title, before, after: snapshot(submission, ["marks", "feedback", "status"]),
+      metadata: { assignmentId: assignment.id, courseId: assignment.courseId, studentId },
+    });
 
     res.json({ message: "Graded", submission });
   }
@@ -1620,15 +5067,9 @@ app.post(
 app.get(
   "/api/courses/:courseId/messages",
   authMiddleware,
+  requirePermission("message.read", COURSE_FROM_PARAMS),
   async (req, res) => {
     const { courseId } = req.params;
-    const course = await Course.findOne({ id: courseId });
-    if (!course) return res.status(404).json({ message: "Course not found" });
-
-    // Check enrollment? Usually yes, but maybe readable if public? Strict for now.
-    if (req.user.role === "student" && !course.students.includes(req.user.id)) {
-      return res.status(403).json({ message: "Not enrolled" });
-    }
 
     // Optimize: Join with User to get names
     // We can do a manual join or aggregation
@@ -1647,7 +5088,7 @@ app.get(
         content: m.content,
         createdAt: m.createdAt,
         userId: m.userId,
-        userName: u ? u.name : "Unknown",
+        userName: u ? u.name : (m.userName || "Unknown"),
         userRole: u ? u.role : "?"
       };
     });
@@ -1660,6 +5101,7 @@ app.get(
 app.post(
   "/api/courses/:courseId/messages",
   authMiddleware,
+  requirePermission("message.post", COURSE_FROM_PARAMS),
   async (req, res) => {
     const { courseId } = req.params;
     const { content } = req.body;
@@ -1668,29 +5110,6 @@ app.post(
         .status(400)
         .json({ message: "Content required" });
 
-    const course = await Course.findOne({ id: courseId });
-    if (!course)
-      return res
-        .status(404)
-        .json({ message: "Course not found" });
-
-    if (
-      req.user.role === "student" &&
-      !course.students.includes(req.user.id)
-    ) {
-      return res.status(403).json({
-        message: "You are not enrolled in this course",
-      });
-    }
-    if (
-      req.user.role === "teacher" &&
-      course.teacherId !== req.user.id
-    ) {
-      return res.status(403).json({
-        message: "You are not teacher of this course",
-      });
-    }
-
     const newMessage = new Message({
       id: uuidv4(),
       courseId,
@@ -1704,66 +5123,6 @@ app.post(
   }
 );
 
-// --- Study materials upload ---
-app.post(
-  "/api/courses/:courseId/materials",
-  authMiddleware,
-  (req, res) => {
-    if (req.user.role !== "teacher") {
-      return res.status(403).json({
-        message: "Only teachers can upload materials",
-      });
-    }
-
-    console.log(`[Materials] Upload request received for Course: ${req.params.courseId} from User: ${req.user.id}`);
-
-    upload(req, res, async (err) => {
-      if (err) {
-        console.error("Upload error:", err);
-        return res.status(400).json({
-          message: err.message || "Upload error",
-        });
-      }
-
-      try {
-        const { courseId } = req.params;
-        const course = await Course.findOne({ id: courseId });
-        if (!course)
-          return res.status(404).json({
-            message: "Course not found",
-          });
-
-        if (course.teacherId !== req.user.id) {
-          return res.status(403).json({
-            message:
-              "You are not the teacher of this course",
-          });
-        }
-
-        const uploadedFiles = [];
-        for (const file of req.files || []) {
-          const meta = await uploadToDrive(file);
-          uploadedFiles.push(meta);
-          course.materials.push({
-            ...meta,
-            fileType: "file"
-          });
-        }
-
-        await course.save();
-
-        res.json({
-          message: "Material uploaded",
-          files: uploadedFiles,
-        });
-      } catch (e) {
-        console.error("Material upload error:", e);
-        res.status(500).json({ message: "Server error" });
-      }
-    });
-  }
-);
-
 // --- Dashboard summary ---
 app.get(
   "/api/dashboard/summary",
@@ -1804,7 +5163,7 @@ app.get(
       });
     } else if (req.user.role === "teacher") {
       const myCourses = await Course.find({
-        teacherId: req.user.id,
+        $or: [{ teacherId: req.user.id }, { "staff.userId": req.user.id }],
       });
       const courseIds = myCourses.map((c) => c.id);
 
@@ -2092,7 +5451,7 @@ app.get("/api/schedule", authMiddleware, async (req, res) => {
         { program: user.program, semester: user.semester }
       ]
     };
-    if (["teacher", "hod", "coordinator", "pd"].includes(user.role)) {
+    if (can(user, "schedule.viewAll")) {
       delete query.$or;
     }
     const schedule = await Schedule.find(query);
@@ -2102,10 +5461,7 @@ app.get("/api/schedule", authMiddleware, async (req, res) => {
   }
 });
 
-app.post("/api/schedule", authMiddleware, async (req, res) => {
-  if (!["hod", "coordinator", "admin"].includes(req.user.role)) {
-    return res.status(403).json({ message: "Unauthorized" });
-  }
+app.post("/api/schedule", authMiddleware, requirePermission("schedule.create"), async (req, res) => {
   try {
     const { title, type, start, end, description, program, year, semester } = req.body;
     const newEvent = new Schedule({
@@ -2114,6 +5470,10 @@ app.post("/api/schedule", authMiddleware, async (req, res) => {
       createdBy: req.user.id
     });
     await newEvent.save();
+    await recordAudit(req, {
+      action: "schedule.create", targetType: "schedule", targetId: newEvent.id, targetLabel: title,
+      after: snapshot(newEvent, ["title", "type", "start", "end", "program", "year", "semester"]),
+    });
     res.json(newEvent);
   } catch (err) {
     res.status(500).json({ message: "Error saving schedule" });
@@ -2125,7 +5485,7 @@ app.get("/api/broadcasts", authMiddleware, async (req, res) => {
   try {
     const user = await User.findOne({ id: req.user.id });
     const query = {};
-    if (user.role === "student" || user.role === "teacher") {
+    if (!can(user, "broadcast.viewAll")) {
       query.$or = [
         { program: user.program },
         { department: user.department },
@@ -2139,10 +5499,7 @@ app.get("/api/broadcasts", authMiddleware, async (req, res) => {
   }
 });
 
-app.post("/api/broadcasts", authMiddleware, async (req, res) => {
-  if (!["hod", "pd", "admin"].includes(req.user.role)) {
-    return res.status(403).json({ message: "Only HOD and PD can broadcast" });
-  }
+app.post("/api/broadcasts", authMiddleware, requirePermission("broadcast.send"), async (req, res) => {
   try {
     const { content, program, department } = req.body;
     const user = await User.findOne({ id: req.user.id });
@@ -2156,12 +5513,67 @@ app.post("/api/broadcasts", authMiddleware, async (req, res) => {
       department,
     });
     await newBroadcast.save();
+    await recordAudit(req, {
+      action: "broadcast.send", targetType: "broadcast", targetId: newBroadcast.id,
+      after: snapshot(newBroadcast, ["content", "program", "department"]),
+    });
     res.json(newBroadcast);
   } catch (err) {
     res.status(500).json({ message: "Error sending broadcast" });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running at http://localhost:${PORT}`);
-});
+// Cloned courses share stored files with their source, so only files no other course or assignment uses are deleted
+async function filesOnlyIn(courseId, files) {
+  const urls = files.map((f) => f.url).filter(Boolean);
+  const driveIds = files.map((f) => f.driveId).filter(Boolean);
+  const [courses, assignments] = await Promise.all([
+    Course.find({ id: { $ne: courseId }, $or: [{ "materials.url": { $in: urls } }, { "materials.driveId": { $in: driveIds } }] }),
+    Assignment.find({ courseId: { $ne: courseId }, $or: [{ "attachments.url": { $in: urls } }, { "attachments.driveId": { $in: driveIds } }] }),
+  ]);
+  const shared = new Set(
+    [...courses.flatMap((c) => c.materials), ...assignments.flatMap((a) => a.attachments)].flatMap((f) => [f.url, f.driveId]).filter(Boolean)
+  );
+  return files.filter((f) => !shared.has(f.url) && !shared.has(f.driveId));
+}
+
+// Permanently removes archived courses whose retention window has passed
+async function purgeArchivedCourses() {
+  const due = await Course.find({ archivedAt: { $ne: null }, purgeAfter: { $lte: new Date() } }).limit(20);
+  for (const course of due) {
+    const assignments = await Assignment.find({ courseId: course.id });
+    const files = [
+      ...course.materials,
+      ...course.examDateSheets.filter((d) => d.type === "file").map((d) => ({ url: d.url, driveId: d.driveId || d.id })),
+      ...assignments.flatMap((a) => [...(a.attachments || []), ...a.submissions.flatMap((sub) => sub.files)]),
+    ];
+    const scheduledFiles = await scheduleFileDeletion(await filesOnlyIn(course.id, files), { userId: null, reason: `course-purge:${course.id}` });
+    const { deletedCount: messages } = await Message.deleteMany({ courseId: course.id });
+    await Assignment.deleteMany({ courseId: course.id });
+    await EnrollmentEvent.deleteMany({ courseId: course.id });
+    await Course.deleteOne({ id: course.id });
+
+    await recordSystemAudit({
+      action: "course.purge", targetType: "course", targetId: course.id, targetLabel: course.code,
+      before: snapshot(course, AUDIT_COURSE_FIELDS),
+      metadata: { assignments: assignments.length, messages, scheduledFiles, archivedBy: course.archivedBy, archiveReason: course.archiveReason },
+    });
+  }
+  if (due.length) console.log(`[Courses] Purged ${due.length} archived course(s)`);
+}
+
+// --- Background jobs ---
+if (IS_MAIN) {
+  setInterval(() => {
+    processFileDeletionJobs().catch((err) => console.error("File deletion job error:", err));
+  }, FILE_DELETION_INTERVAL_MS);
+  setInterval(() => {
+    purgeArchivedCourses().catch((err) => console.error("Course purge job error:", err));
+  }, COURSE_PURGE_INTERVAL_MS);
+
+  app.listen(PORT, () => {
+    console.log(`🚀 Server running at http://localhost:${PORT}`);
+  });
+}
+
+export { app, signAccessToken, AcademicStructure, Assignment, Course, Message, User, EnrollmentEvent, syncCourseEnrollment, syncStudentEnrollment };
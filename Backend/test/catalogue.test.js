@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { app, signAccessToken, Course, User } from "../server.js";
+import { useMemoryDb, startServer } from "./memory-db.js";
+
+// The catalogue runs as one aggregation; the test records the pipeline and answers with a fixed page
+function captureAggregate(t, page) {
+  const calls = [];
+  t.mock.method(Course, "aggregate", async (pipeline) => {
+    calls.push(pipeline);
+    return [{ total: [{ count: 41 }], courses: page }];
+  });
+  return calls;
+}
+
+function seed(db) {
+  const account = { isApproved: true, emailVerified: true, passwordHash: "x" };
+  db.add(User, { ...account, id: "t1", role: "teacher", name: "Ada Lovelace", email: "ada@example.com" });
+  db.add(User, { ...account, id: "t2", role: "teacher", name: "Alan Turing", email: "alan@example.com" });
+  return db.add(User, { ...account, id: "s1", role: "student", name: "Student", email: "s1@example.com", program: "B.Tech", semester: 3 });
+}
+
+test("the catalogue turns its filters and page into a single aggregation", async (t) => {
+  const db = useMemoryDb(t);
+  const student = seed(db);
+  const calls = captureAggregate(t, []);
+  const request = await startServer(t, app);
+
+  const query = "q=c%2B%2B&program=B.Tech&semester=3&section=AIML%20-%20Tigers&teacher=lovelace&mandatory=false&page=3&limit=10";
+  const res = await request("GET", `/api/courses/catalogue?${query}`, { token: signAccessToken(student) });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual({ total: res.body.total, page: res.body.page, pages: res.body.pages }, { total: 41, page: 3, pages: 5 });
+  const [{ $match: match }, , { $facet: facet }] = calls[0];
+  assert.deepEqual(match.$or.map((clause) => Object.values(clause)[0].source), ["c\\+\\+", "c\\+\\+", "c\\+\\+"]);
+  assert.equal(match.archivedAt, null);
+  assert.equal(match.program, "B.Tech");
+  assert.equal(match.semester, 3);
+  assert.equal(match.sections, "AIML - Tigers");
+  assert.equal(match.isMandatory, false);
+  assert.deepEqual(match.teacherId, { $in: ["t1"] });
+  assert.deepEqual(facet.courses.slice(0, 2), [{ $skip: 20 }, { $limit: 10 }]);
+});
+
+test("the catalogue caps the page size", async (t) => {
+  const db = useMemoryDb(t);
+  const student = seed(db);
+  const calls = captureAggregate(t, []);
+  const request = await startServer(t, app);
+
+  await request("GET", "/api/courses/catalogue?limit=5000", { token: signAccessToken(student) });
+
+  assert.deepEqual(calls[0][2].$facet.courses[1], { $limit: 100 });
+});
+
+test("students see whether they meet each course's prerequisites", async (t) => {
+  const db = useMemoryDb(t);
+  const student = seed(db);
+  const page = [
+    { id: "c1", code: "CS201", name: "Data Structures", prerequisites: [{ code: "CS101", minGrade: 50 }] },
+    { id: "c2", code: "CS110", name: "Discrete Maths", prerequisites: [] },
+  ];
+  captureAggregate(t, page);
+  const request = await startServer(t, app);
+
+  const res = await request("GET", "/api/courses/catalogue", { token: signAccessToken(student) });
+
+  assert.equal(res.status, 200);
+  const [ds, maths] = res.body.courses;
+  assert.equal(ds.eligibility.eligible, false);
+  assert.equal(ds.eligibility.unmet[0].reason, "No graded work in CS101");
+  assert.equal(maths.eligibility.eligible, true);
+});
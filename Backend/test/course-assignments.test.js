@@ -0,0 +1,36 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { app, signAccessToken, Assignment, Course, User } from "../server.js";
+import { useMemoryDb, startServer } from "./memory-db.js";
+
+function seed(db) {
+  const account = { role: "student", isApproved: true, emailVerified: true, passwordHash: "x", program: "B.Tech", branch: "AIML - Lions", semester: 3 };
+  const enrolled = db.add(User, { ...account, id: "s1", name: "Enrolled", email: "s1@example.com" });
+  const outsider = db.add(User, { ...account, id: "s2", name: "Outsider", email: "s2@example.com" });
+  // An elective for another section that s1 joined through an open seat
+  db.add(Course, { id: "c1", code: "CS301", name: "Compilers", program: "B.Tech", sections: ["AIML - Tigers"], semester: 3, students: ["s1"] });
+  db.add(Assignment, { id: "a1", courseId: "c1", title: "Lexer", maxMarks: 10 });
+  return { enrolled, outsider };
+}
+
+test("a student admitted outside the course's sections sees its assignments", async (t) => {
+  const db = useMemoryDb(t);
+  const { enrolled } = seed(db);
+  const request = await startServer(t, app);
+
+  const res = await request("GET", "/api/courses/c1/assignments", { token: signAccessToken(enrolled) });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.map((a) => a.id), ["a1"]);
+});
+
+test("a student neither in the sections nor on the roster sees no assignments", async (t) => {
+  const db = useMemoryDb(t);
+  const { outsider } = seed(db);
+  const request = await startServer(t, app);
+
+  const res = await request("GET", "/api/courses/c1/assignments", { token: signAccessToken(outsider) });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, []);
+});
@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Course, User, EnrollmentEvent, syncCourseEnrollment, syncStudentEnrollment } from "../server.js";
+
+// Just enough of MongoDB's matching for the queries the enrollment sync sends
+function matches(doc, query) {
+  return Object.entries(query).every(([key, value]) => {
+    if (key === "$or") return value.some((clause) => matches(doc, clause));
+    const field = doc[key] ?? null;
+    return Array.isArray(field) ? field.includes(value) : field === value;
+  });
+}
+
+function student(id) {
+  return new User({ id, role: "student", name: id, passwordHash: "x", program: "B.Tech", semester: 3, branch: "AIML - Tigers" });
+}
+
+function course(fields) {
+  const doc = new Course({ id: "c1", code: "EL301", program: "B.Tech", semester: 3, sections: ["AIML - Tigers"], ...fields });
+  doc.save = async () => doc;
+  return doc;
+}
+
+test("a full elective stays at capacity after a profile update", async (t) => {
+  const elective = course({ isMandatory: false, capacity: 2, students: ["s1", "s2"], waitlist: [{ userId: "s4" }] });
+  t.mock.method(Course, "find", async (query) => [elective].filter((c) => matches(c, query)));
+  t.mock.method(EnrollmentEvent, "insertMany", async () => []);
+
+  await syncStudentEnrollment(student("s3"), { trigger: "profile-update" });
+
+  assert.deepEqual([...elective.students], ["s1", "s2"]);
+  assert.deepEqual(elective.waitlist.map((w) => w.userId), ["s4"]);
+});
+
+test("re-evaluating a full elective's rules does not add matching students", async (t) => {
+  const elective = course({ isMandatory: false, capacity: 2, students: ["s1", "s2"] });
+  t.mock.method(User, "find", async () => [student("s3"), student("s4")]);
+  t.mock.method(EnrollmentEvent, "insertMany", async () => []);
+
+  const { added, removed } = await syncCourseEnrollment(elective, { trigger: "course-updated" });
+
+  assert.deepEqual(added, []);
+  assert.deepEqual(removed, []);
+  assert.equal(elective.students.length, 2);
+});
+
+test("mandatory courses still enroll matching students on a profile update", async (t) => {
+  const core = course({ isMandatory: true, students: [] });
+  t.mock.method(Course, "find", async (query) => [core].filter((c) => matches(c, query)));
+  const events = t.mock.method(EnrollmentEvent, "insertMany", async () => []);
+
+  await syncStudentEnrollment(student("s3"), { trigger: "profile-update" });
+
+  assert.deepEqual([...core.students], ["s3"]);
+  assert.deepEqual([...core.autoEnrolled], ["s3"]);
+  assert.equal(events.mock.callCount(), 1);
+});
@@ -0,0 +1,35 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { app, signAccessToken, User } from "../server.js";
+import { useMemoryDb, startServer } from "./memory-db.js";
+
+async function impersonate(t) {
+  const db = useMemoryDb(t);
+  const account = { isApproved: true, emailVerified: true, passwordHash: "x" };
+  const admin = db.add(User, { ...account, id: "a1", role: "admin", name: "Admin", email: "admin@example.com" });
+  db.add(User, { ...account, id: "s1", role: "student", name: "Student", email: "s1@example.com" });
+  const request = await startServer(t, app);
+  const res = await request("POST", "/api/admin/users/s1/impersonate", { token: signAccessToken(admin), body: { reason: "Support ticket" } });
+  assert.equal(res.status, 200);
+  return { request, token: res.body.token };
+}
+
+test("an impersonation session can read the user's view but not their credentials or admin tools", async (t) => {
+  const { request, token } = await impersonate(t);
+
+  assert.equal((await request("GET", "/api/me", { token })).status, 200);
+  for (const [method, path] of [["GET", "/api/me/2fa"], ["GET", "/api/me/export"], ["GET", "/api/admin/users"], ["POST", "/api/me/2fa/disable"], ["PUT", "/api/me"]]) {
+    const res = await request(method, path, { token, body: method === "GET" ? undefined : {} });
+    assert.equal(res.status, 403, `${method} ${path}`);
+    assert.equal(res.body.code, "IMPERSONATION_READ_ONLY");
+  }
+});
+
+test("an impersonation session can still be ended", async (t) => {
+  const { request, token } = await impersonate(t);
+
+  const res = await request("POST", "/api/impersonation/end", { token });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message, "Impersonation ended");
+});
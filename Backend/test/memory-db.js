@@ -0,0 +1,283 @@
+// In-memory stand-in for the MongoDB calls the routes make, so tests can drive the real handlers over HTTP.
+// Covers the query and update operators server.js uses; anything else throws so a test never passes by accident.
+import mongoose from "mongoose";
+
+const plain = (doc) => (doc && typeof doc.toObject === "function" ? doc.toObject() : doc);
+
+function same(a, b) {
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+  if (a && typeof a.equals === "function") return a.equals(b);
+  return (a ?? null) === (b ?? null);
+}
+
+// Values at a dotted path, descending into arrays the way MongoDB does
+function valuesAt(obj, path) {
+  const [head, ...rest] = path.split(".");
+  const value = obj?.[head];
+  if (!rest.length) return [value];
+  if (Array.isArray(value)) return value.flatMap((item) => valuesAt(item, rest.join(".")));
+  return valuesAt(value, rest.join("."));
+}
+
+const isOperatorObject = (value) =>
+  value && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof RegExp)
+  && Object.keys(value).length > 0 && Object.keys(value).every((k) => k.startsWith("$"));
+
+function compare(value, op, arg) {
+  switch (op) {
+    case "$eq": return same(value, arg);
+    case "$in": return arg.some((a) => (a instanceof RegExp ? typeof value === "string" && a.test(value) : same(value, a)));
+    case "$gt": return value != null && value > arg;
+    case "$gte": return value != null && value >= arg;
+    case "$lt": return value != null && value < arg;
+    case "$lte": return value != null && value <= arg;
+    case "$regex": return typeof value === "string" && new RegExp(arg).test(value);
+    case "$elemMatch": return value && typeof value === "object" && matches(value, arg);
+    default: throw new Error(`memory-db: unsupported operator ${op}`);
+  }
+}
+
+// True when any value at the path (or any element of an array value) passes the test
+function anyValue(values, test) {
+  return values.some((v) => test(v) || (Array.isArray(v) && v.some(test)));
+}
+
+function matchesCondition(obj, path, condition) {
+  const values = valuesAt(obj, path);
+  if (!isOperatorObject(condition)) {
+    if (condition instanceof RegExp) return anyValue(values, (v) => typeof v === "string" && condition.test(v));
+    return anyValue(values, (v) => same(v, condition));
+  }
+  return Object.entries(condition).every(([op, arg]) => {
+    if (op === "$options") return true;
+    if (op === "$regex") return anyValue(values, (v) => typeof v === "string" && new RegExp(arg, condition.$options).test(v));
+    if (op === "$exists") return values.some((v) => v !== undefined) === !!arg;
+    if (op === "$ne") return !anyValue(values, (v) => same(v, arg));
+    if (op === "$nin") return !anyValue(values, (v) => arg.some((a) => same(v, a)));
+    if (op === "$size") return values.some((v) => Array.isArray(v) && v.length === arg);
+    if (op === "$elemMatch") return values.some((v) => Array.isArray(v) && v.some((item) => compare(plain(item), op, arg)));
+    return anyValue(values, (v) => compare(v, op, arg));
+  });
+}
+
+export function matches(doc, query = {}) {
+  const obj = plain(doc);
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === "$or") return condition.some((clause) => matches(obj, clause));
+    if (key === "$and") return condition.every((clause) => matches(obj, clause));
+    if (key === "$nor") return !condition.some((clause) => matches(obj, clause));
+    if (key.startsWith("$")) throw new Error(`memory-db: unsupported query operator ${key}`);
+    return matchesCondition(obj, key, condition);
+  });
+}
+
+function pullMatches(item, condition) {
+  if (isOperatorObject(condition)) return matchesCondition({ v: plain(item) }, "v", condition);
+  if (condition && typeof condition === "object" && !(condition instanceof Date)) return matches(item, condition);
+  return same(item, condition);
+}
+
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  // Like Mongoose, a plain object without operators is a $set
+  const { $setOnInsert, ...rest } = update;
+  if (Object.keys(rest).some((k) => !k.startsWith("$"))) update = { $set: rest, ...($setOnInsert ? { $setOnInsert } : {}) };
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [path, arg] of Object.entries(fields)) {
+      const current = doc.get(path);
+      switch (op) {
+        case "$set": doc.set(path, arg); break;
+        case "$setOnInsert": if (inserting) doc.set(path, arg); break;
+        case "$unset": doc.set(path, undefined); break;
+        case "$inc": doc.set(path, (current || 0) + arg); break;
+        case "$max": if (current == null || arg > current) doc.set(path, arg); break;
+        case "$min": if (current == null || arg < current) doc.set(path, arg); break;
+        case "$push": current.push(...(arg?.$each || [arg])); break;
+        case "$addToSet": for (const v of arg?.$each || [arg]) if (!current.some((c) => same(c, v))) current.push(v); break;
+        case "$pull": doc.set(path, current.filter((item) => !pullMatches(item, arg))); break;
+        default: throw new Error(`memory-db: unsupported update operator ${op}`);
+      }
+    }
+  }
+  return doc;
+}
+
+// Positional projection ("field.$"): keep only the first array element the filter matched
+function project(doc, filter, projection) {
+  const positional = Object.keys(typeof projection === "object" && projection ? projection : {}).find((k) => k.endsWith(".$"));
+  if (!positional) return doc;
+  const field = positional.slice(0, -2);
+  const obj = plain(doc);
+  const conditions = Object.entries(filter).filter(([k]) => k === field || k.startsWith(`${field}.`));
+  const element = obj[field].find((item) => conditions.every(([k, c]) => {
+    if (k === field) return isOperatorObject(c) && c.$elemMatch ? matches(item, c.$elemMatch) : same(item, c);
+    return matchesCondition(item, k.slice(field.length + 1), c);
+  }));
+  return { ...obj, [field]: element ? [element] : [] };
+}
+
+// Thenable with the chainable query helpers the routes call
+function query(run) {
+  const options = { lean: false, sort: null, skip: 0, limit: 0 };
+  const q = {
+    select: () => q,
+    populate: () => q,
+    session: () => q,
+    lean: () => { options.lean = true; return q; },
+    sort: (sort) => { options.sort = sort; return q; },
+    skip: (n) => { options.skip = n; return q; },
+    limit: (n) => { options.limit = n; return q; },
+    exec: () => Promise.resolve().then(() => run(options)),
+    then: (resolve, reject) => q.exec().then(resolve, reject),
+    catch: (reject) => q.exec().catch(reject),
+  };
+  return q;
+}
+
+function sortDocs(docs, sort) {
+  if (!sort || typeof sort !== "object") return docs;
+  const keys = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [key, dir] of keys) {
+      const [x, y] = [plain(a)[key], plain(b)[key]];
+      if (x < y) return dir < 0 ? 1 : -1;
+      if (x > y) return dir < 0 ? -1 : 1;
+    }
+    return 0;
+  });
+}
+
+// Replaces the model statics and document methods for the duration of the test.
+// Returns { add(Model, fields), all(Model) } to seed and inspect collections.
+export function useMemoryDb(t) {
+  const collections = new Map();
+  const collection = (model) => {
+    if (!collections.has(model.modelName)) collections.set(model.modelName, []);
+    return collections.get(model.modelName);
+  };
+  const stored = (doc) => collection(doc.constructor).includes(doc);
+  // Stored documents look freshly loaded: not new, nothing modified (what save() leaves behind in Mongoose)
+  const persist = (doc) => {
+    doc.$__reset();
+    doc.isNew = false;
+    return doc;
+  };
+  const upsertDoc = (Model, filter, update) => {
+    const fields = Object.fromEntries(Object.entries(filter).filter(([k, v]) => !k.startsWith("$") && !isOperatorObject(v)));
+    const doc = new Model(fields);
+    applyUpdate(doc, update, { inserting: true });
+    collection(Model).push(persist(doc));
+    return doc;
+  };
+  const finish = (docs, options) => {
+    let out = sortDocs(docs, options.sort).slice(options.skip);
+    if (options.limit) out = out.slice(0, options.limit);
+    return options.lean ? out.map(plain) : out;
+  };
+
+  const statics = {
+    find(filter = {}, projection) {
+      return query((o) => finish(collection(this).filter((d) => matches(d, filter)), o).map((d) => project(d, filter, projection)));
+    },
+    findOne(filter = {}, projection) {
+      return query((o) => {
+        const [doc] = finish(collection(this).filter((d) => matches(d, filter)), { ...o, limit: 1 });
+        return doc ? project(doc, filter, projection) : null;
+      });
+    },
+    findById(id) { return this.findOne({ _id: id }); },
+    exists(filter = {}) { return query(() => (collection(this).find((d) => matches(d, filter)) ? { _id: true } : null)); },
+    countDocuments(filter = {}) { return query(() => collection(this).filter((d) => matches(d, filter)).length); },
+    distinct(field, filter = {}) {
+      return query(() => [...new Set(collection(this).filter((d) => matches(d, filter)).flatMap((d) => valuesAt(plain(d), field)))]);
+    },
+    updateOne(filter, update, options = {}) {
+      return query(() => {
+        const doc = collection(this).find((d) => matches(d, filter));
+        if (doc) persist(applyUpdate(doc, update));
+        else if (options.upsert) upsertDoc(this, filter, update);
+        return { acknowledged: true, matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0, upsertedCount: !doc && options.upsert ? 1 : 0 };
+      });
+    },
+    updateMany(filter, update) {
+      return query(() => {
+        const docs = collection(this).filter((d) => matches(d, filter));
+        docs.forEach((d) => persist(applyUpdate(d, update)));
+        return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length };
+      });
+    },
+    findOneAndUpdate(filter, update, options = {}) {
+      return query(() => {
+        const doc = collection(this).find((d) => matches(d, filter));
+        if (!doc) return options.upsert ? upsertDoc(this, filter, update) : null;
+        const before = options.new || options.returnDocument === "after" ? null : this.hydrate(plain(doc));
+        persist(applyUpdate(doc, update));
+        return before || doc;
+      });
+    },
+    findByIdAndUpdate(id, update, options) { return this.findOneAndUpdate({ _id: id }, update, options); },
+    deleteOne(filter = {}) {
+      return query(() => {
+        const docs = collection(this);
+        const index = docs.findIndex((d) => matches(d, filter));
+        if (index !== -1) docs.splice(index, 1);
+        return { acknowledged: true, deletedCount: index === -1 ? 0 : 1 };
+      });
+    },
+    deleteMany(filter = {}) {
+      return query(() => {
+        const docs = collection(this);
+        const keep = docs.filter((d) => !matches(d, filter));
+        const deletedCount = docs.length - keep.length;
+        docs.splice(0, docs.length, ...keep);
+        return { acknowledged: true, deletedCount };
+      });
+    },
+    async create(fields) {
+      const docs = (Array.isArray(fields) ? fields : [fields]).map((f) => persist(new this(f)));
+      collection(this).push(...docs);
+      return Array.isArray(fields) ? docs : docs[0];
+    },
+    async insertMany(fields) { return this.create(fields); },
+    aggregate() { throw new Error("memory-db: aggregate is not supported; mock it in the test"); },
+  };
+  for (const [name, fn] of Object.entries(statics)) t.mock.method(mongoose.Model, name, fn);
+
+  t.mock.method(mongoose.Model.prototype, "save", async function () {
+    if (!stored(this)) collection(this.constructor).push(this);
+    return persist(this);
+  });
+  t.mock.method(mongoose.Model.prototype, "deleteOne", async function () {
+    const docs = collection(this.constructor);
+    if (stored(this)) docs.splice(docs.indexOf(this), 1);
+    return { acknowledged: true, deletedCount: 1 };
+  });
+
+  return {
+    add(Model, fields) {
+      const doc = persist(new Model(fields));
+      collection(Model).push(doc);
+      return doc;
+    },
+    all: (Model) => collection(Model),
+  };
+}
+
+// Starts the app on a free port; requests are sent as JSON (or FormData as multipart) with an optional bearer token
+export async function startServer(t, app) {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return async (method, path, { token, body } = {}) => {
+    const multipart = body instanceof FormData;
+    const res = await fetch(base + path, {
+      method,
+      headers: { ...(multipart ? {} : { "Content-Type": "application/json" }), ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body === undefined || multipart ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let data = text;
+    try { data = JSON.parse(text); } catch { /* CSV and other non-JSON bodies */ }
+    return { status: res.status, body: data, headers: res.headers };
+  };
+}
@@ -0,0 +1,36 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { app, User } from "../server.js";
+import { useMemoryDb, startServer } from "./memory-db.js";
+
+async function requestCode(t, email) {
+  const db = useMemoryDb(t);
+  db.add(User, { id: "s1", role: "student", name: "Student", email: "s1@example.com", isApproved: true, emailVerified: true, passwordHash: "x" });
+  const request = await startServer(t, app);
+  return request("POST", "/api/auth/send-otp", { body: { email, type: "reset" } });
+}
+
+const SENT = { message: "If an account exists for this email, a verification code has been sent." };
+
+test("a reset code request for an account gets the generic reply", async (t) => {
+  const res = await requestCode(t, "s1@example.com");
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, SENT);
+});
+
+test("a reset code request for an unknown email gets the same reply", async (t) => {
+  const res = await requestCode(t, "nobody@example.com");
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, SENT);
+});
+
+test("the account lookup debug endpoint is gone", async (t) => {
+  useMemoryDb(t);
+  const request = await startServer(t, app);
+
+  const res = await request("GET", "/api/auth/check-user?email=s1@example.com");
+
+  assert.equal(res.status, 404);
+});
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { app, signAccessToken, Assignment, Course, User } from "../server.js";
+import { useMemoryDb, startServer } from "./memory-db.js";
+
+function seed(db) {
+  const account = { isApproved: true, emailVerified: true, passwordHash: "x" };
+  const teacher = db.add(User, { ...account, id: "t1", role: "teacher", name: "Teacher", email: "t1@example.com" });
+  const student = db.add(User, { ...account, id: "s1", role: "student", name: "Student", email: "s1@example.com", program: "B.Tech", semester: 3 });
+  db.add(Course, { id: "c101", code: "CS101", name: "Programming", teacherId: "t1", program: "B.Tech", semester: 1, students: ["s1"] });
+  db.add(Assignment, { id: "a1", courseId: "c101", title: "Lab 1", maxMarks: 10, submissions: [{ studentId: "s1" }] });
+  const elective = db.add(Course, {
+    id: "c201", code: "CS201", name: "Data Structures", teacherId: "t1", program: "B.Tech", semester: 3,
+    prerequisites: [{ code: "CS101", minGrade: 50 }],
+  });
+  return { teacher, student, elective };
+}
+
+test("a student can join a course once its prerequisite work is graded", async (t) => {
+  const db = useMemoryDb(t);
+  const { teacher, student, elective } = seed(db);
+  const request = await startServer(t, app);
+
+  const early = await request("POST", "/api/courses/c201/join", { token: signAccessToken(student) });
+  assert.equal(early.status, 400);
+  assert.equal(early.body.code, "PREREQUISITES_NOT_MET");
+  assert.equal(early.body.unmet[0].reason, "No graded work in CS101");
+
+  const graded = await request("POST", "/api/assignments/a1/grade", { token: signAccessToken(teacher), body: { studentId: "s1", marks: 8 } });
+  assert.equal(graded.status, 200);
+  assert.equal(graded.body.submission.status, "graded");
+
+  const joined = await request("POST", "/api/courses/c201/join", { token: signAccessToken(student) });
+  assert.equal(joined.status, 200);
+  assert.equal(joined.body.status, "joined");
+  assert.deepEqual([...elective.students], ["s1"]);
+});
+
+test("a prerequisite grade below the minimum still blocks joining", async (t) => {
+  const db = useMemoryDb(t);
+  const { teacher, student, elective } = seed(db);
+  const request = await startServer(t, app);
+
+  await request("POST", "/api/assignments/a1/grade", { token: signAccessToken(teacher), body: { studentId: "s1", marks: 4 } });
+  const res = await request("POST", "/api/courses/c201/join", { token: signAccessToken(student) });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.unmet[0].reason, "CS101: 40% (needs 50%)");
+  assert.deepEqual([...elective.students], []);
+});
@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { app, signAccessToken, AcademicStructure, Course, User } from "../server.js";
+import { useMemoryDb, startServer } from "./memory-db.js";
+
+function seed(db) {
+  const account = { isApproved: true, emailVerified: true, passwordHash: "x" };
+  db.add(AcademicStructure, { id: "p1", program: "B.Tech", years: 4, semestersPerYear: 2, branches: [{ name: "AIML", sections: ["Tigers", "Lions"] }] });
+  const admin = db.add(User, { ...account, id: "a1", role: "admin", name: "Admin", email: "admin@example.com" });
+  const student = db.add(User, {
+    ...account, id: "s1", role: "student", name: "Student", email: "s1@example.com",
+    program: "B.Tech", branch: "AIML - Tigers", year: 1, semester: 1,
+  });
+  const rule = { program: "B.Tech", sections: ["AIML - Tigers", "AIML - Lions"], isMandatory: true };
+  const sem1 = db.add(Course, { id: "c1", code: "CS101", name: "Programming", ...rule, semester: 1, students: ["s1"], autoEnrolled: ["s1"] });
+  const sem2 = db.add(Course, { id: "c2", code: "CS102", name: "Data Structures", ...rule, semester: 2 });
+  return { admin, student, sem1, sem2 };
+}
+
+async function rollOver(request, admin) {
+  const res = await request("POST", "/api/admin/rollover", { token: signAccessToken(admin), body: { dryRun: false, nextTerm: "Spring" } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.promoted, 1);
+}
+
+test("a student's own profile edit after a rollover keeps their semester", async (t) => {
+  const db = useMemoryDb(t);
+  const { admin, student, sem1, sem2 } = seed(db);
+  const request = await startServer(t, app);
+
+  await rollOver(request, admin);
+  assert.equal(student.semester, 2);
+  assert.deepEqual([...sem2.students], ["s1"]);
+
+  const res = await request("PUT", "/api/me", { token: signAccessToken(student), body: { branch: "AIML - Lions" } });
+  assert.equal(res.status, 200);
+  assert.equal(student.branch, "AIML - Lions");
+  assert.equal(student.semester, 2);
+  assert.deepEqual([...sem2.students], ["s1"]);
+  assert.deepEqual([...sem1.students], []);
+});
+
+test("an admin edit after a rollover keeps the semester unless the year changes", async (t) => {
+  const db = useMemoryDb(t);
+  const { admin, student, sem2 } = seed(db);
+  const request = await startServer(t, app);
+
+  await rollOver(request, admin);
+  // The edit form sends every field, including the unchanged year
+  const edit = { name: "Renamed", program: "B.Tech", branch: "AIML - Lions", year: 1 };
+  const same = await request("PUT", "/api/admin/users/s1", { token: signAccessToken(admin), body: edit });
+  assert.equal(same.status, 200);
+  assert.equal(student.semester, 2);
+  assert.deepEqual([...sem2.students], ["s1"]);
+
+  const moved = await request("PUT", "/api/admin/users/s1", { token: signAccessToken(admin), body: { ...edit, year: 2 } });
+  assert.equal(moved.status, 200);
+  assert.equal(student.semester, 3);
+  assert.deepEqual([...sem2.students], []);
+});
@@ -0,0 +1,25 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { app, signAccessToken, Assignment, Course, Message, User } from "../server.js";
+import { useMemoryDb, startServer } from "./memory-db.js";
+
+test("the roster export counts marked work as graded and neutralises spreadsheet formulas", async (t) => {
+  const db = useMemoryDb(t);
+  t.mock.method(Message, "aggregate", async () => []);
+  const account = { isApproved: true, emailVerified: true, passwordHash: "x", role: "student" };
+  const teacher = db.add(User, { ...account, id: "t1", role: "teacher", name: "Teacher" });
+  db.add(User, { ...account, id: "s1", name: "=SUM(A1:A9)", rollNumber: "A1" });
+  db.add(User, { ...account, id: "s2", name: "\tcmd", rollNumber: "A2" });
+  db.add(Course, { id: "c1", code: "CS101", name: "Programming", teacherId: "t1", students: ["s1", "s2"] });
+  db.add(Assignment, { id: "a1", courseId: "c1", maxMarks: 10, submissions: [{ studentId: "s1", marks: 7 }, { studentId: "s2" }] });
+  const request = await startServer(t, app);
+
+  const res = await request("GET", "/api/courses/c1/roster/export", { token: signAccessToken(teacher) });
+
+  assert.equal(res.status, 200);
+  const [header, ...rows] = res.body.split("\n").map((line) => line.split(","));
+  const name = header.indexOf("Name");
+  const graded = header.indexOf("Graded");
+  assert.deepEqual(rows.map((r) => r[name]), ["'=SUM(A1:A9)", "'\tcmd"]);
+  assert.deepEqual(rows.map((r) => r[graded]), ["1", "0"]);
+});
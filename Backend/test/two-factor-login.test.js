@@ -0,0 +1,54 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { app, User } from "../server.js";
+import { useMemoryDb, startServer } from "./memory-db.js";
+
+const BACKUP_CODE = "abcd-ef01";
+
+async function passwordStep(t) {
+  const db = useMemoryDb(t);
+  const user = db.add(User, {
+    id: "u1", role: "teacher", name: "Teacher", email: "t1@example.com", isApproved: true, emailVerified: true,
+    passwordHash: bcrypt.hashSync("correct horse", 4),
+    twoFactorEnabled: true, twoFactorSecret: "unused-for-backup-codes",
+    twoFactorBackupCodes: [crypto.createHash("sha256").update(BACKUP_CODE).digest("hex")],
+  });
+  const request = await startServer(t, app);
+  const res = await request("POST", "/api/login", { body: { identifier: "t1@example.com", password: "correct horse" } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.twoFactorRequired, true);
+  return { user, request, challengeToken: res.body.challengeToken };
+}
+
+test("the second factor completes the login", async (t) => {
+  const { request, challengeToken } = await passwordStep(t);
+
+  const res = await request("POST", "/api/auth/login/2fa", { body: { challengeToken, code: BACKUP_CODE } });
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token);
+});
+
+test("a challenge issued before the account was deactivated gives no session", async (t) => {
+  const { user, request, challengeToken } = await passwordStep(t);
+  // What the admin deactivate route does: flag the account and revoke its sessions
+  user.isActive = false;
+  user.tokenVersion += 1;
+
+  const res = await request("POST", "/api/auth/login/2fa", { body: { challengeToken, code: BACKUP_CODE } });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.token, undefined);
+});
+
+test("a forced password reset after the password step stops the 2FA step", async (t) => {
+  const { user, request, challengeToken } = await passwordStep(t);
+  user.mustResetPassword = true;
+
+  const res = await request("POST", "/api/auth/login/2fa", { body: { challengeToken, code: BACKUP_CODE } });
+
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, "PASSWORD_RESET_REQUIRED");
+});
@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { app, signAccessToken, AcademicStructure, Course, User } from "../server.js";
+import { useMemoryDb, startServer } from "./memory-db.js";
+
+function seed(db) {
+  db.add(AcademicStructure, { id: "p1", program: "B.Tech", years: 4, semestersPerYear: 2, branches: [{ name: "AIML", sections: ["Tigers"] }] });
+  const admin = db.add(User, { id: "a1", role: "admin", name: "Admin", email: "admin@example.com", isApproved: true, emailVerified: true, passwordHash: "x" });
+  // A legacy student account with a roll number but no email on file
+  db.add(User, { id: "s0", role: "student", name: "Legacy", email: null, rollNumber: "23WU0101001", isApproved: true, passwordHash: "x" });
+  const course = db.add(Course, { id: "c1", code: "CS101", name: "Programming", program: "B.Tech", sections: ["AIML - Tigers"], semester: 1, isMandatory: true });
+  return { admin, course };
+}
+
+function csvUpload(csv, dryRun) {
+  const form = new FormData();
+  form.append("dryRun", String(dryRun));
+  form.append("file", new Blob([csv], { type: "text/csv" }), "students.csv");
+  return form;
+}
+
+const CSV = [
+  "Roll Number,Name,Email,Program,Branch,Year",
+  "23WU0101001,Taken Roll,taken@example.com,B.Tech,AIML - Tigers,1",
+  "23WU0101002,New Student,new@example.com,B.Tech,AIML - Tigers,1",
+  "23WU0101003,Dup Email,NEW@example.com,B.Tech,AIML - Tigers,1",
+].join("\n");
+
+test("an import preview reports row errors even when a matched account has no email", async (t) => {
+  const db = useMemoryDb(t);
+  const { admin } = seed(db);
+  const request = await startServer(t, app);
+
+  const res = await request("POST", "/api/admin/users/import", { token: signAccessToken(admin), body: csvUpload(CSV, true) });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.valid, 1);
+  assert.deepEqual(res.body.rows.map((r) => r.errors), [["Roll number already exists"], [], ["Duplicate email in file"]]);
+  assert.equal(db.all(User).length, 2);
+});
+
+test("an import creates the valid students and enrolls them in matching courses", async (t) => {
+  const db = useMemoryDb(t);
+  const { admin, course } = seed(db);
+  const request = await startServer(t, app);
+
+  const res = await request("POST", "/api/admin/users/import", { token: signAccessToken(admin), body: csvUpload(CSV, false) });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.created, 1);
+  const created = db.all(User).find((u) => u.email === "new@example.com");
+  assert.equal(created.rollNumber, "23WU0101002");
+  assert.equal(created.semester, 1);
+  assert.deepEqual([...course.students], [created.id]);
+});
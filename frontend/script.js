@@ -2,21 +2,100 @@ const API_BASE = "https://student-website-1-mx8v.onrender.com";
 // const API_BASE = "https://woxsen-app-student-backend.onrender.com";
 let messageInterval = null;
 
-const BRANCH_DATA = {
-  "B.Tech": {
-    "AIML": ["Tigers", "Rhinos", "Panthers", "Leopards", "Whales", "Wolves"],
-    "CSE": ["Tigers", "Rhinos", "Panthers"],
-    "ECE": ["Default"],
-    "BCA": ["Default"]
-  },
-  "BBA": {
-    "ED": ["Wolves"],
-    "AIDs": ["Tigers"],
-    "Marketing": ["Panthers"],
-    "Finance": ["Whales", "Leopards"]
+// Programmes -> branches/sections -> years, from GET /api/academic-structure
+let academicStructure = [];
+
+async function loadAcademicStructure() {
+  try {
+    academicStructure = await api("/api/academic-structure");
+  } catch (err) {
+    console.error("Academic structure load error:", err);
+    academicStructure = [];
   }
+}
+
+function findProgram(name) {
+  return academicStructure.find(p => p.program === name) || null;
+}
+
+function programOptions(selected = "") {
+  return academicStructure
+    .map(p => `<option value="${escapeHtml(p.program)}" ${p.program === selected ? "selected" : ""}>${escapeHtml(p.program)}</option>`).join("");
+}
+
+const ROLE_LABELS = {
+  student: "Student",
+  teacher: "Teacher",
+  ta: "Teaching Assistant",
+  coordinator: "Coordinator",
+  hod: "Head of Department",
+  pd: "Program Director",
+  dean: "Dean",
+  admin: "Admin"
+};
+
+// Sidebar views available to each role
+const ALL_VIEWS = ["overview", "courses", "assignments", "messages", "materials", "profile", "datesheets", "schedule", "broadcast"];
+const LEADERSHIP_VIEWS = ["overview", "courses", "messages", "profile", "schedule", "broadcast"];
+const ROLE_VIEWS = {
+  student: ALL_VIEWS,
+  teacher: ALL_VIEWS,
+  ta: ALL_VIEWS,
+  coordinator: ALL_VIEWS,
+  hod: ALL_VIEWS,
+  pd: LEADERSHIP_VIEWS,
+  dean: [...LEADERSHIP_VIEWS, "admin"],
+  admin: [...LEADERSHIP_VIEWS, "admin"]
 };
 
+// Effective permissions from GET /api/me/permissions (action -> scope), mirrors POLICY on the server
+let userPermissions = {};
+let courseStaffRoles = {}; // staff role -> actions it grants on that course
+
+async function loadPermissions() {
+  try {
+    const data = await api("/api/me/permissions");
+    userPermissions = data.permissions || {};
+    courseStaffRoles = data.courseStaffRoles || {};
+  } catch (err) {
+    console.error("Permissions load error:", err);
+    userPermissions = {};
+    courseStaffRoles = {};
+  }
+}
+
+// The caller's staff role on a course: lead teacher, or an entry in course.staff
+function staffRoleOn(course, user) {
+  if (course.myStaffRole) return course.myStaffRole;
+  if (course.teacherId === user.id) return "instructor";
+  const member = (course.staff || []).find(s => s.userId === user.id);
+  return member ? member.role : null;
+}
+
+// Without a course only the action is checked; with one, the scope and any course staff role are applied too
+function can(action, course = null) {
+  const user = getUser();
+  const staffRole = course && user.role !== "student" ? staffRoleOn(course, user) : null;
+  if (staffRole && (courseStaffRoles[staffRole] || []).includes(action)) return true;
+
+  const scope = userPermissions[action];
+  if (!scope) return false;
+  if (scope === "any" || !course) return true;
+  if (scope === "enrolled") return (course.students || []).includes(user.id);
+  if (course.teacherId === user.id) return true;
+  return scope === "department" && !!user.department && course.department === user.department;
+}
+
+// For text from the server placed in innerHTML, including attribute values
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 function togglePassword(id) {
   const input = document.getElementById(id);
   input.type = input.type === "password" ? "text" : "password";
@@ -29,17 +108,102 @@ function getUser() {
   const raw = localStorage.getItem("user");
   return raw ? JSON.parse(raw) : null;
 }
-function saveSession(token, user) {
+function saveSession(token, user, refreshToken) {
   localStorage.setItem("token", token);
   localStorage.setItem("user", JSON.stringify(user));
+  if (refreshToken) localStorage.setItem("refreshToken", refreshToken);
 }
 function clearSession() {
   localStorage.removeItem("token");
   localStorage.removeItem("user");
+  localStorage.removeItem("refreshToken");
+  localStorage.removeItem("impersonation");
+  localStorage.removeItem("adminSession");
+}
+
+// Impersonation: the admin's own session is parked in localStorage while the
+// read-only token for the other user is active
+function getImpersonation() {
+  const raw = localStorage.getItem("impersonation");
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function startImpersonation(userId) {
+  const reason = prompt("Reason for viewing as this user (recorded in the audit log):");
+  if (!reason) return;
+  try {
+    const data = await api(`/api/admin/users/${userId}/impersonate`, {
+      method: "POST",
+      body: JSON.stringify({ reason })
+    });
+    localStorage.setItem("adminSession", JSON.stringify({
+      token: getToken(),
+      user: getUser(),
+      refreshToken: localStorage.getItem("refreshToken")
+    }));
+    localStorage.removeItem("refreshToken");
+    saveSession(data.token, data.user);
+    localStorage.setItem("impersonation", JSON.stringify({ expiresAt: data.expiresAt, impersonator: data.impersonator }));
+    window.location.href = "dashboard.html";
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+// Put the admin's session back; notifies the server first while the token is still valid
+async function endImpersonation(notify = true) {
+  const admin = JSON.parse(localStorage.getItem("adminSession") || "null");
+  if (notify) {
+    await fetch(API_BASE + "/api/impersonation/end", {
+      method: "POST",
+      headers: { "Authorization": "Bearer " + getToken() }
+    }).catch(() => { });
+  }
+  clearSession();
+  if (admin) saveSession(admin.token, admin.user, admin.refreshToken);
+  window.location.href = admin ? "dashboard.html" : "index.html";
+}
+
+// Trade the refresh token for a new token pair. Concurrent callers share one request,
+// because the server revokes a refresh token as soon as it is used.
+let refreshPromise = null;
+function refreshSession() {
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (!refreshToken) return Promise.resolve(false);
+  if (!refreshPromise) {
+    refreshPromise = fetch(API_BASE + "/api/auth/refresh", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken })
+    })
+      .then(async (res) => {
+        if (!res.ok) return false;
+        const data = await res.json();
+        saveSession(data.token, data.user, data.refreshToken);
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+}
+
+async function logout() {
+  if (getImpersonation()) return endImpersonation();
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (refreshToken) {
+    await fetch(API_BASE + "/api/auth/logout", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken })
+    }).catch(() => { });
+  }
+  clearSession();
+  window.location.href = "index.html";
 }
 
 // Generic API helper
-async function api(path, options = {}) {
+async function api(path, options = {}, isRetry = false) {
   const token = getToken();
   const headers = options.headers || {};
   if (!(options.body instanceof FormData)) {
@@ -53,6 +217,15 @@ async function api(path, options = {}) {
       ...options,
       headers
     });
+    if (res.status === 401 && token && !isRetry && await refreshSession()) {
+      // Access token expired: retry once with the refreshed one
+      return api(path, options, true);
+    }
+    if (res.status === 401 && getImpersonation()) {
+      // Impersonation token expired or was revoked: back to the admin's own session
+      await endImpersonation(false);
+      return {};
+    }
     if (res.status === 401) {
       console.warn("Unauthorized! Clearing session and redirecting...");
       clearSession();
@@ -63,6 +236,7 @@ async function api(path, options = {}) {
       const data = await res.json().catch(() => ({}));
       throw new Error(data.message || "Request failed");
     }
+    if (options.raw) return res; // e.g. file downloads
     return res.json().catch(() => ({}));
   } catch (err) {
     console.error(`API Error [${path}]:`, err.message);
@@ -127,37 +301,46 @@ function initAuthPage() {
   const signupProgram = document.getElementById("signup-program");
   const signupBranch = document.getElementById("signup-branch");
   const signupSubBranch = document.getElementById("signup-sub-branch");
+  const signupYear = document.getElementById("signup-year");
   const subBranchWrapper = document.getElementById("sub-branch-wrapper");
 
+  loadAcademicStructure().then(() => {
+    signupProgram.innerHTML = '<option value="">Select Program</option>' + programOptions();
+  });
+
   signupProgram.addEventListener("change", () => {
-    const program = signupProgram.value;
+    const program = findProgram(signupProgram.value);
     signupBranch.innerHTML = '<option value="">Select Branch</option>';
     signupSubBranch.innerHTML = '<option value="">Select Section</option>';
+    signupYear.innerHTML = '<option value="">Select Year</option>';
     subBranchWrapper.classList.add("hidden");
 
-    if (program && BRANCH_DATA[program]) {
-      Object.keys(BRANCH_DATA[program]).forEach(branch => {
+    if (program) {
+      program.branches.forEach(branch => {
         const opt = document.createElement("option");
-        opt.value = branch;
-        opt.textContent = branch;
+        opt.value = branch.name;
+        opt.textContent = branch.name;
         signupBranch.appendChild(opt);
       });
+      for (let y = 1; y <= program.years; y++) {
+        signupYear.innerHTML += `<option value="${y}">Year ${y}</option>`;
+      }
       document.getElementById("branch-section").classList.remove("hidden");
     }
   });
 
   signupBranch.addEventListener("change", () => {
-    const program = signupProgram.value;
-    const branch = signupBranch.value;
+    const program = findProgram(signupProgram.value);
+    const branch = program && program.branches.find(b => b.name === signupBranch.value);
     signupSubBranch.innerHTML = '<option value="">Select Section</option>';
 
-    if (program && branch && BRANCH_DATA[program][branch]) {
-      const subs = BRANCH_DATA[program][branch];
-      if (subs.length > 0 && subs[0] !== "Default") {
+    if (branch) {
+      const subs = branch.sections;
+      if (subs.length > 0) {
         subBranchWrapper.classList.remove("hidden");
         subs.forEach(sub => {
           const opt = document.createElement("option");
-          opt.value = `${branch} - ${sub}`;
+          opt.value = `${branch.name} - ${sub}`;
           opt.textContent = sub;
           signupSubBranch.appendChild(opt);
         });
@@ -176,7 +359,6 @@ function initAuthPage() {
     e.preventDefault();
     loginError.textContent = "";
 
-    const role = document.getElementById("login-role").value;
     const identifier = document.getElementById("login-identifier").value.trim();
     const password = document.getElementById("login-password").value;
 
@@ -194,11 +376,15 @@ function initAuthPage() {
 
       const data = await api("/api/login", {
         method: "POST",
-        body: JSON.stringify({ role, identifier, password })
+        body: JSON.stringify({ identifier, password })
       });
 
       clearTimeout(slowTimer);
-      saveSession(data.token, data.user);
+      if (data.twoFactorRequired) {
+        showTwoFactorStep(data.challengeToken);
+        return;
+      }
+      saveSession(data.token, data.user, data.refreshToken);
       window.location.href = "dashboard.html";
     } catch (err) {
       if (typeof slowTimer !== 'undefined') clearTimeout(slowTimer);
@@ -213,6 +399,44 @@ function initAuthPage() {
     }
   });
 
+  // Second login step for accounts with 2FA
+  const twoFactorForm = document.getElementById("login-2fa-form");
+  const twoFactorError = document.getElementById("login-2fa-error");
+  let challengeToken = null;
+
+  function showTwoFactorStep(token) {
+    challengeToken = token;
+    loginForm.classList.add("hidden");
+    twoFactorForm.classList.remove("hidden");
+    document.getElementById("login-2fa-code").focus();
+  }
+
+  document.getElementById("login-2fa-back").addEventListener("click", (e) => {
+    e.preventDefault();
+    challengeToken = null;
+    twoFactorForm.classList.add("hidden");
+    loginForm.classList.remove("hidden");
+  });
+
+  twoFactorForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    twoFactorError.textContent = "";
+    const code = document.getElementById("login-2fa-code").value.trim();
+    try {
+      const data = await api("/api/auth/login/2fa", {
+        method: "POST",
+        body: JSON.stringify({ challengeToken, code })
+      });
+      saveSession(data.token, data.user, data.refreshToken);
+      if (data.backupCodesRemaining !== undefined && data.backupCodesRemaining <= 2) {
+        alert(`You have ${data.backupCodesRemaining} backup code(s) left. Generate new ones from your Profile.`);
+      }
+      window.location.href = "dashboard.html";
+    } catch (err) {
+      twoFactorError.textContent = err.message;
+    }
+  });
+
   // Signup
   const signupForm = document.getElementById("signup-form");
   const signupError = document.getElementById("signup-error");
@@ -241,8 +465,7 @@ function initAuthPage() {
       payload.year = year;
     } else {
       payload.rank = document.getElementById("signup-rank").value;
-      // OTP is passed for teacher
-      payload.otp = document.getElementById("signup-otp").value.trim();
+      payload.inviteCode = document.getElementById("signup-invite-code").value.trim();
     }
 
     const submitBtn = signupForm.querySelector("button[type='submit']");
@@ -262,7 +485,14 @@ function initAuthPage() {
         body: JSON.stringify(payload)
       });
       clearTimeout(slowTimer);
-      saveSession(data.token, data.user);
+      if (data.pending) {
+        // Faculty accounts need approval before they can log in
+        signupError.textContent = data.message;
+        signupError.style.color = "lightgreen";
+        signupForm.reset();
+        return;
+      }
+      saveSession(data.token, data.user, data.refreshToken);
       window.location.href = "dashboard.html";
     } catch (err) {
       clearTimeout(slowTimer);
@@ -274,9 +504,6 @@ function initAuthPage() {
     }
   });
 
-  // Teacher Signup OTP Handler removed - using static code 97201
-
-
   // Forgot Password / Reset Logic
   initForgotAndReset();
 
@@ -364,7 +591,7 @@ function initForgotAndReset() {
 }
 
 // ---------- Dashboard page ----------
-function initDashboardPage() {
+async function initDashboardPage() {
   const user = getUser();
   if (!user || !getToken()) {
     window.location.href = "index.html";
@@ -376,7 +603,16 @@ function initDashboardPage() {
   const logoutBtn = document.getElementById("logout-btn");
 
   userNameSpan.textContent = user.name;
-  userRoleBadge.textContent = user.role === "student" ? "Student" : "Teacher";
+  userRoleBadge.textContent = ROLE_LABELS[user.role] || user.role;
+
+  await Promise.all([loadPermissions(), loadAcademicStructure()]);
+
+  // Only show the views this role can use
+  const allowedViews = ROLE_VIEWS[user.role] || ["overview", "profile"];
+  document.querySelectorAll(".nav-btn").forEach((btn) => {
+    if (!allowedViews.includes(btn.dataset.view)) btn.style.display = "none";
+  });
+
   if (user.role === "student") {
     document.querySelectorAll(".teacher-only").forEach((el) => el.style.display = "none");
     document.getElementById("teacher-only-submissions").style.display = "none";
@@ -386,10 +622,7 @@ function initDashboardPage() {
     if (pendingEl) pendingEl.style.display = "none";
   }
 
-  logoutBtn.addEventListener("click", () => {
-    clearSession();
-    window.location.href = "index.html";
-  });
+  logoutBtn.addEventListener("click", logout);
 
   // Overview Card Navigation
   document.querySelectorAll(".nav-card").forEach(card => {
@@ -428,6 +661,7 @@ function initDashboardPage() {
       if (view === "profile") loadProfile();
       if (view === "materials") initMaterialsView();
       if (view === "overview") loadDashboardSummary();
+      if (view === "admin") initAdminView();
     });
   });
 
@@ -449,6 +683,79 @@ function initDashboardPage() {
   initCoursesSection(user);
   initAssignmentsSection(user);
   initProfileSection(user);
+  initEmailVerificationBanner(user);
+  initTwoFactorBanner(user);
+  initImpersonationBanner(user);
+}
+
+function initImpersonationBanner(user) {
+  const banner = document.getElementById("impersonation-banner");
+  const impersonation = getImpersonation();
+  if (!banner || !impersonation) return;
+
+  document.getElementById("impersonation-user").textContent = `${user.name} (${ROLE_LABELS[user.role] || user.role})`;
+  document.getElementById("impersonation-expiry").textContent = new Date(impersonation.expiresAt).toLocaleTimeString();
+  document.getElementById("btn-exit-impersonation").onclick = () => endImpersonation();
+  document.getElementById("logout-btn").textContent = "Exit view";
+  banner.classList.remove("hidden");
+}
+
+// Roles that must use 2FA can only reach their profile until they enroll
+async function initTwoFactorBanner(user) {
+  const banner = document.getElementById("twofa-required-banner");
+  if (!banner || user.role === "student" || user.emailVerified === false) return;
+
+  try {
+    const status = await api("/api/me/2fa");
+    if (!status.required || status.enabled) return;
+    banner.classList.remove("hidden");
+    document.getElementById("btn-twofa-setup-now").onclick = () => {
+      document.querySelector('.nav-btn[data-view="profile"]')?.click();
+      startTwoFactorSetup();
+    };
+  } catch (err) {
+    console.error("2FA status error:", err);
+  }
+}
+
+// Unverified accounts can only reach their profile until the emailed code is entered
+function initEmailVerificationBanner(user) {
+  const banner = document.getElementById("verify-email-banner");
+  if (!banner || user.emailVerified !== false) return;
+
+  const message = document.getElementById("verify-email-message");
+  document.getElementById("verify-email-address").textContent = user.email;
+  banner.classList.remove("hidden");
+
+  document.getElementById("btn-verify-email").onclick = async () => {
+    const code = document.getElementById("verify-email-code").value.trim();
+    if (!code) {
+      message.textContent = "Enter the code from your email.";
+      return;
+    }
+    try {
+      const data = await api("/api/auth/verify-email", {
+        method: "POST",
+        body: JSON.stringify({ email: user.email, code })
+      });
+      saveSession(getToken(), data.user);
+      window.location.reload();
+    } catch (err) {
+      message.textContent = err.message;
+    }
+  };
+
+  document.getElementById("btn-resend-verification").onclick = async () => {
+    try {
+      const data = await api("/api/auth/resend-verification", {
+        method: "POST",
+        body: JSON.stringify({ email: user.email })
+      });
+      message.textContent = data.message;
+    } catch (err) {
+      message.textContent = err.message;
+    }
+  };
 }
 
 // Dashboard summary
@@ -562,11 +869,6 @@ async function loadCourses() {
     cachedJoinedCourses = await api("/api/my-courses");
 
     if (user.role === "student") {
-      // Fetch all to find available ones
-      cachedAllCourses = await api("/api/courses");
-      const joinedIds = new Set(cachedJoinedCourses.map(c => c.id));
-      const available = cachedAllCourses.filter(c => !joinedIds.has(c.id));
-
       container.innerHTML = "";
 
       // Section 1: My Courses
@@ -587,25 +889,56 @@ async function loadCourses() {
       }
       container.appendChild(mySection);
 
-      // Section 2: Available Courses
+      // Section 2: Course catalogue, searched and paged on the server
       const availSection = document.createElement("div");
-      availSection.innerHTML = "<h4 style='margin-bottom:1rem; border-bottom:1px solid #333; padding-bottom:0.5rem;'>Available Courses</h4>";
+      availSection.innerHTML = `
+        <h4 style='margin-bottom:1rem; border-bottom:1px solid #333; padding-bottom:0.5rem;'>Course Catalogue</h4>
+        <div style="display:flex; gap:10px; flex-wrap:wrap; margin-bottom:1rem;">
+          <select id="catalogue-program"><option value="">All programmes</option>${academicStructure.map(p => `<option value="${escapeHtml(p.program)}">${escapeHtml(p.program)}</option>`).join("")}</select>
+          <input type="number" id="catalogue-semester" min="1" placeholder="Semester" style="width:110px;">
+          <select id="catalogue-section"><option value="">All sections</option></select>
+          <input type="text" id="catalogue-teacher" placeholder="Teacher">
+          <select id="catalogue-mandatory">
+            <option value="">Mandatory and electives</option>
+            <option value="true">Mandatory only</option>
+            <option value="false">Electives only</option>
+          </select>
+        </div>
+        <div id="catalogue-results"></div>
+        <div style="display:flex; gap:10px; align-items:center; margin-top:1rem;">
+          <button id="btn-catalogue-prev" class="btn-outline-small">Previous</button>
+          <span id="catalogue-page-info" class="small"></span>
+          <button id="btn-catalogue-next" class="btn-outline-small">Next</button>
+        </div>
+      `;
+      container.appendChild(availSection);
 
-      if (available.length === 0) {
-        availSection.innerHTML += "<p class='hint'>No other courses available.</p>";
-      } else {
-        const grid = document.createElement("div");
-        grid.className = "grid";
-        available.forEach(c => {
-          const card = createCourseCard(c, false, true); // (course, isJoined, isStudent)
-          grid.appendChild(card);
+      const programSelect = availSection.querySelector("#catalogue-program");
+      programSelect.value = user.program || "";
+      const renderSectionOptions = () => {
+        const program = findProgram(programSelect.value);
+        availSection.querySelector("#catalogue-section").innerHTML = `<option value="">All sections</option>`
+          + (program ? program.branchValues.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join("") : "");
+      };
+      programSelect.addEventListener("change", renderSectionOptions);
+      renderSectionOptions();
+      let timer = null;
+      availSection.querySelectorAll("select, input").forEach(el => {
+        el.addEventListener(el.tagName === "SELECT" ? "change" : "input", () => {
+          clearTimeout(timer);
+          timer = setTimeout(() => loadCatalogue(1), 300);
         });
-        availSection.appendChild(grid);
-      }
-      container.appendChild(availSection);
+      });
+      await loadCatalogue(1);
 
     } else {
-      // Teacher: Just show my courses (teaching)
+      // Teacher: courses they teach, plus the ones they can edit through department or wider scope
+      const scope = userPermissions["course.update"];
+      const managed = scope && scope !== "own"
+        ? (await api("/api/courses")).filter(c => !cachedJoinedCourses.some(j => j.id === c.id) && can("course.update", c))
+        : [];
+      cachedAllCourses = [...cachedJoinedCourses, ...managed];
+
       container.innerHTML = "";
       if (cachedJoinedCourses.length === 0) {
         container.innerHTML = "<p class='hint'>You are not teaching any courses.</p>";
@@ -618,24 +951,96 @@ async function loadCourses() {
         });
         container.appendChild(grid);
       }
+
+      const archived = userPermissions["course.restore"] ? await api("/api/courses?archived=true") : [];
+
+      if (managed.length > 0) {
+        const managedSection = document.createElement("div");
+        managedSection.style.marginTop = "2rem";
+        managedSection.innerHTML = "<h4 style='margin-bottom:1rem; border-bottom:1px solid #333; padding-bottom:0.5rem;'>Courses You Manage</h4>";
+        const grid = document.createElement("div");
+        grid.className = "grid";
+        managed.forEach(c => grid.appendChild(createCourseCard(c, true, false)));
+        managedSection.appendChild(grid);
+        container.appendChild(managedSection);
+      }
+
+      // Teachers see their own archived courses above; this lists every archived course they may restore
+      const restorable = archived.filter(c => !cachedJoinedCourses.some(j => j.id === c.id));
+      cachedAllCourses.push(...restorable);
+      if (restorable.length > 0) {
+        const archivedSection = document.createElement("div");
+        archivedSection.style.marginTop = "2rem";
+        archivedSection.innerHTML = "<h4 style='margin-bottom:1rem; border-bottom:1px solid #333; padding-bottom:0.5rem;'>Archived Courses</h4>";
+        const grid = document.createElement("div");
+        grid.className = "grid";
+        restorable.forEach(c => grid.appendChild(createCourseCard(c, true, false)));
+        archivedSection.appendChild(grid);
+        container.appendChild(archivedSection);
+      }
     }
   } catch (err) {
     container.innerHTML = `<p class="error">${err.message}</p>`;
   }
 }
 
+// One page of the catalogue with the current filters and the header search box
+async function loadCatalogue(page = 1) {
+  const results = document.getElementById("catalogue-results");
+  if (!results) return;
+  const params = new URLSearchParams({ page, limit: 12 });
+  const filters = {
+    q: document.getElementById("course-search")?.value.trim(),
+    program: document.getElementById("catalogue-program").value,
+    semester: document.getElementById("catalogue-semester").value,
+    section: document.getElementById("catalogue-section").value,
+    teacher: document.getElementById("catalogue-teacher").value.trim(),
+    mandatory: document.getElementById("catalogue-mandatory").value,
+  };
+  Object.entries(filters).forEach(([key, value]) => { if (value) params.set(key, value); });
+
+  results.innerHTML = "<p class='hint'>Loading...</p>";
+  try {
+    const data = await api(`/api/courses/catalogue?${params}`);
+    cachedAllCourses = data.courses;
+    results.innerHTML = "";
+    if (data.courses.length === 0) {
+      results.innerHTML = "<p class='hint'>No courses match these filters.</p>";
+    } else {
+      const grid = document.createElement("div");
+      grid.className = "grid";
+      data.courses.forEach(c => grid.appendChild(createCourseCard(c, c.isEnrolled, true)));
+      results.appendChild(grid);
+    }
+
+    document.getElementById("catalogue-page-info").textContent = `Page ${data.page} of ${data.pages} · ${data.total} course${data.total === 1 ? "" : "s"}`;
+    const prevBtn = document.getElementById("btn-catalogue-prev");
+    const nextBtn = document.getElementById("btn-catalogue-next");
+    prevBtn.disabled = data.page <= 1;
+    nextBtn.disabled = data.page >= data.pages;
+    prevBtn.onclick = () => loadCatalogue(data.page - 1);
+    nextBtn.onclick = () => loadCatalogue(data.page + 1);
+  } catch (err) {
+    results.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+  }
+}
+
 function createCourseCard(c, isJoined, isStudent) {
   const card = document.createElement("div");
   card.className = "course-card";
   card.innerHTML = `
-    <h4>${c.name}</h4>
-    <div class="small" style="color:var(--text-dim); margin-bottom:0.1rem; font-size: 1.1rem;">${c.code}</div>
-    <div class="small" style="color:#00ffff; font-weight:bold; font-size: 1.3rem; margin: 8px 0;">${c.teacherRank || ""} ${c.teacherName || ""}</div>
-    <div class="small" style="font-size: 1.15rem; line-height: 1.4;">${c.description || "No description"}</div>
+    <h4>${escapeHtml(c.name)}${c.archivedAt ? ` <span class="small" style="color:orange;">(Archived · read-only)</span>` : ""}</h4>
+    <div class="small" style="color:var(--text-dim); margin-bottom:0.1rem; font-size: 1.1rem;">${escapeHtml(c.code)}</div>
+    <div class="small" style="color:#00ffff; font-weight:bold; font-size: 1.3rem; margin: 8px 0;">${escapeHtml(c.teacherRank || "")} ${escapeHtml(c.teacherName || "")}</div>
+    <div class="small" style="font-size: 1.15rem; line-height: 1.4;">${escapeHtml(c.description || "No description")}</div>
     ${c.instructorExpertise ? `
     <div class="small" style="margin-top:15px; padding:12px; background:rgba(255,255,255,0.05); border-radius:8px; font-size: 1.1rem;">
       <strong style="color: #4c8dff;">Professor Expertise:</strong><br>
-      ${c.instructorExpertise}
+      ${escapeHtml(c.instructorExpertise)}
+    </div>` : ""}
+    ${(c.prerequisites || []).length ? `
+    <div class="small" style="margin-top:10px;">
+      <strong>Prerequisites:</strong> ${c.prerequisites.map(p => `${escapeHtml(p.code)}${p.minGrade ? ` (≥ ${p.minGrade}%)` : ""}`).join(", ")}
     </div>` : ""}
     <div style="margin-top:auto; padding-top:1.5rem;">
        ${getActionButtons(c, isJoined, isStudent)}
@@ -645,22 +1050,151 @@ function createCourseCard(c, isJoined, isStudent) {
 }
 
 function getActionButtons(c, isJoined, isStudent) {
+  if (c.archivedAt) {
+    const purge = c.purgeAfter ? `<div class="small" style="color:var(--text-dim);">Deleted permanently on ${new Date(c.purgeAfter).toLocaleDateString()}</div>` : "";
+    let btns = purge;
+    if (can("course.restore", c)) {
+      btns += `<button class="btn-primary-small" onclick="restoreCourse('${c.id}')">Restore</button>`;
+    }
+    if (can("course.clone", c) && can("course.create")) {
+      btns += `<button class="btn-outline-small" style="margin-left:5px;" onclick="cloneCourse('${c.id}')">Clone</button>`;
+    }
+    return btns;
+  }
   if (!isStudent) {
     // Teacher
     let btns = `<button class="btn-primary-small" onclick="alert('Enter course view logic or unrelated')">Enter</button>`;
-    btns += `<button class="btn-primary-small" style="margin-left:5px;" onclick="setExamDate('${c.id}')">Exam Date</button>`;
-    btns += `<button class="btn-outline-small" style="color:red; margin-left:5px;" onclick="deleteCourse('${c.id}')">Delete</button>`;
+    if (can("course.update", c)) {
+      btns += `<button class="btn-primary-small" style="margin-left:5px;" onclick="editCourse('${c.id}')">Edit</button>`;
+      btns += `<button class="btn-primary-small" style="margin-left:5px;" onclick="setExamDate('${c.id}')">Exam Date</button>`;
+    }
+    if (can("enrollment.view", c)) {
+      btns += `<button class="btn-outline-small" style="margin-left:5px;" onclick="showEnrollmentHistory('${c.id}', ${escapeHtml(JSON.stringify(c.code))})">Enrollment history</button>`;
+    }
+    if (can("roster.view", c)) {
+      btns += `<button class="btn-outline-small" style="margin-left:5px;" onclick="showRoster('${c.id}', ${escapeHtml(JSON.stringify(c.code))})">Roster</button>`;
+    }
+    const pendingJoins = (c.joinRequests || []).length + (c.waitlist || []).length;
+    if (can("enrollment.approve", c) && (c.joinMode === "approval" || pendingJoins > 0)) {
+      btns += `<button class="btn-outline-small" style="margin-left:5px;" onclick="showJoinRequests('${c.id}', ${escapeHtml(JSON.stringify(c.code))})">Join requests${pendingJoins ? ` (${pendingJoins})` : ""}</button>`;
+    }
+    if (can("staff.view", c)) {
+      btns += `<button class="btn-outline-small" style="margin-left:5px;" onclick="showCourseStaff('${c.id}', ${escapeHtml(JSON.stringify(c.code))})">Staff</button>`;
+    }
+    if (can("course.clone", c) && can("course.create")) {
+      btns += `<button class="btn-outline-small" style="margin-left:5px;" onclick="cloneCourse('${c.id}')">Clone</button>`;
+    }
+    if (can("course.delete", c)) {
+      btns += `<button class="btn-outline-small" style="color:red; margin-left:5px;" onclick="deleteCourse('${c.id}')">Archive</button>`;
+    }
     return btns;
   }
 
   // Student
+  const user = getUser();
   if (isJoined) {
-    return `<button class="btn-outline-small" disabled>Joined</button>`;
-    // We could add "Enter" if we had a specific Course Home Page. 
-    // But currently we have generic tabs.
-  } else {
-    return `<button class="btn-primary-small join-btn" data-id="${c.id}">Join Course</button>`;
+    const droppable = !c.isMandatory && !(c.autoEnrolled || []).includes(user.id);
+    return `<button class="btn-outline-small" disabled>Joined</button>`
+      + (droppable ? `<button class="btn-outline-small drop-btn" style="color:red; margin-left:5px;" data-id="${c.id}">Drop</button>` : "");
+  }
+  if (!can("course.join", c)) return "";
+  if (c.program && user.program && c.program !== user.program) {
+    return `<div class="small" style="color:var(--text-dim);">Only open to ${escapeHtml(c.program)} students</div>`;
+  }
+  if (c.eligibility && !c.eligibility.eligible) {
+    return `<div class="small" style="color:orange;">Not eligible yet:<br>${c.eligibility.unmet.map(u => escapeHtml(u.reason)).join("<br>")}</div>`
+      + `<button class="btn-outline-small" disabled>Prerequisites not met</button>`;
+  }
+
+  if (c.joinRequested ?? (c.joinRequests || []).some(r => r.userId === user.id)) {
+    return `<div class="small" style="color:orange;">Request awaiting approval</div>`
+      + `<button class="btn-outline-small drop-btn" data-id="${c.id}">Cancel request</button>`;
+  }
+  const position = c.waitlistPosition ?? (c.waitlist || []).findIndex(w => w.userId === user.id) + 1;
+  if (position) {
+    return `<div class="small" style="color:orange;">Waitlisted · #${position} in line</div>`
+      + `<button class="btn-outline-small drop-btn" data-id="${c.id}">Leave waitlist</button>`;
+  }
+
+  const now = new Date();
+  if (c.joinOpensAt && now < new Date(c.joinOpensAt)) {
+    return `<button class="btn-outline-small" disabled>Opens ${new Date(c.joinOpensAt).toLocaleDateString()}</button>`;
+  }
+  if (c.joinClosesAt && now > new Date(c.joinClosesAt)) {
+    return `<button class="btn-outline-small" disabled>Joining closed</button>`;
+  }
+
+  const limit = !c.isMandatory && c.capacity ? c.capacity : null;
+  const seatsLeft = limit ? Math.max(limit - (c.studentCount ?? (c.students || []).length), 0) : null;
+  const seats = limit ? `<div class="small" style="color:var(--text-dim);">${seatsLeft} of ${limit} seats left</div>` : "";
+  if (c.joinMode === "approval") {
+    return `${seats}<button class="btn-primary-small join-btn" data-id="${c.id}">Request to Join</button>`;
   }
+  if (seatsLeft === 0) {
+    return `${seats}<button class="btn-outline-small join-btn" data-id="${c.id}">Join Waitlist</button>`;
+  }
+  return `${seats}<button class="btn-primary-small join-btn" data-id="${c.id}">Join Course</button>`;
+}
+
+// Seat limit, joining window and approval mode inputs shared by the create and edit course modals
+function toDateTimeInput(value) {
+  if (!value) return "";
+  const d = new Date(value);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function joinSettingsFields(prefix, course = {}) {
+  return `
+    <div style="margin-top:10px; border:1px solid #444; padding:5px;">
+      <strong>Joining (electives only)</strong>
+      <div class="two-col">
+        <div>
+          <label>Seat limit</label>
+          <input type="number" id="${prefix}-capacity" min="1" placeholder="Unlimited" value="${course.capacity || ""}">
+        </div>
+        <div>
+          <label>Join mode</label>
+          <select id="${prefix}-join-mode">
+            <option value="open" ${course.joinMode !== "approval" ? "selected" : ""}>Open</option>
+            <option value="approval" ${course.joinMode === "approval" ? "selected" : ""}>Staff approval</option>
+          </select>
+        </div>
+      </div>
+      <div class="two-col">
+        <div>
+          <label>Opens</label>
+          <input type="datetime-local" id="${prefix}-join-opens" value="${toDateTimeInput(course.joinOpensAt)}">
+        </div>
+        <div>
+          <label>Closes</label>
+          <input type="datetime-local" id="${prefix}-join-closes" value="${toDateTimeInput(course.joinClosesAt)}">
+        </div>
+      </div>
+      <p class="hint">Full courses put students on a waitlist; they are promoted in order when seats free up.</p>
+      <label>Prerequisites</label>
+      <input type="text" id="${prefix}-prereqs" placeholder="e.g. CS101:50, MA101:40"
+        value="${(course.prerequisites || []).map(p => `${escapeHtml(p.code)}:${p.minGrade}`).join(", ")}">
+      <p class="hint">Course codes with the minimum grade (%) a student needs in each before joining.</p>
+    </div>
+  `;
+}
+
+function readJoinSettings(prefix) {
+  const opens = document.getElementById(`${prefix}-join-opens`).value;
+  const closes = document.getElementById(`${prefix}-join-closes`).value;
+  const prerequisites = document.getElementById(`${prefix}-prereqs`).value
+    .split(",").map(p => p.trim()).filter(Boolean)
+    .map(p => {
+      const [code, minGrade] = p.split(":").map(x => x.trim());
+      return { code, minGrade: minGrade || 0 };
+    });
+  return {
+    prerequisites,
+    capacity: document.getElementById(`${prefix}-capacity`).value || null,
+    joinMode: document.getElementById(`${prefix}-join-mode`).value,
+    joinOpensAt: opens ? new Date(opens).toISOString() : null,
+    joinClosesAt: closes ? new Date(closes).toISOString() : null,
+  };
 }
 
 function initCoursesSection(user) {
@@ -676,8 +1210,14 @@ function initCoursesSection(user) {
       // Re-render filtering local logic is hard with 2 sections.
       // For simplicity, let's just re-load or handle simplest case:
       // Filter visible cards?
+      if (user.role === "student") {
+        // Students search the catalogue on the server
+        clearTimeout(searchInput.timer);
+        searchInput.timer = setTimeout(() => loadCatalogue(1), 300);
+        return;
+      }
       const q = searchInput.value.toLowerCase();
-      document.querySelectorAll("#courses-list .card").forEach(card => {
+      document.querySelectorAll("#courses-list .course-card").forEach(card => {
         const text = card.innerText.toLowerCase();
         card.style.display = text.includes(q) ? "flex" : "none";
       });
@@ -716,37 +1256,30 @@ function initCoursesSection(user) {
       try {
         e.target.textContent = "Joining...";
         e.target.disabled = true;
-        await api(`/api/courses/${courseId}/join`, { method: "POST" });
+        const result = await api(`/api/courses/${courseId}/join`, { method: "POST" });
         loadCourses(); // Refresh
-        alert("Joined successfully!");
+        alert(result.status === "joined" ? "Joined successfully!" : result.message);
       } catch (err) {
         alert(err.message);
         e.target.textContent = "Join";
         e.target.disabled = false;
       }
+    } else if (e.target.classList.contains("drop-btn")) {
+      if (!confirm("Leave this course? Your seat may go to the next student on the waitlist.")) return;
+      try {
+        const result = await api(`/api/courses/${e.target.dataset.id}/drop`, { method: "POST" });
+        loadCourses();
+        alert(result.message);
+      } catch (err) {
+        alert(err.message);
+      }
     }
   });
 
-  if (user.role === "teacher" && createBtn) {
+  if (can("course.create") && createBtn) {
     createBtn.style.display = "inline-block";
     createBtn.onclick = () => {
       openModal("Create course", (body, close) => {
-        let branchCheckboxes = "";
-        Object.keys(BRANCH_DATA).forEach(prog => {
-          branchCheckboxes += `<h5>${prog} Branches</h5>`;
-          Object.keys(BRANCH_DATA[prog]).forEach(branch => {
-            const subs = BRANCH_DATA[prog][branch];
-            if (subs[0] === "Default") {
-              branchCheckboxes += `<label><input type="checkbox" class="course-section-check" value="${branch}"> ${branch}</label><br>`;
-            } else {
-              subs.forEach(sub => {
-                const val = `${branch} - ${sub}`;
-                branchCheckboxes += `<label><input type="checkbox" class="course-section-check" value="${val}"> ${val}</label><br>`;
-              });
-            }
-          });
-        });
-
         body.innerHTML = `
             <label>Course name</label>
             <input type="text" id="modal-course-name">
@@ -755,26 +1288,29 @@ function initCoursesSection(user) {
             <label>Description</label>
             <input type="text" id="modal-course-desc">
             <label>Program</label>
-            <select id="modal-course-program">
-              <option value="B.Tech">B.Tech</option>
-              <option value="BBA">BBA</option>
-            </select>
+            <select id="modal-course-program">${programOptions()}</select>
             <label>Target Semester</label>
-            <input type="number" id="modal-course-sem" min="1" max="8" value="1">
+            <input type="number" id="modal-course-sem" min="1" value="1">
             <label>Mandatory for selected branches?</label>
             <input type="checkbox" id="modal-course-mandatory">
             <div style="margin-top:10px; max-height:150px; overflow-y:auto; border:1px solid #444; padding:5px;">
               <strong>Select Branches/Sections:</strong><br>
-              ${branchCheckboxes}
+              <div id="modal-course-sections"></div>
             </div>
+            ${joinSettingsFields("modal-course")}
         `;
 
         const progSelect = body.querySelector("#modal-course-program");
         const semInput = body.querySelector("#modal-course-sem");
         progSelect.onchange = () => {
-          semInput.max = progSelect.value === "B.Tech" ? 8 : 6;
-          if (parseInt(semInput.value) > parseInt(semInput.max)) semInput.value = semInput.max;
+          const program = findProgram(progSelect.value);
+          if (!program) return;
+          semInput.max = program.semesters;
+          if (parseInt(semInput.value) > program.semesters) semInput.value = program.semesters;
+          body.querySelector("#modal-course-sections").innerHTML = program.branchValues
+            .map(val => `<label><input type="checkbox" class="course-section-check" value="${escapeHtml(val)}"> ${escapeHtml(val)}</label><br>`).join("");
         };
+        progSelect.onchange();
 
         return async () => {
           const name = document.getElementById("modal-course-name").value;
@@ -788,7 +1324,7 @@ function initCoursesSection(user) {
           try {
             await api("/api/courses", {
               method: "POST",
-              body: JSON.stringify({ name, code, description, program, semester, sections, isMandatory })
+              body: JSON.stringify({ name, code, description, program, semester, sections, isMandatory, ...readJoinSettings("modal-course") })
             });
             close();
             loadCourses();
@@ -803,13 +1339,460 @@ function initCoursesSection(user) {
   }
 }
 
+function editCourse(courseId) {
+  const course = cachedAllCourses.find(c => c.id === courseId) || cachedJoinedCourses.find(c => c.id === courseId);
+  if (!course) return;
+
+  openModal(`Edit ${course.code}`, (body, close) => {
+    body.innerHTML = `
+      <label>Course name</label>
+      <input type="text" id="edit-course-name" value="${escapeHtml(course.name || "")}">
+      <label>Course code</label>
+      <input type="text" id="edit-course-code" value="${escapeHtml(course.code || "")}">
+      <label>Description</label>
+      <input type="text" id="edit-course-desc" value="${escapeHtml(course.description || "")}">
+      <label>Program</label>
+      <select id="edit-course-program">${programOptions(course.program)}</select>
+      <label>Target Semester</label>
+      <input type="number" id="edit-course-sem" min="1" value="${course.semester || 1}">
+      <label><input type="checkbox" id="edit-course-mandatory" ${course.isMandatory ? "checked" : ""}> Mandatory for selected branches</label>
+      <div style="margin-top:10px; max-height:150px; overflow-y:auto; border:1px solid #444; padding:5px;">
+        <strong>Branches/Sections:</strong><br>
+        <div id="edit-course-sections"></div>
+      </div>
+      ${joinSettingsFields("edit-course", course)}
+      <div id="edit-course-teacher-group" class="hidden">
+        <label>Teacher</label>
+        <select id="edit-course-teacher"></select>
+      </div>
+      <p class="hint">Changing the program, semester, sections or mandatory flag re-evaluates enrollment for this course. Only mandatory courses enroll students automatically.</p>
+    `;
+
+    const progSelect = body.querySelector("#edit-course-program");
+    const semInput = body.querySelector("#edit-course-sem");
+    const renderSections = (checked) => {
+      const program = findProgram(progSelect.value);
+      if (!program) return;
+      semInput.max = program.semesters;
+      body.querySelector("#edit-course-sections").innerHTML = program.branchValues
+        .map(val => `<label><input type="checkbox" class="edit-course-section" value="${escapeHtml(val)}" ${checked.includes(val) ? "checked" : ""}> ${escapeHtml(val)}</label><br>`).join("");
+    };
+    progSelect.onchange = () => renderSections([]);
+    renderSections(course.sections || []);
+
+    if (can("course.reassign", course)) {
+      api(`/api/courses/${course.id}/teacher-options`).then(faculty => {
+        const select = body.querySelector("#edit-course-teacher");
+        if (!select) return;
+        if (!faculty.some(f => f.id === course.teacherId)) {
+          select.innerHTML = `<option value="${escapeHtml(course.teacherId)}">${escapeHtml(course.teacherName || "Current teacher")}</option>`;
+        }
+        select.innerHTML += faculty.map(f =>
+          `<option value="${f.id}" ${f.id === course.teacherId ? "selected" : ""}>${escapeHtml(f.name)} (${ROLE_LABELS[f.role] || f.role}${f.department ? ", " + escapeHtml(f.department) : ""})</option>`
+        ).join("");
+        body.querySelector("#edit-course-teacher-group").classList.remove("hidden");
+      }).catch(err => console.error("Teacher options error:", err));
+    }
+
+    return async () => {
+      const payload = {
+        name: document.getElementById("edit-course-name").value.trim(),
+        code: document.getElementById("edit-course-code").value.trim(),
+        description: document.getElementById("edit-course-desc").value,
+        program: progSelect.value,
+        semester: semInput.value,
+        isMandatory: document.getElementById("edit-course-mandatory").checked,
+        sections: Array.from(body.querySelectorAll(".edit-course-section:checked")).map(cb => cb.value),
+        ...readJoinSettings("edit-course")
+      };
+      const teacherSelect = document.getElementById("edit-course-teacher");
+      if (teacherSelect && teacherSelect.value && teacherSelect.value !== course.teacherId) {
+        if (!confirm("Hand this course over to the selected teacher?")) return;
+        payload.teacherId = teacherSelect.value;
+      }
+      try {
+        const result = await api(`/api/courses/${course.id}`, {
+          method: "PUT",
+          body: JSON.stringify(payload)
+        });
+        if (result.enrolled || result.unenrolled) {
+          alert(`Course updated. ${result.enrolled} student(s) enrolled and ${result.unenrolled} removed by the new rules.`);
+        }
+        close();
+        loadCourses();
+      } catch (err) {
+        alert(err.message);
+      }
+    };
+  });
+}
+
+// Copy a course into a new term; assignment due dates move by the gap between the two term starts
+function cloneCourse(courseId) {
+  const course = cachedAllCourses.find(c => c.id === courseId) || cachedJoinedCourses.find(c => c.id === courseId);
+  if (!course) return;
+
+  openModal(`Clone ${course.code}`, (body, close) => {
+    body.innerHTML = `
+      <label>New course code</label>
+      <input type="text" id="clone-course-code" placeholder="e.g. ${course.code}-2">
+      <label>Course name</label>
+      <input type="text" id="clone-course-name" value="${escapeHtml(course.name || "")}">
+      <label>Target Semester</label>
+      <input type="number" id="clone-course-sem" min="1" value="${course.semester || 1}">
+      <div class="two-col">
+        <div>
+          <label>New term starts</label>
+          <input type="date" id="clone-term-start">
+        </div>
+        <div>
+          <label>Original term started</label>
+          <input type="date" id="clone-source-start" value="${new Date(course.createdAt).toISOString().slice(0, 10)}">
+        </div>
+      </div>
+      <label><input type="checkbox" id="clone-assignments" checked> Copy assignments as templates</label>
+      <p class="hint">Materials (${(course.materials || []).length}) are shared with the original course, not re-uploaded. Students are not copied; enrollment rules apply to the new course.</p>
+    `;
+
+    return async () => {
+      const code = document.getElementById("clone-course-code").value.trim();
+      const termStart = document.getElementById("clone-term-start").value;
+      if (!code || !termStart) return alert("Enter a new course code and the new term start date");
+      try {
+        const result = await api(`/api/courses/${course.id}/clone`, {
+          method: "POST",
+          body: JSON.stringify({
+            code,
+            name: document.getElementById("clone-course-name").value.trim(),
+            semester: document.getElementById("clone-course-sem").value,
+            termStart,
+            sourceTermStart: document.getElementById("clone-source-start").value || undefined,
+            includeAssignments: document.getElementById("clone-assignments").checked,
+          })
+        });
+        alert(`Created ${result.code} with ${result.materials.length} material(s) and ${result.assignmentsCopied} assignment(s), due dates moved by ${result.shiftDays} day(s).`);
+        close();
+        loadCourses();
+      } catch (err) {
+        alert(err.message);
+      }
+    };
+  });
+}
+
+// Pending join requests (approve/decline) and the waitlist in promotion order
+function showJoinRequests(courseId, code) {
+  openModal(`Join requests · ${code}`, (body, close) => {
+    const render = async () => {
+      body.innerHTML = "<p class='hint'>Loading...</p>";
+      try {
+        const data = await api(`/api/courses/${courseId}/join-requests`);
+        const row = (e, actions) => `
+          <tr>
+            <td>${escapeHtml(e.name)}${e.rollNumber ? `<div class="small">${escapeHtml(e.rollNumber)}</div>` : ""}</td>
+            <td>${escapeHtml(e.branch || "-")}</td>
+            <td style="white-space:nowrap;">${new Date(e.requestedAt).toLocaleString()}</td>
+            ${actions ? `<td style="white-space:nowrap;">
+              <button class="btn-primary-small join-approve" data-id="${e.userId}">Approve</button>
+              <button class="btn-outline-small join-reject" style="color:red;" data-id="${e.userId}">Decline</button>
+            </td>` : ""}
+          </tr>
+        `;
+        body.innerHTML = `
+          <p class="hint">${data.enrolled} enrolled${data.capacity ? ` of ${data.capacity} seats` : ""} · ${data.joinMode === "approval" ? "staff approval" : "open joining"}</p>
+          <h4>Requests</h4>
+          ${data.requests.length === 0 ? "<p class='hint'>No pending requests.</p>" : `
+            <table class="data-table">
+              <tr><th>Student</th><th>Branch</th><th>Requested</th><th></th></tr>
+              ${data.requests.map(e => row(e, true)).join("")}
+            </table>
+          `}
+          <h4 style="margin-top:1.5rem;">Waitlist</h4>
+          ${data.waitlist.length === 0 ? "<p class='hint'>Nobody is waiting.</p>" : `
+            <table class="data-table">
+              <tr><th>Student</th><th>Branch</th><th>Since</th></tr>
+              ${data.waitlist.map(e => row(e, false)).join("")}
+            </table>
+          `}
+        `;
+
+        body.querySelectorAll(".join-approve").forEach(btn => {
+          btn.onclick = async () => {
+            try {
+              const result = await api(`/api/courses/${courseId}/join-requests/${btn.dataset.id}/approve`, { method: "POST" });
+              if (result.status === "waitlisted") alert("The course is full, so the student was added to the waitlist.");
+              render();
+            } catch (err) {
+              alert(err.message);
+            }
+          };
+        });
+        body.querySelectorAll(".join-reject").forEach(btn => {
+          btn.onclick = async () => {
+            const reason = prompt("Reason shown to the student (optional):");
+            if (reason === null) return;
+            try {
+              await api(`/api/courses/${courseId}/join-requests/${btn.dataset.id}/reject`, { method: "POST", body: JSON.stringify({ reason }) });
+              render();
+            } catch (err) {
+              alert(err.message);
+            }
+          };
+        });
+      } catch (err) {
+        body.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+      }
+    };
+    render();
+    return () => { close(); loadCourses(); };
+  });
+}
+
+// Enrolled students with submission counts and last activity; staff with roster.manage can add and remove students
+function showRoster(courseId, code) {
+  openModal(`Roster · ${code}`, (body, close) => {
+    let canManage = false;
+
+    const render = async () => {
+      body.innerHTML = "<p class='hint'>Loading...</p>";
+      try {
+        const data = await api(`/api/courses/${courseId}/roster`);
+        canManage = data.canManage;
+        body.innerHTML = `
+          <div style="display:flex; gap:10px; align-items:center; margin-bottom:1rem;">
+            <span class="small">${data.students.length} student${data.students.length === 1 ? "" : "s"} · ${data.totalAssignments} assignment${data.totalAssignments === 1 ? "" : "s"}</span>
+            <button class="btn-outline-small roster-export" data-format="csv">Export CSV</button>
+            <button class="btn-outline-small roster-export" data-format="xlsx">Export Excel</button>
+          </div>
+          ${data.students.length === 0 ? "<p class='hint'>No students enrolled yet.</p>" : `
+            <div style="max-height:400px; overflow-y:auto;">
+              <table class="data-table">
+                <tr><th>Roll no</th><th>Name</th><th>Branch</th><th>Submitted</th><th>Last activity</th>${canManage ? "<th></th>" : ""}</tr>
+                ${data.students.map(st => `
+                  <tr>
+                    <td>${escapeHtml(st.rollNumber || "-")}</td>
+                    <td>${escapeHtml(st.name)}<div class="small">${st.enrolledBy === "rules" ? "Enrollment rules" : "Joined / added"}</div></td>
+                    <td>${escapeHtml(st.branch || "-")}</td>
+                    <td>${st.submitted} / ${data.totalAssignments}<div class="small">${st.graded} graded</div></td>
+                    <td style="white-space:nowrap;">${st.lastActivity ? new Date(st.lastActivity).toLocaleString() : "Never"}</td>
+                    ${canManage ? `<td>${st.enrolledBy === "rules" ? "" : `<button class="btn-outline-small roster-remove" style="color:red;" data-id="${st.userId}">Remove</button>`}</td>` : ""}
+                  </tr>
+                `).join("")}
+              </table>
+            </div>
+          `}
+          ${canManage ? `
+            <h4 style="margin-top:1.5rem;">Add student</h4>
+            <input type="text" id="roster-add-id" placeholder="Roll number or email">
+            <input type="text" id="roster-add-reason" placeholder="Reason (optional)">
+          ` : ""}
+        `;
+
+        body.querySelectorAll(".roster-export").forEach(btn => {
+          btn.onclick = async () => {
+            try {
+              btn.disabled = true;
+              const res = await api(`/api/courses/${courseId}/roster/export?format=${btn.dataset.format}`, { raw: true });
+              const link = document.createElement("a");
+              link.href = URL.createObjectURL(await res.blob());
+              link.download = `roster-${code}.${btn.dataset.format}`;
+              document.body.appendChild(link);
+              link.click();
+              document.body.removeChild(link);
+            } catch (err) {
+              alert(err.message);
+            } finally {
+              btn.disabled = false;
+            }
+          };
+        });
+        body.querySelectorAll(".roster-remove").forEach(btn => {
+          btn.onclick = async () => {
+            const reason = prompt("Reason for removing this student (recorded in the audit log):");
+            if (reason === null) return;
+            try {
+              const result = await api(`/api/courses/${courseId}/roster/${btn.dataset.id}`, { method: "DELETE", body: JSON.stringify({ reason }) });
+              if (result.promotedFromWaitlist) alert(`${result.promotedFromWaitlist} student(s) promoted from the waitlist.`);
+              render();
+            } catch (err) {
+              alert(err.message);
+            }
+          };
+        });
+      } catch (err) {
+        body.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+      }
+    };
+    render();
+
+    // Saving with a roll number or email entered adds that student and keeps the modal open; otherwise it just closes
+    return async () => {
+      const input = body.querySelector("#roster-add-id");
+      if (!canManage || !input || !input.value.trim()) {
+        close();
+        loadCourses();
+        return;
+      }
+      await api(`/api/courses/${courseId}/roster`, {
+        method: "POST",
+        body: JSON.stringify({ rollNumber: input.value.trim(), reason: body.querySelector("#roster-add-reason").value.trim() || undefined }),
+      });
+      render();
+    };
+  });
+}
+
+const ENROLLMENT_SOURCES = {
+  rule: "Enrollment rules", join: "Joined", rollover: "Term rollover",
+  approval: "Join approved", waitlist: "Promoted from waitlist", drop: "Dropped", manual: "Added or removed by staff",
+};
+
+function showEnrollmentHistory(courseId, code) {
+  openModal(`Enrollment history · ${code}`, (body, close) => {
+    body.innerHTML = "<p class='hint'>Loading...</p>";
+    api(`/api/courses/${courseId}/enrollment-history`)
+      .then(events => {
+        body.innerHTML = events.length === 0 ? "<p class='hint'>No enrollment changes recorded yet.</p>" : `
+          <div style="max-height:400px; overflow-y:auto;">
+            <table class="data-table">
+              <tr><th>When</th><th>Student</th><th>Change</th><th>Why</th></tr>
+              ${events.map(e => `
+                <tr>
+                  <td style="white-space:nowrap;">${new Date(e.createdAt).toLocaleString()}</td>
+                  <td>${escapeHtml(e.userName)}${e.rollNumber ? `<div class="small">${escapeHtml(e.rollNumber)}</div>` : ""}</td>
+                  <td style="color:${e.change === "added" ? "lightgreen" : "orange"};">${e.change === "added" ? "Added" : "Removed"}</td>
+                  <td>
+                    ${ENROLLMENT_SOURCES[e.source] || e.source}${e.detail ? `: ${escapeHtml(e.detail)}` : ""}
+                    <div class="small">${escapeHtml(e.trigger || "")}${e.actorName ? ` · by ${escapeHtml(e.actorName)}` : ""}</div>
+                  </td>
+                </tr>
+              `).join("")}
+            </table>
+          </div>
+        `;
+      })
+      .catch(err => { body.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`; });
+    return () => close();
+  });
+}
+
+const STAFF_ROLE_LABELS = { instructor: "Instructor", "co-instructor": "Co-instructor", ta: "Teaching Assistant", grader: "Grader" };
+
+// Course staff list; managers can add people, change roles and remove them
+function showCourseStaff(courseId, code) {
+  openModal(`Course staff · ${code}`, (body, close) => {
+    let canManage = false;
+    let roles = [];
+
+    const render = async () => {
+      body.innerHTML = "<p class='hint'>Loading...</p>";
+      try {
+        const data = await api(`/api/courses/${courseId}/staff`);
+        canManage = data.canManage;
+        roles = data.roles;
+        const roleOptions = (selected) => roles.map(r =>
+          `<option value="${r}" ${r === selected ? "selected" : ""}>${STAFF_ROLE_LABELS[r] || r}</option>`
+        ).join("");
+
+        body.innerHTML = `
+          <table class="data-table">
+            <tr><th>Name</th><th>Role</th>${canManage ? "<th></th>" : ""}</tr>
+            ${data.staff.map(m => `
+              <tr>
+                <td>${escapeHtml(m.name)}${m.email ? `<div class="small">${escapeHtml(m.email)}</div>` : ""}</td>
+                <td>
+                  ${canManage && !m.lead
+                    ? `<select class="staff-role" data-id="${m.userId}">${roleOptions(m.role)}</select>`
+                    : `${STAFF_ROLE_LABELS[m.role] || m.role}${m.lead ? " (lead)" : ""}`}
+                </td>
+                ${canManage ? `<td>${m.lead ? "" : `<button class="btn-outline-small staff-remove" style="color:red;" data-id="${m.userId}">Remove</button>`}</td>` : ""}
+              </tr>
+            `).join("")}
+          </table>
+          ${canManage ? `
+            <h4 style="margin-top:1.5rem;">Add staff member</h4>
+            <input type="text" id="staff-search" placeholder="Search faculty by name or email">
+            <select id="staff-candidate"><option value="">Search to list faculty</option></select>
+            <select id="staff-role">${roleOptions("ta")}</select>
+          ` : ""}
+        `;
+
+        body.querySelectorAll(".staff-role").forEach(select => {
+          select.onchange = async () => {
+            try {
+              await api(`/api/courses/${courseId}/staff/${select.dataset.id}`, { method: "PUT", body: JSON.stringify({ role: select.value }) });
+            } catch (err) {
+              alert(err.message);
+              render();
+            }
+          };
+        });
+        body.querySelectorAll(".staff-remove").forEach(btn => {
+          btn.onclick = async () => {
+            if (!confirm("Remove this person from the course staff?")) return;
+            try {
+              await api(`/api/courses/${courseId}/staff/${btn.dataset.id}`, { method: "DELETE" });
+              render();
+            } catch (err) {
+              alert(err.message);
+            }
+          };
+        });
+
+        const search = body.querySelector("#staff-search");
+        if (search) {
+          let timer = null;
+          search.oninput = () => {
+            clearTimeout(timer);
+            timer = setTimeout(async () => {
+              const select = body.querySelector("#staff-candidate");
+              try {
+                const people = await api(`/api/courses/${courseId}/staff-candidates?q=${encodeURIComponent(search.value)}`);
+                select.innerHTML = people.length === 0
+                  ? `<option value="">No matching faculty</option>`
+                  : people.map(p => `<option value="${p.id}">${escapeHtml(p.name)} (${ROLE_LABELS[p.role] || p.role}${p.department ? ", " + escapeHtml(p.department) : ""})</option>`).join("");
+              } catch (err) {
+                select.innerHTML = `<option value="">${escapeHtml(err.message)}</option>`;
+              }
+            }, 300);
+          };
+        }
+      } catch (err) {
+        body.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+      }
+    };
+    render();
+
+    // Saving with a candidate selected adds them and keeps the modal open; otherwise it just closes
+    return async () => {
+      const candidate = body.querySelector("#staff-candidate");
+      if (!canManage || !candidate || !candidate.value) return close();
+      await api(`/api/courses/${courseId}/staff`, {
+        method: "POST",
+        body: JSON.stringify({ userId: candidate.value, role: body.querySelector("#staff-role").value }),
+      });
+      render();
+    };
+  });
+}
+
+async function restoreCourse(courseId) {
+  if (!confirm("Restore this course? It becomes editable again and enrollment rules are re-applied.")) return;
+  try {
+    await api(`/api/courses/${courseId}/restore`, { method: "POST" });
+    loadCourses();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
 async function deleteCourse(courseId) {
   let confirms = 0;
   const maxConfirms = 4; // Changed from 3 to 4
 
   const askConfirm = async () => {
     if (confirms < maxConfirms) {
-      if (confirm(`ARE YOU SURE? (${confirms + 1}/${maxConfirms}) Deleting a course is permanent.`)) {
+      if (confirm(`ARE YOU SURE? (${confirms + 1}/${maxConfirms}) The course becomes read-only and is permanently deleted after the retention period unless restored.`)) {
         confirms++;
         return await askConfirm();
       } else {
@@ -822,10 +1805,10 @@ async function deleteCourse(courseId) {
   const confirmed = await askConfirm();
   if (!confirmed) return;
 
-  openModal("Delete Course - Final Step", (body, close) => {
+  openModal("Archive Course - Final Step", (body, close) => {
     body.innerHTML = `
       <p style="color:red; font-weight:bold;">Final Warning!</p>
-      <p>Please write a reason for deleting this course (minimum 50 words).</p>
+      <p>Please write a reason for archiving this course (minimum 50 words).</p>
       <textarea id="delete-reason" style="width:100%; height:100px; background:#222; color:white; border:1px solid #444;"></textarea>
       <p id="word-count" class="hint">Word count: 0</p>
     `;
@@ -845,13 +1828,13 @@ async function deleteCourse(courseId) {
       }
 
       try {
-        await api(`/api/courses/${courseId}`, {
+        const result = await api(`/api/courses/${courseId}`, {
           method: "DELETE",
           body: JSON.stringify({ reason, confirmCount: confirms })
         });
         close();
         loadCourses();
-        alert("Course deleted.");
+        alert(result.message);
       } catch (err) {
         alert(err.message);
       }
@@ -1109,7 +2092,7 @@ function initAssignmentsSection(user) {
     refreshBtn.addEventListener("click", loadAssignments);
   }
 
-  if (user.role === "teacher" && createBtn) {
+  if (can("assignment.create") && createBtn) {
     createBtn.addEventListener("click", async () => {
       const myCourses = await api("/api/my-courses");
       if (myCourses.length === 0) {
@@ -1213,23 +2196,11 @@ function openSubmitAssignmentModal(assignment) {
         formData.append("files", files[i]);
       }
 
-      const token = getToken();
       try {
-        const res = await fetch(
-          `${API_BASE}/api/assignments/${assignment.id}/submit`,
-          {
-            method: "POST",
-            headers: {
-              Authorization: "Bearer " + token
-            },
-            body: formData
-          }
-        );
-        if (!res.ok) {
-          const data = await res.json().catch(() => ({}));
-          throw new Error(data.message || "Upload failed");
-        }
-        await res.json();
+        await api(`/api/assignments/${assignment.id}/submit`, {
+          method: "POST",
+          body: formData
+        });
         close();
         alert("Submission uploaded.");
       } catch (err) {
@@ -1498,11 +2469,202 @@ async function loadProfile() {
       initials.style.display = "block";
       initials.textContent = data.name ? data.name.charAt(0).toUpperCase() : "?";
     }
+
+    if (data.role !== "student") loadTwoFactorSection();
+    loadDeletionRequestStatus();
   } catch (err) {
     console.error("Profile load error:", err);
   }
 }
 
+async function loadDeletionRequestStatus() {
+  const container = document.getElementById("deletion-request-status");
+  if (!container) return;
+
+  try {
+    const request = await api("/api/me/deletion-request");
+    if (request && request.status === "pending") {
+      container.innerHTML = `
+        <p class="hint">Account deletion requested on ${new Date(request.createdAt).toLocaleDateString()}. An administrator will review it.</p>
+        <button type="button" id="btn-cancel-deletion" class="btn-outline-small">Cancel request</button>
+      `;
+      document.getElementById("btn-cancel-deletion").onclick = async () => {
+        try {
+          await api("/api/me/deletion-request", { method: "DELETE" });
+          loadDeletionRequestStatus();
+        } catch (err) {
+          alert(err.message);
+        }
+      };
+    } else {
+      container.innerHTML = `<button type="button" id="btn-request-deletion" class="btn-outline-small" style="color:red;">Delete my account</button>`;
+      document.getElementById("btn-request-deletion").onclick = requestAccountDeletion;
+    }
+  } catch (err) {
+    container.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+  }
+}
+
+function requestAccountDeletion() {
+  const user = getUser();
+  openModal("Delete my account", (body, close) => {
+    body.innerHTML = `
+      <p style="color:red; font-weight:bold;">This cannot be undone.</p>
+      <p>Your profile, submissions, notifications and activity history will be deleted and your uploaded files removed.
+        Your discussion messages stay visible as "Deleted user".
+        ${user.role === "student" ? "" : "Faculty accounts are deleted after an administrator reviews the request."}</p>
+      <label>Reason (optional)</label>
+      <textarea id="deletion-reason" rows="3" style="width:100%;"></textarea>
+      <label>Current password</label>
+      <input type="password" id="deletion-password">
+    `;
+    return async () => {
+      const password = document.getElementById("deletion-password").value;
+      const reason = document.getElementById("deletion-reason").value.trim();
+      if (!password) return alert("Enter your password to confirm");
+      try {
+        const data = await api("/api/me/deletion-request", {
+          method: "POST",
+          body: JSON.stringify({ password, reason })
+        });
+        close();
+        alert(data.message);
+        if (data.status === "completed") {
+          clearSession();
+          window.location.href = "index.html";
+        } else {
+          loadDeletionRequestStatus();
+        }
+      } catch (err) {
+        alert(err.message);
+      }
+    };
+  });
+}
+
+async function loadTwoFactorSection() {
+  const status = document.getElementById("twofa-status");
+  const actions = document.getElementById("twofa-actions");
+  if (!status) return;
+
+  try {
+    const data = await api("/api/me/2fa");
+    if (!data.available) {
+      document.getElementById("twofa-section").style.display = "none";
+      return;
+    }
+
+    if (data.enabled) {
+      status.textContent = `Enabled. ${data.backupCodesRemaining} backup code(s) left.`;
+      actions.innerHTML = `
+        <button type="button" id="btn-twofa-backup" class="btn-outline-small">New backup codes</button>
+        ${data.required ? "" : `<button type="button" id="btn-twofa-disable" class="btn-outline-small">Turn off</button>`}
+      `;
+      document.getElementById("btn-twofa-backup").onclick = regenerateBackupCodes;
+      const disableBtn = document.getElementById("btn-twofa-disable");
+      if (disableBtn) disableBtn.onclick = disableTwoFactor;
+    } else {
+      status.textContent = data.required
+        ? "Required for your role. Set it up to continue using the portal."
+        : "Add a code from an authenticator app (Google Authenticator, Authy, ...) to your login.";
+      actions.innerHTML = `<button type="button" id="btn-twofa-enable" class="btn-primary-small">Set up 2FA</button>`;
+      document.getElementById("btn-twofa-enable").onclick = startTwoFactorSetup;
+    }
+  } catch (err) {
+    status.textContent = err.message;
+  }
+}
+
+function startTwoFactorSetup() {
+  openModal("Set up two-factor authentication", async (body, close) => {
+    body.innerHTML = `<p class="hint">Generating your key...</p>`;
+    let setup;
+    try {
+      setup = await api("/api/me/2fa/setup", { method: "POST" });
+    } catch (err) {
+      body.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+      return () => close();
+    }
+    body.innerHTML = `
+      <p>Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+      <div style="text-align:center; margin:10px 0;">
+        <img src="${setup.qrCode}" alt="2FA QR code" style="width:200px; height:200px; background:white; padding:8px; border-radius:8px;">
+      </div>
+      <p class="hint">Can't scan? Enter this key manually: <code>${escapeHtml(setup.secret)}</code></p>
+      <label>Code from app</label>
+      <input type="text" id="twofa-setup-code" placeholder="123456" autocomplete="one-time-code">
+    `;
+
+    return async () => {
+      const code = document.getElementById("twofa-setup-code").value.trim();
+      if (!code) return alert("Enter the code from your app");
+      try {
+        const data = await api("/api/me/2fa/enable", { method: "POST", body: JSON.stringify({ code }) });
+        close();
+        showBackupCodes(data.backupCodes);
+        document.getElementById("twofa-required-banner")?.classList.add("hidden");
+        loadTwoFactorSection();
+      } catch (err) {
+        alert(err.message);
+      }
+    };
+  });
+}
+
+function regenerateBackupCodes() {
+  openModal("New backup codes", (body, close) => {
+    body.innerHTML = `
+      <p class="hint">Your old backup codes will stop working.</p>
+      <label>Code from your authenticator app</label>
+      <input type="text" id="twofa-backup-code" autocomplete="one-time-code">
+    `;
+    return async () => {
+      const code = document.getElementById("twofa-backup-code").value.trim();
+      try {
+        const data = await api("/api/me/2fa/backup-codes", { method: "POST", body: JSON.stringify({ code }) });
+        close();
+        showBackupCodes(data.backupCodes);
+        loadTwoFactorSection();
+      } catch (err) {
+        alert(err.message);
+      }
+    };
+  });
+}
+
+function disableTwoFactor() {
+  openModal("Turn off two-factor authentication", (body, close) => {
+    body.innerHTML = `
+      <label>Current password</label>
+      <input type="password" id="twofa-disable-password">
+      <label>Authentication code or backup code</label>
+      <input type="text" id="twofa-disable-code" autocomplete="one-time-code">
+    `;
+    return async () => {
+      const password = document.getElementById("twofa-disable-password").value;
+      const code = document.getElementById("twofa-disable-code").value.trim();
+      try {
+        await api("/api/me/2fa/disable", { method: "POST", body: JSON.stringify({ password, code }) });
+        close();
+        loadTwoFactorSection();
+      } catch (err) {
+        alert(err.message);
+      }
+    };
+  });
+}
+
+// Backup codes are only ever shown once
+function showBackupCodes(codes) {
+  openModal("Save your backup codes", (body, close) => {
+    body.innerHTML = `
+      <p>Each code signs you in once if you lose your phone. Store them somewhere safe; they will not be shown again.</p>
+      <pre style="background:#111; padding:10px; border-radius:6px; columns:2;">${codes.join("\n")}</pre>
+    `;
+    return () => close();
+  });
+}
+
 function initProfileSection(user) {
   const form = document.getElementById("profile-form");
   const message = document.getElementById("profile-message");
@@ -1518,12 +2680,10 @@ function initProfileSection(user) {
 
     try {
       message.textContent = "Uploading photo...";
-      const res = await fetch(`${API_BASE}/api/me/photo`, {
+      await api("/api/me/photo", {
         method: "POST",
-        headers: { Authorization: "Bearer " + getToken() },
         body: formData
       });
-      if (!res.ok) throw new Error("Upload failed");
       message.textContent = "Photo updated successfully.";
       loadProfile();
     } catch (err) {
@@ -1557,10 +2717,12 @@ function initProfileSection(user) {
     }
 
     try {
-      await api("/api/me", {
+      const data = await api("/api/me", {
         method: "PUT",
         body: JSON.stringify(payload)
       });
+      // Changing the password signs out other devices and returns a fresh session for this one
+      if (data.token) saveSession(data.token, getUser(), data.refreshToken);
       message.textContent = "Profile updated.";
       document.getElementById("profile-current-password").value = "";
       document.getElementById("profile-new-password").value = "";
@@ -1569,6 +2731,40 @@ function initProfileSection(user) {
       message.textContent = err.message;
     }
   });
+
+  const exportBtn = document.getElementById("btn-export-data");
+  if (exportBtn) {
+    exportBtn.onclick = async () => {
+      try {
+        exportBtn.disabled = true;
+        const data = await api("/api/me/export");
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+        link.download = `horizonx-data-${user.id}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+      } catch (err) {
+        message.textContent = err.message;
+      } finally {
+        exportBtn.disabled = false;
+      }
+    };
+  }
+
+  const logoutAllBtn = document.getElementById("btn-logout-all");
+  if (logoutAllBtn) {
+    logoutAllBtn.onclick = async () => {
+      if (!confirm("Log out of every device, including this one?")) return;
+      try {
+        await api("/api/auth/logout-all", { method: "POST" });
+        clearSession();
+        window.location.href = "index.html";
+      } catch (err) {
+        message.textContent = err.message;
+      }
+    };
+  }
 }
 
 async function initMaterialsView() {
@@ -1615,12 +2811,12 @@ async function initMaterialsView() {
       materialsList.innerHTML = "<p class='hint' style='font-size: 1.25rem;'>Please select a course to view study materials.</p>";
       return;
     }
-    const coursesDb = await api("/api/courses");
-    const course = coursesDb.find(c => c.id === selectedCourseId);
+    const { course, materials } = await api(`/api/courses/${selectedCourseId}/materials`);
+    course.materials = materials;
 
     materialsList.innerHTML = "";
 
-    if (!course || !course.materials || course.materials.length === 0) {
+    if (course.materials.length === 0) {
       materialsList.innerHTML = "<p class='hint' style='font-size: 1.25rem; padding: 20px;'>No study material uploaded yet for this subject.</p>";
       return;
     }
@@ -1630,7 +2826,7 @@ async function initMaterialsView() {
       card.className = "assignment-card large-card";
 
       let deleteBtn = "";
-      if (user.role === "teacher") {
+      if (can("material.manage", course)) {
         deleteBtn = `<button class="btn-outline-small delete-mat-btn" style="color:red; margin-left:10px; font-size: 1rem;">Delete</button>`;
       }
 
@@ -1670,7 +2866,7 @@ async function initMaterialsView() {
         };
       }
 
-      if (user.role === "teacher") {
+      if (can("material.manage", course)) {
         const btn = card.querySelector(".delete-mat-btn");
         if (btn && m._id) {
           btn.onclick = async () => {
@@ -1692,7 +2888,7 @@ async function initMaterialsView() {
   renderSidebar();
   // loadMaterials() is called inside renderCourseRow if initial selection happens
 
-  if (user.role === "teacher" && uploadBtn) {
+  if (can("material.manage") && uploadBtn) {
     uploadBtn.onclick = () => {
       openModal("Upload Material or Video", (body, close) => {
         body.innerHTML = `
@@ -1730,7 +2926,6 @@ async function initMaterialsView() {
         return async () => {
           const type = typeSelect.value;
           const courseId = selectedCourseId;
-          const token = getToken();
 
           if (type === "video") {
             const videoUrl = document.getElementById("video-url").value;
@@ -1748,18 +2943,10 @@ async function initMaterialsView() {
             for (let f of files) formData.append("files", f);
 
             try {
-              const res = await fetch(`${API_BASE}/api/courses/${courseId}/materials`, {
+              const result = await api(`/api/courses/${courseId}/materials`, {
                 method: "POST",
-                headers: { Authorization: "Bearer " + token },
                 body: formData
               });
-
-              if (!res.ok) {
-                const errorData = await res.json().catch(() => ({}));
-                throw new Error(errorData.message || `Upload failed with status ${res.status}`);
-              }
-
-              const result = await res.json();
               console.log("Upload successful:", result);
             } catch (error) {
               console.error("Upload error:", error);
@@ -1885,8 +3072,8 @@ async function initDateSheetView() {
           center: 'title',
           right: 'dayGridMonth,timeGridWeek'
         },
-        editable: user.role === 'teacher',
-        selectable: user.role === 'teacher',
+        editable: can("course.update"),
+        selectable: can("course.update"),
         selectMirror: true,
         dayMaxEvents: true,
         events: async function (info, successCallback, failureCallback) {
@@ -1939,7 +3126,7 @@ async function initDateSheetView() {
           }
         },
         select: function (info) {
-          if (user.role === 'teacher') {
+          if (can("course.update")) {
             const courseId = courseSelect.value;
             if (courseId === 'all') {
               alert("Please select a specific course to add an exam date.");
@@ -1983,7 +3170,7 @@ async function initDateSheetView() {
             <p><strong>Time:</strong> ${props.time || 'Not set'}</p>
             <p><strong>Code:</strong> ${props.courseCode || 'N/A'}</p>
           `;
-            if (user.role === 'teacher') {
+            if (can("course.update")) {
               const delBtn = document.createElement("button");
               delBtn.className = "btn-outline-small";
               delBtn.style.cssText = "color:red; margin-top:10px;";
@@ -2103,7 +3290,7 @@ async function initDateSheetView() {
           ${previewHtml}
           <div style="margin-top:auto; padding-top:1rem;">
             ${ds.type === 'file' ? `<a href="${ds.url}" target="_blank" class="btn-primary-small">View PDF</a>` : ''}
-            ${user.role === "teacher" ? `<button class="btn-outline-small" style="color:red; margin-left:5px;" onclick="deleteDateSheet('${ds.id}')">Delete</button>` : ''}
+            ${can("datesheet.manage") ? `<button class="btn-outline-small" style="color:red; margin-left:5px;" onclick="deleteDateSheet('${ds.id}')">Delete</button>` : ''}
           </div>
         `;
         container.appendChild(card);
@@ -2132,7 +3319,7 @@ async function initDateSheetView() {
   }
   window.deleteDateSheet = deleteDateSheet; // Make it global for inline onclick
 
-  if (user.role === "teacher" && uploadBtn) {
+  if (can("datesheet.manage") && uploadBtn) {
     uploadBtn.onclick = () => {
       openModal("Upload Date Sheet", (body, close) => {
         body.innerHTML = `
@@ -2152,19 +3339,10 @@ async function initDateSheetView() {
           for (let f of files) formData.append("files", f);
 
           try {
-            const token = getToken();
-            const res = await fetch(`${API_BASE}/api/courses/${courseId}/datesheets`, {
+            const result = await api(`/api/courses/${courseId}/datesheets`, {
               method: "POST",
-              headers: { Authorization: "Bearer " + token },
               body: formData
             });
-
-            if (!res.ok) {
-              const errorData = await res.json().catch(() => ({}));
-              throw new Error(errorData.message || `Upload failed with status ${res.status}`);
-            }
-
-            const result = await res.json();
             console.log("Date sheet upload successful:", result);
             close();
             loadSheets();
@@ -2181,7 +3359,7 @@ async function initDateSheetView() {
   }
 
   const createCalendarBtn = document.getElementById("btn-create-calendar");
-  if (user.role === "teacher" && createCalendarBtn) {
+  if (can("datesheet.manage") && createCalendarBtn) {
     createCalendarBtn.onclick = () => {
       openModal("Generate Date Sheet Calendar", (body, close) => {
         body.innerHTML = `
@@ -2300,6 +3478,823 @@ function openModal(title, buildFn) {
   };
 }
 
+// Administration
+const ADMIN_PANELS = {
+  approvals: { permission: "user.approve", load: loadPendingApprovals },
+  invites: { permission: "settings.manage", load: loadInviteCodes },
+  users: { permission: "user.manage", load: () => loadAdminUsers(1) },
+  import: { permission: "user.manage", load: initUserImport },
+  structure: { permission: "structure.manage", load: loadProgramStructure },
+  rollover: { permission: "term.rollover", load: initRollover },
+  deletions: { permission: "user.manage", load: loadDeletionRequests },
+  security: { permission: "settings.manage", load: loadTwoFactorPolicy },
+  audit: { permission: "audit.view", load: () => loadAuditLogs(1) }
+};
+
+function initAdminView() {
+  const tabs = Array.from(document.querySelectorAll("[data-admin-tab]"));
+  const visibleTabs = tabs.filter(tab => {
+    const panel = ADMIN_PANELS[tab.dataset.adminTab];
+    const allowed = panel && can(panel.permission);
+    tab.style.display = allowed ? "" : "none";
+    return allowed;
+  });
+
+  visibleTabs.forEach(tab => {
+    tab.onclick = () => {
+      tabs.forEach(t => t.classList.toggle("active", t === tab));
+      document.querySelectorAll(".admin-panel").forEach(p =>
+        p.classList.toggle("active", p.id === "admin-panel-" + tab.dataset.adminTab)
+      );
+      ADMIN_PANELS[tab.dataset.adminTab].load();
+    };
+  });
+
+  const current = visibleTabs.find(t => t.classList.contains("active")) || visibleTabs[0];
+  if (current) current.click();
+}
+
+async function loadPendingApprovals() {
+  const list = document.getElementById("approvals-list");
+  const statusSelect = document.getElementById("approvals-status");
+  const refreshBtn = document.getElementById("btn-refresh-approvals");
+  if (!list) return;
+
+  statusSelect.onchange = loadPendingApprovals;
+  refreshBtn.onclick = loadPendingApprovals;
+
+  list.innerHTML = "<p class='hint'>Loading...</p>";
+  try {
+    const status = statusSelect.value;
+    const users = await api(`/api/admin/pending-users?status=${status}`);
+    if (users.length === 0) {
+      list.innerHTML = `<p class='hint'>No ${status} accounts.</p>`;
+      return;
+    }
+
+    list.innerHTML = `
+      <table class="data-table">
+        <tr>
+          <th>Name</th>
+          <th>Email</th>
+          <th>Role</th>
+          <th>Rank / Department</th>
+          <th>Email verified</th>
+          <th>Requested</th>
+          <th></th>
+        </tr>
+        ${users.map(u => `
+          <tr>
+            <td>${escapeHtml(u.name)}</td>
+            <td>${escapeHtml(u.email)}</td>
+            <td>${ROLE_LABELS[u.role] || escapeHtml(u.role)}</td>
+            <td>${escapeHtml(u.rank || "")} ${u.department ? "• " + escapeHtml(u.department) : ""}</td>
+            <td>${u.emailVerified ? "Yes" : "No"}</td>
+            <td>${new Date(u.createdAt).toLocaleDateString()}</td>
+            <td>
+              <button class="btn-primary-small approve-user-btn" data-id="${u.id}">Approve</button>
+              ${status === "pending" ? `<button class="btn-outline-small reject-user-btn" data-id="${u.id}" style="color:red; margin-left:5px;">Reject</button>` : `<div class="small">Reason: ${escapeHtml(u.rejectionReason)}</div>`}
+            </td>
+          </tr>
+        `).join("")}
+      </table>
+    `;
+
+    list.querySelectorAll(".approve-user-btn").forEach(btn => {
+      btn.onclick = async () => {
+        try {
+          await api(`/api/admin/users/${btn.dataset.id}/approve`, { method: "POST" });
+          loadPendingApprovals();
+        } catch (err) {
+          alert(err.message);
+        }
+      };
+    });
+
+    list.querySelectorAll(".reject-user-btn").forEach(btn => {
+      btn.onclick = () => {
+        openModal("Reject account", (body, close) => {
+          body.innerHTML = `
+            <label>Reason (sent to the applicant)</label>
+            <textarea id="reject-reason" style="width:100%; height:80px; background:#222; color:white; border:1px solid #444;"></textarea>
+          `;
+          return async () => {
+            const reason = document.getElementById("reject-reason").value.trim();
+            if (!reason) return alert("Please enter a reason.");
+            await api(`/api/admin/users/${btn.dataset.id}/reject`, {
+              method: "POST",
+              body: JSON.stringify({ reason })
+            });
+            close();
+            loadPendingApprovals();
+          };
+        });
+      };
+    });
+  } catch (err) {
+    list.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+  }
+}
+
+const SIGNUP_ROLES = ["student", "teacher", "ta", "coordinator", "hod", "pd", "dean"];
+
+async function loadInviteCodes() {
+  const list = document.getElementById("invite-codes-list");
+  const generateBtn = document.getElementById("btn-generate-invite");
+  const roleSelect = document.getElementById("invite-role");
+  if (!list) return;
+
+  if (!roleSelect.options.length) {
+    roleSelect.innerHTML = SIGNUP_ROLES.filter(r => r !== "student")
+      .map(r => `<option value="${r}">${ROLE_LABELS[r]}</option>`).join("");
+  }
+
+  generateBtn.onclick = async () => {
+    try {
+      const invite = await api("/api/admin/invite-codes", {
+        method: "POST",
+        body: JSON.stringify({
+          role: roleSelect.value,
+          department: document.getElementById("invite-department").value.trim(),
+          maxUses: document.getElementById("invite-max-uses").value,
+          expiresInDays: document.getElementById("invite-expiry").value,
+          note: document.getElementById("invite-note").value.trim()
+        })
+      });
+      alert(`Invite code created: ${invite.code}`);
+      loadInviteCodes();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  list.innerHTML = "<p class='hint'>Loading...</p>";
+  try {
+    const codes = await api("/api/admin/invite-codes");
+    const statusOf = (c) => {
+      if (c.revokedAt) return "Revoked";
+      if (c.expiresAt && new Date(c.expiresAt) < new Date()) return "Expired";
+      if (c.uses >= c.maxUses) return "Used up";
+      return "Active";
+    };
+
+    list.innerHTML = codes.length === 0 ? "<p class='hint'>No invite codes yet.</p>" : `
+      <table class="data-table">
+        <tr>
+          <th>Code</th>
+          <th>Role</th>
+          <th>Department</th>
+          <th>Uses</th>
+          <th>Expires</th>
+          <th>Status</th>
+          <th></th>
+        </tr>
+        ${codes.map(c => `
+          <tr>
+            <td style="font-family:monospace; color:var(--accent-cyan);">${escapeHtml(c.code)}</td>
+            <td>${ROLE_LABELS[c.role] || c.role}</td>
+            <td>${escapeHtml(c.department || "Any")}</td>
+            <td>${c.uses} / ${c.maxUses}</td>
+            <td>${c.expiresAt ? new Date(c.expiresAt).toLocaleDateString() : "Never"}</td>
+            <td>${statusOf(c)}${c.note ? `<div class="small">${escapeHtml(c.note)}</div>` : ""}</td>
+            <td>${statusOf(c) === "Active" ? `<button class="btn-outline-small revoke-invite-btn" data-id="${c.id}" style="color:red;">Revoke</button>` : ""}</td>
+          </tr>
+        `).join("")}
+      </table>
+    `;
+
+    list.querySelectorAll(".revoke-invite-btn").forEach(btn => {
+      btn.onclick = async () => {
+        if (!confirm("Revoke this invite code?")) return;
+        try {
+          await api(`/api/admin/invite-codes/${btn.dataset.id}`, { method: "DELETE" });
+          loadInviteCodes();
+        } catch (err) {
+          alert(err.message);
+        }
+      };
+    });
+  } catch (err) {
+    list.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+  }
+
+  loadEmailDomains();
+}
+
+// Email-domain allowlist: one comma-separated input per role
+async function loadEmailDomains() {
+  const container = document.getElementById("email-domains-form");
+  const saveBtn = document.getElementById("btn-save-email-domains");
+  if (!container) return;
+
+  try {
+    const allowlist = await api("/api/admin/email-domains");
+    container.innerHTML = SIGNUP_ROLES.map(r => `
+      <div class="two-col" style="align-items:center; margin-bottom:5px;">
+        <label>${ROLE_LABELS[r]}</label>
+        <input type="text" class="email-domain-input" data-role="${r}" placeholder="Any domain" value="${escapeHtml((allowlist[r] || []).join(", "))}">
+      </div>
+    `).join("");
+  } catch (err) {
+    container.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+  }
+
+  saveBtn.onclick = async () => {
+    const allowlist = {};
+    container.querySelectorAll(".email-domain-input").forEach(input => {
+      allowlist[input.dataset.role] = input.value.split(",").map(d => d.trim()).filter(Boolean);
+    });
+    try {
+      await api("/api/admin/email-domains", { method: "PUT", body: JSON.stringify({ allowlist }) });
+      alert("Email domain rules saved.");
+      loadEmailDomains();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+}
+
+// User management console
+let adminUsersPage = 1;
+
+async function loadAdminUsers(page = adminUsersPage) {
+  const list = document.getElementById("users-list");
+  const roleSelect = document.getElementById("users-role");
+  if (!list) return;
+  adminUsersPage = page;
+
+  if (roleSelect.options.length === 1) {
+    roleSelect.innerHTML += Object.keys(ROLE_LABELS).map(r => `<option value="${r}">${ROLE_LABELS[r]}</option>`).join("");
+  }
+  const programSelect = document.getElementById("users-program");
+  if (programSelect.options.length === 1) programSelect.innerHTML += programOptions();
+  document.getElementById("btn-search-users").onclick = () => loadAdminUsers(1);
+  document.getElementById("users-search").onkeydown = (e) => { if (e.key === "Enter") loadAdminUsers(1); };
+
+  const params = new URLSearchParams({ page });
+  const filters = {
+    q: document.getElementById("users-search").value.trim(),
+    role: roleSelect.value,
+    program: document.getElementById("users-program").value,
+    branch: document.getElementById("users-branch").value.trim(),
+    semester: document.getElementById("users-semester").value,
+    status: document.getElementById("users-status").value
+  };
+  Object.entries(filters).forEach(([key, value]) => { if (value) params.set(key, value); });
+
+  list.innerHTML = "<p class='hint'>Loading...</p>";
+  try {
+    const data = await api(`/api/admin/users?${params}`);
+    const statusOf = (u) => {
+      if (!u.isActive) return "Deactivated";
+      if (!u.isApproved) return "Awaiting approval";
+      if (u.lockedUntil && new Date(u.lockedUntil) > new Date()) return "Locked";
+      if (u.mustResetPassword) return "Must reset password";
+      if (u.graduatedAt) return "Graduated";
+      return "Active";
+    };
+
+    list.innerHTML = data.users.length === 0 ? "<p class='hint'>No users match these filters.</p>" : `
+      <table class="data-table">
+        <tr>
+          <th>Name</th>
+          <th>Email / Roll no</th>
+          <th>Role</th>
+          <th>Program / Department</th>
+          <th>Status</th>
+          <th></th>
+        </tr>
+        ${data.users.map(u => `
+          <tr>
+            <td>${escapeHtml(u.name)}</td>
+            <td>${escapeHtml(u.email)}${u.rollNumber ? `<div class="small">${escapeHtml(u.rollNumber)}</div>` : ""}</td>
+            <td>${ROLE_LABELS[u.role] || escapeHtml(u.role)}</td>
+            <td>${u.role === "student" ? `${escapeHtml(u.program || "")} ${escapeHtml(u.branch || "")} · Sem ${u.semester || "-"}` : escapeHtml(u.department || "-")}</td>
+            <td>${statusOf(u)}${u.twoFactorEnabled ? `<div class="small">2FA on</div>` : ""}</td>
+            <td style="white-space:nowrap;">
+              <button class="btn-outline-small user-action-btn" data-action="edit" data-id="${u.id}">Edit</button>
+              ${u.isActive
+                ? `<button class="btn-outline-small user-action-btn" data-action="deactivate" data-id="${u.id}" style="color:red;">Deactivate</button>`
+                : `<button class="btn-outline-small user-action-btn" data-action="reactivate" data-id="${u.id}">Reactivate</button>`}
+              <button class="btn-outline-small user-action-btn" data-action="force-reset" data-id="${u.id}">Force reset</button>
+              ${statusOf(u) === "Locked" ? `<button class="btn-outline-small user-action-btn" data-action="unlock" data-id="${u.id}">Unlock</button>` : ""}
+              ${u.twoFactorEnabled ? `<button class="btn-outline-small user-action-btn" data-action="2fa/reset" data-id="${u.id}">Reset 2FA</button>` : ""}
+              ${u.isActive && u.role !== "admin" && u.id !== getUser().id && can("user.impersonate") ? `<button class="btn-outline-small user-action-btn" data-action="impersonate" data-id="${u.id}">View as</button>` : ""}
+            </td>
+          </tr>
+        `).join("")}
+      </table>
+    `;
+
+    document.getElementById("users-page-info").textContent = `Page ${data.page} of ${data.pages} · ${data.total} user(s)`;
+    const prevBtn = document.getElementById("btn-users-prev");
+    const nextBtn = document.getElementById("btn-users-next");
+    prevBtn.disabled = data.page <= 1;
+    nextBtn.disabled = data.page >= data.pages;
+    prevBtn.onclick = () => loadAdminUsers(data.page - 1);
+    nextBtn.onclick = () => loadAdminUsers(data.page + 1);
+
+    const confirmations = {
+      deactivate: "Deactivate this account? The user is signed out and cannot log in until reactivated.",
+      "force-reset": "Sign this user out and require a new password?",
+      "2fa/reset": "Remove two-factor authentication from this account?"
+    };
+    list.querySelectorAll(".user-action-btn").forEach(btn => {
+      btn.onclick = async () => {
+        const { action, id } = btn.dataset;
+        if (action === "edit") return editAdminUser(data.users.find(u => u.id === id));
+        if (action === "impersonate") return startImpersonation(id);
+        if (confirmations[action] && !confirm(confirmations[action])) return;
+        try {
+          await api(`/api/admin/users/${id}/${action}`, { method: "POST" });
+          loadAdminUsers();
+        } catch (err) {
+          alert(err.message);
+        }
+      };
+    });
+  } catch (err) {
+    list.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+  }
+}
+
+function editAdminUser(user) {
+  openModal(`Edit ${user.name}`, (body, close) => {
+    const roleOptions = Object.keys(ROLE_LABELS)
+      .map(r => `<option value="${r}" ${r === user.role ? "selected" : ""}>${ROLE_LABELS[r]}</option>`).join("");
+    body.innerHTML = `
+      <label>Name</label>
+      <input type="text" id="edit-user-name" value="${escapeHtml(user.name || "")}">
+      <label>Email</label>
+      <input type="email" id="edit-user-email" value="${escapeHtml(user.email || "")}">
+      <label>Role</label>
+      <select id="edit-user-role">${roleOptions}</select>
+      <div id="edit-user-student-fields">
+        <label>Roll number</label>
+        <input type="text" id="edit-user-roll" value="${escapeHtml(user.rollNumber || "")}">
+        <label>Program</label>
+        <select id="edit-user-program">${programOptions(user.program)}</select>
+        <label>Branch</label>
+        <input type="text" id="edit-user-branch" value="${escapeHtml(user.branch || "")}">
+        <label>Year</label>
+        <input type="number" id="edit-user-year" min="1" value="${user.year || ""}">
+      </div>
+      <div id="edit-user-staff-fields">
+        <label>Rank</label>
+        <input type="text" id="edit-user-rank" value="${escapeHtml(user.rank || "")}">
+        <label>Department</label>
+        <input type="text" id="edit-user-department" value="${escapeHtml(user.department || "")}">
+      </div>
+      <p class="hint">Changing the role or email signs the user out of every device.</p>
+    `;
+
+    const roleSelect = document.getElementById("edit-user-role");
+    const toggleFields = () => {
+      const isStudent = roleSelect.value === "student";
+      document.getElementById("edit-user-student-fields").style.display = isStudent ? "" : "none";
+      document.getElementById("edit-user-staff-fields").style.display = isStudent ? "none" : "";
+    };
+    roleSelect.onchange = toggleFields;
+    toggleFields();
+
+    return async () => {
+      const payload = {
+        name: document.getElementById("edit-user-name").value.trim(),
+        email: document.getElementById("edit-user-email").value.trim(),
+        role: roleSelect.value
+      };
+      if (payload.role === "student") {
+        payload.rollNumber = document.getElementById("edit-user-roll").value.trim();
+        payload.program = document.getElementById("edit-user-program").value;
+        payload.branch = document.getElementById("edit-user-branch").value.trim();
+        payload.year = document.getElementById("edit-user-year").value;
+      } else {
+        payload.rank = document.getElementById("edit-user-rank").value.trim();
+        payload.department = document.getElementById("edit-user-department").value.trim();
+      }
+      try {
+        await api(`/api/admin/users/${user.id}`, { method: "PUT", body: JSON.stringify(payload) });
+        close();
+        loadAdminUsers();
+      } catch (err) {
+        alert(err.message);
+      }
+    };
+  });
+}
+
+async function loadDeletionRequests() {
+  const list = document.getElementById("deletions-list");
+  const statusSelect = document.getElementById("deletions-status");
+  if (!list) return;
+
+  statusSelect.onchange = loadDeletionRequests;
+  document.getElementById("btn-refresh-deletions").onclick = loadDeletionRequests;
+
+  list.innerHTML = "<p class='hint'>Loading...</p>";
+  try {
+    const requests = await api(`/api/admin/deletion-requests?status=${statusSelect.value}`);
+    list.innerHTML = requests.length === 0 ? "<p class='hint'>No requests.</p>" : `
+      <table class="data-table">
+        <tr>
+          <th>User</th>
+          <th>Role</th>
+          <th>Requested</th>
+          <th>Reason</th>
+          <th>${statusSelect.value === "pending" ? "" : "Review note"}</th>
+        </tr>
+        ${requests.map(r => `
+          <tr>
+            <td>${escapeHtml(r.userName || "(deleted)")}${r.userEmail ? `<div class="small">${escapeHtml(r.userEmail)}</div>` : ""}</td>
+            <td>${ROLE_LABELS[r.role] || r.role}</td>
+            <td>${new Date(r.createdAt).toLocaleDateString()}</td>
+            <td>${escapeHtml(r.reason || "-")}</td>
+            <td>${r.status === "pending" ? `
+              <button class="btn-primary-small approve-deletion-btn" data-id="${r.id}" style="background:red;">Delete account</button>
+              <button class="btn-outline-small reject-deletion-btn" data-id="${r.id}">Reject</button>
+            ` : escapeHtml(r.reviewNote || "-")}</td>
+          </tr>
+        `).join("")}
+      </table>
+    `;
+
+    list.querySelectorAll(".approve-deletion-btn").forEach(btn => {
+      btn.onclick = async () => {
+        if (!confirm("Permanently delete this account and its personal data?")) return;
+        try {
+          await api(`/api/admin/deletion-requests/${btn.dataset.id}/approve`, { method: "POST" });
+          loadDeletionRequests();
+        } catch (err) {
+          alert(err.message);
+        }
+      };
+    });
+    list.querySelectorAll(".reject-deletion-btn").forEach(btn => {
+      btn.onclick = async () => {
+        const note = prompt("Reason for rejecting this request (emailed to the user):");
+        if (!note) return;
+        try {
+          await api(`/api/admin/deletion-requests/${btn.dataset.id}/reject`, {
+            method: "POST",
+            body: JSON.stringify({ note })
+          });
+          loadDeletionRequests();
+        } catch (err) {
+          alert(err.message);
+        }
+      };
+    });
+  } catch (err) {
+    list.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+  }
+}
+
+// Programmes, branches and sections offered by the institution
+async function loadProgramStructure() {
+  const list = document.getElementById("structure-list");
+  if (!list) return;
+  document.getElementById("btn-add-program").onclick = () => editProgram(null);
+
+  list.innerHTML = "<p class='hint'>Loading...</p>";
+  try {
+    const programs = await api("/api/admin/academic-structure");
+    list.innerHTML = programs.length === 0 ? "<p class='hint'>No programmes yet.</p>" : `
+      <table class="data-table">
+        <tr>
+          <th>Programme</th>
+          <th>Duration</th>
+          <th>Branches / sections</th>
+          <th>Status</th>
+          <th></th>
+        </tr>
+        ${programs.map(p => `
+          <tr>
+            <td>${escapeHtml(p.program)}</td>
+            <td>${p.years} year(s) · ${p.semesters} semester(s)</td>
+            <td>${p.branches.map(b => `<div class="small"><b>${escapeHtml(b.name)}</b>${b.sections.length ? ": " + escapeHtml(b.sections.join(", ")) : ""}</div>`).join("")}</td>
+            <td>${p.isActive ? "Active" : "Inactive"}</td>
+            <td style="white-space:nowrap;">
+              <button class="btn-outline-small program-edit-btn" data-id="${p.id}">Edit</button>
+              <button class="btn-outline-small program-delete-btn" data-id="${p.id}" style="color:red;">Delete</button>
+            </td>
+          </tr>
+        `).join("")}
+      </table>
+    `;
+
+    list.querySelectorAll(".program-edit-btn").forEach(btn => {
+      btn.onclick = () => editProgram(programs.find(p => p.id === btn.dataset.id));
+    });
+    list.querySelectorAll(".program-delete-btn").forEach(btn => {
+      btn.onclick = async () => {
+        if (!confirm("Delete this programme? Programmes still in use can only be deactivated.")) return;
+        try {
+          await api(`/api/admin/academic-structure/${btn.dataset.id}`, { method: "DELETE" });
+          loadProgramStructure();
+        } catch (err) {
+          alert(err.message);
+        }
+      };
+    });
+  } catch (err) {
+    list.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+  }
+}
+
+// Branches are edited as one line each: "AIML: Tigers, Rhinos" or just "ECE" for a branch without sections
+function editProgram(program) {
+  openModal(program ? `Edit ${program.program}` : "Add programme", (body, close) => {
+    const branchText = program
+      ? program.branches.map(b => b.sections.length ? `${b.name}: ${b.sections.join(", ")}` : b.name).join("\n")
+      : "";
+    body.innerHTML = `
+      <label>Programme name</label>
+      <input type="text" id="program-name" value="${escapeHtml(program ? program.program : "")}">
+      <div class="two-col">
+        <div>
+          <label>Years</label>
+          <input type="number" id="program-years" min="1" max="10" value="${program ? program.years : 4}">
+        </div>
+        <div>
+          <label>Semesters per year</label>
+          <input type="number" id="program-sems" min="1" max="4" value="${program ? program.semestersPerYear : 2}">
+        </div>
+      </div>
+      <label>Branches (one per line, "Branch: Section, Section")</label>
+      <textarea id="program-branches" rows="6" style="width:100%;">${escapeHtml(branchText)}</textarea>
+      <label><input type="checkbox" id="program-active" ${!program || program.isActive ? "checked" : ""}> Accepting students and courses</label>
+    `;
+
+    return async () => {
+      const branches = document.getElementById("program-branches").value
+        .split("\n")
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+          const [name, sections = ""] = line.split(":");
+          return { name: name.trim(), sections: sections.split(",").map(x => x.trim()).filter(Boolean) };
+        });
+      const payload = {
+        program: document.getElementById("program-name").value.trim(),
+        years: document.getElementById("program-years").value,
+        semestersPerYear: document.getElementById("program-sems").value,
+        branches,
+        isActive: document.getElementById("program-active").checked
+      };
+      try {
+        await api(program ? `/api/admin/academic-structure/${program.id}` : "/api/admin/academic-structure", {
+          method: program ? "PUT" : "POST",
+          body: JSON.stringify(payload)
+        });
+        close();
+        loadProgramStructure();
+        loadAcademicStructure();
+      } catch (err) {
+        alert(err.message);
+      }
+    };
+  });
+}
+
+// Rollover: always preview first; the run button unlocks for the previewed term name only
+async function initRollover() {
+  const termInput = document.getElementById("rollover-next-term");
+  const runBtn = document.getElementById("btn-rollover-run");
+  const summary = document.getElementById("rollover-summary");
+  let previewedTerm = null;
+
+  try {
+    const { currentTerm } = await api("/api/admin/term");
+    document.getElementById("rollover-current-term").textContent = currentTerm
+      ? `${currentTerm.label} (since ${new Date(currentTerm.startedAt).toLocaleDateString()})`
+      : "Not set";
+  } catch (err) {
+    console.error("Term load error:", err);
+  }
+
+  termInput.oninput = () => { runBtn.disabled = termInput.value.trim() !== previewedTerm; };
+
+  const run = async (dryRun) => {
+    const nextTerm = termInput.value.trim();
+    if (!nextTerm) return alert("Name the new term first");
+    if (!dryRun && !confirm(`Roll over to ${nextTerm}? Students are promoted and every roster is archived.`)) return;
+
+    summary.textContent = dryRun ? "Building preview..." : "Rolling over...";
+    try {
+      const report = await api("/api/admin/rollover", {
+        method: "POST",
+        body: JSON.stringify({ nextTerm, dryRun })
+      });
+      previewedTerm = dryRun ? nextTerm : null;
+      runBtn.disabled = !dryRun;
+      summary.textContent = `${dryRun ? "Preview" : "Done"}: ${report.fromTerm} → ${report.nextTerm}. ` +
+        `${report.promoted} promoted, ${report.graduating} graduating, ${report.skipped.length} skipped.`;
+      renderRolloverReport(report);
+      if (!dryRun) initRollover();
+    } catch (err) {
+      summary.textContent = err.message;
+    }
+  };
+  document.getElementById("btn-rollover-preview").onclick = () => run(true);
+  runBtn.onclick = () => run(false);
+}
+
+function renderRolloverReport(report) {
+  document.getElementById("rollover-report").innerHTML = `
+    <h4>Promotions</h4>
+    ${report.transitions.length === 0 ? "<p class='hint'>No students to promote.</p>" : `
+      <table class="data-table">
+        <tr><th>Move</th><th>Students</th></tr>
+        ${report.transitions.map(t => `<tr><td>${escapeHtml(t.label)}</td><td>${t.count}</td></tr>`).join("")}
+      </table>
+    `}
+    ${report.skipped.length ? `
+      <h4>Skipped</h4>
+      <table class="data-table">
+        <tr><th>Student</th><th>Roll no</th><th>Reason</th></tr>
+        ${report.skipped.map(s => `<tr><td>${escapeHtml(s.name)}</td><td>${escapeHtml(s.rollNumber || "-")}</td><td style="color:orange;">${escapeHtml(s.reason)}</td></tr>`).join("")}
+      </table>
+    ` : ""}
+    <h4>Courses</h4>
+    <table class="data-table">
+      <tr><th>Course</th><th>Program / Sem</th><th>Archived</th><th>${report.dryRun ? "Will enroll" : "Enrolled"}</th></tr>
+      ${report.courses.map(c => `
+        <tr>
+          <td>${escapeHtml(c.code)} - ${escapeHtml(c.name)}</td>
+          <td>${escapeHtml(c.program || "-")} · Sem ${c.semester || "-"}</td>
+          <td>${c.archived}</td>
+          <td>${c.enrolled}</td>
+        </tr>
+      `).join("")}
+    </table>
+  `;
+}
+
+// Audit log: read-only, newest first
+async function loadAuditLogs(page = 1) {
+  const list = document.getElementById("audit-list");
+  const actionSelect = document.getElementById("audit-action");
+  if (!list) return;
+
+  document.getElementById("btn-search-audit").onclick = () => loadAuditLogs(1);
+
+  const params = new URLSearchParams({ page });
+  const filters = {
+    action: actionSelect.value,
+    targetType: document.getElementById("audit-target-type").value,
+    actor: document.getElementById("audit-actor").value.trim(),
+    targetId: document.getElementById("audit-target-id").value.trim(),
+    from: document.getElementById("audit-from").value,
+    to: document.getElementById("audit-to").value ? document.getElementById("audit-to").value + "T23:59:59" : ""
+  };
+  Object.entries(filters).forEach(([key, value]) => { if (value) params.set(key, value); });
+
+  const asJson = (value) => escapeHtml(JSON.stringify(value, null, 2));
+
+  list.innerHTML = "<p class='hint'>Loading...</p>";
+  try {
+    const data = await api(`/api/admin/audit-logs?${params}`);
+
+    const selected = actionSelect.value;
+    actionSelect.innerHTML = `<option value="">All actions</option>` +
+      data.actions.map(a => `<option value="${escapeHtml(a)}" ${a === selected ? "selected" : ""}>${escapeHtml(a)}</option>`).join("");
+
+    list.innerHTML = data.entries.length === 0 ? "<p class='hint'>No entries match these filters.</p>" : `
+      <table class="data-table">
+        <tr>
+          <th>When</th>
+          <th>Actor</th>
+          <th>Action</th>
+          <th>Target</th>
+          <th>Details</th>
+        </tr>
+        ${data.entries.map(e => `
+          <tr>
+            <td style="white-space:nowrap;">${new Date(e.createdAt).toLocaleString()}</td>
+            <td>${escapeHtml(e.actorName || e.actorId)}<div class="small">${ROLE_LABELS[e.actorRole] || e.actorRole || ""}</div></td>
+            <td>${escapeHtml(e.action)}</td>
+            <td>${escapeHtml(e.targetLabel || e.targetId || "-")}<div class="small">${escapeHtml(e.targetType || "")}</div></td>
+            <td>
+              ${e.changes.length > 0 ? e.changes.map(c => `<div class="small"><b>${escapeHtml(c.field)}</b>: ${asJson(c.from)} → ${asJson(c.to)}</div>`).join("") : ""}
+              ${e.metadata && Object.keys(e.metadata).length > 0 ? `<details><summary class="small">Details</summary><pre class="small">${asJson(e.metadata)}</pre></details>` : ""}
+              ${e.before && !e.after ? `<details><summary class="small">Removed</summary><pre class="small">${asJson(e.before)}</pre></details>` : ""}
+              ${e.after && !e.before ? `<details><summary class="small">Created</summary><pre class="small">${asJson(e.after)}</pre></details>` : ""}
+              <div class="small" style="color:var(--text-dim);">${escapeHtml(e.method)} ${escapeHtml(e.path)} · ${escapeHtml(e.ip || "")}</div>
+            </td>
+          </tr>
+        `).join("")}
+      </table>
+    `;
+
+    document.getElementById("audit-page-info").textContent = `Page ${data.page} of ${data.pages} · ${data.total} entr${data.total === 1 ? "y" : "ies"}`;
+    const prevBtn = document.getElementById("btn-audit-prev");
+    const nextBtn = document.getElementById("btn-audit-next");
+    prevBtn.disabled = data.page <= 1;
+    nextBtn.disabled = data.page >= data.pages;
+    prevBtn.onclick = () => loadAuditLogs(data.page - 1);
+    nextBtn.onclick = () => loadAuditLogs(data.page + 1);
+  } catch (err) {
+    list.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+  }
+}
+
+// CSV import: validate with a dry run first, then import the rows that passed
+function initUserImport() {
+  const fileInput = document.getElementById("import-file");
+  const validateBtn = document.getElementById("btn-import-validate");
+  const runBtn = document.getElementById("btn-import-run");
+  const summary = document.getElementById("import-summary");
+  const report = document.getElementById("import-report");
+  if (!fileInput) return;
+
+  const submit = async (dryRun) => {
+    const file = fileInput.files[0];
+    if (!file) return alert("Choose a CSV file first");
+
+    const formData = new FormData();
+    formData.append("file", file);
+    formData.append("dryRun", dryRun ? "true" : "false");
+
+    summary.textContent = dryRun ? "Validating..." : "Importing...";
+    try {
+      const data = await api("/api/admin/users/import", { method: "POST", body: formData });
+      summary.textContent = dryRun
+        ? `${data.valid} of ${data.total} row(s) are valid.`
+        : `Imported ${data.created} of ${data.total} row(s).`;
+      runBtn.disabled = !dryRun || data.valid === 0;
+      renderImportReport(report, data.rows, dryRun);
+    } catch (err) {
+      summary.textContent = err.message;
+      runBtn.disabled = true;
+    }
+  };
+
+  fileInput.onchange = () => {
+    runBtn.disabled = true;
+    summary.textContent = "";
+    report.innerHTML = "";
+  };
+  validateBtn.onclick = () => submit(true);
+  runBtn.onclick = () => {
+    if (confirm("Create accounts for all valid rows and email them?")) submit(false);
+  };
+}
+
+function renderImportReport(container, rows, dryRun) {
+  container.innerHTML = rows.length === 0 ? "<p class='hint'>The file has no rows.</p>" : `
+    <table class="data-table">
+      <tr>
+        <th>Line</th>
+        <th>Name</th>
+        <th>Email</th>
+        <th>Roll no</th>
+        <th>Role</th>
+        <th>Result</th>
+      </tr>
+      ${rows.map(r => `
+        <tr>
+          <td>${r.line}</td>
+          <td>${escapeHtml(r.name)}</td>
+          <td>${escapeHtml(r.email)}</td>
+          <td>${escapeHtml(r.rollNumber || "-")}</td>
+          <td>${ROLE_LABELS[r.role] || r.role}</td>
+          <td>${r.errors.length
+            ? `<span style="color:var(--error);">${escapeHtml(r.errors.join("; "))}</span>`
+            : (dryRun ? "Ready" : (r.created ? "Created" : "Skipped"))}</td>
+        </tr>
+      `).join("")}
+    </table>
+  `;
+}
+
+async function loadTwoFactorPolicy() {
+  const container = document.getElementById("twofa-policy-form");
+  const saveBtn = document.getElementById("btn-save-twofa-policy");
+  if (!container) return;
+
+  try {
+    const policy = await api("/api/admin/2fa-policy");
+    container.innerHTML = policy.availableRoles.map(r => `
+      <label style="display:flex; align-items:center; gap:8px;">
+        <input type="checkbox" class="twofa-policy-role" value="${r}" ${policy.requiredRoles.includes(r) ? "checked" : ""}>
+        ${ROLE_LABELS[r]}
+      </label>
+    `).join("");
+  } catch (err) {
+    container.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+  }
+
+  saveBtn.onclick = async () => {
+    const requiredRoles = Array.from(container.querySelectorAll(".twofa-policy-role:checked")).map(cb => cb.value);
+    try {
+      await api("/api/admin/2fa-policy", { method: "PUT", body: JSON.stringify({ requiredRoles }) });
+      alert("Two-factor policy saved.");
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+}
+
 let classCalendar = null;
 let broadcastInterval = null;
 
@@ -2310,8 +4305,7 @@ async function initScheduleView() {
 
   if (!container) return;
 
-  // Role check for Add Event button
-  if (["teacher", "hod", "coordinator", "admin"].includes(user.role)) {
+  if (can("schedule.create")) {
     if (addBtn) {
       addBtn.style.display = "inline-block";
       addBtn.onclick = () => {
@@ -2329,12 +4323,9 @@ async function initScheduleView() {
             <label>End</label>
             <input type="datetime-local" id="sch-end">
             <label>Target Program</label>
-            <select id="sch-program">
-              <option value="B.Tech">B.Tech</option>
-              <option value="BBA">BBA</option>
-            </select>
+            <select id="sch-program">${programOptions()}</select>
             <label>Semester</label>
-            <input type="number" id="sch-sem" value="1" min="1" max="8">
+            <input type="number" id="sch-sem" value="1" min="1">
           `;
           return async () => {
             const payload = {
@@ -2431,8 +4422,7 @@ async function initBroadcastPortal() {
 
   if (!msgContainer) return;
 
-  // Permissions: Only HOD/PD/Admin can see input
-  if (["hod", "pd", "admin"].includes(user.role)) {
+  if (can("broadcast.send")) {
     if (inputArea) {
       inputArea.classList.remove("hidden");
       const sendBtn = document.getElementById("btn-send-broadcast");